@@ -0,0 +1,200 @@
+const SecretVault = require('./secret-vault');
+
+// Pause after each computer action so the page can react before the next screenshot
+const ACTION_WAITS = {
+  screenshot: 0,
+  click: 1000,
+  type: 500,
+  key: 500,
+  scroll: 500
+};
+
+// Computer use (xdotool) key names that differ in Puppeteer and Playwright
+const KEY_MAP = {
+  'Return': 'Enter',
+  'BackSpace': 'Backspace',
+  'Up': 'ArrowUp',
+  'Down': 'ArrowDown',
+  'Left': 'ArrowLeft',
+  'Right': 'ArrowRight'
+};
+
+// Input fields that describe an action, in the order they are recorded
+const ACTION_FIELDS = ['action', 'coordinate', 'text', 'key', 'direction', 'clicks', 'command', 'secret'];
+
+// Tools a trace step may use
+const TOOLS = ['computer', SecretVault.TOOL_NAME, 'bash', 'text_editor'];
+
+// xdotool key syntax: key names joined with "+", several keys separated by spaces ("ctrl+a Delete")
+const KEY_PATTERN = /^[A-Za-z0-9_]+(\+[A-Za-z0-9_]+)*( [A-Za-z0-9_]+(\+[A-Za-z0-9_]+)*)*$/;
+
+const SCROLL_DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+/**
+ * Machine-readable record of every action a run executed, so it can be replayed without Claude
+ *
+ * Each step holds the tool, its input (action type, coordinates, text, key, ...), the wait
+ * that followed it, the result, and screenshots taken just before and after it.
+ */
+class ActionTrace {
+  constructor({ testId, instruction, executionMode, websiteUrl, display }) {
+    this.version = 1;
+    this.testId = testId;
+    this.instruction = instruction;
+    this.executionMode = executionMode;
+    this.websiteUrl = websiteUrl;
+    this.display = display;
+    this.createdAt = new Date().toISOString();
+    this.steps = [];
+  }
+
+  /**
+   * How long to wait after an action
+   */
+  static getWaitMs(action) {
+    return ACTION_WAITS[action] || 0;
+  }
+
+  /**
+   * Browser key name for a computer use key
+   */
+  static toBrowserKey(key) {
+    return KEY_MAP[key] || key;
+  }
+
+  /**
+   * Append an executed action
+   */
+  addStep({ tool, input, result, startedAt, preScreenshot, postScreenshot }) {
+    const step = {
+      index: this.steps.length,
+      tool,
+      ...ActionTrace.pickInput(input),
+      waitMs: tool === 'computer' ? ActionTrace.getWaitMs(input.action) : 0,
+      result,
+      startedAt: new Date(startedAt).toISOString(),
+      duration: (Date.now() - startedAt) / 1000,
+      preScreenshot,
+      postScreenshot
+    };
+
+    this.steps.push(step);
+    return step;
+  }
+
+  /**
+   * Rebuild the tool input for a recorded step
+   */
+  static pickInput(source = {}) {
+    const input = {};
+    for (const field of ACTION_FIELDS) {
+      if (source[field] !== undefined) {
+        input[field] = source[field];
+      }
+    }
+    return input;
+  }
+
+  /**
+   * One frame per step for animations: clicks and scrolls show the screen they acted on
+   * with a marker at the coordinate, other actions the screen that followed them
+   */
+  static getFrames(trace) {
+    const frames = [];
+
+    for (const step of trace.steps) {
+      if (step.coordinate && step.preScreenshot) {
+        const [x, y] = step.coordinate;
+        frames.push({ image: step.preScreenshot, annotations: [{ type: 'click', x, y }] });
+      } else if (step.postScreenshot) {
+        frames.push({ image: step.postScreenshot, annotations: [] });
+      }
+    }
+
+    // End on the screen the run finished with
+    const last = trace.steps[trace.steps.length - 1];
+    if (last && last.postScreenshot && frames.length > 0 && frames[frames.length - 1].image !== last.postScreenshot) {
+      frames.push({ image: last.postScreenshot, annotations: [] });
+    }
+
+    return frames;
+  }
+
+  /**
+   * Check a stored trace before replaying it, returning an error message or null
+   */
+  static validate(trace) {
+    if (!trace || typeof trace !== 'object' || !Array.isArray(trace.steps)) {
+      return 'trace must be an object with a steps array';
+    }
+
+    if (trace.steps.length === 0) {
+      return 'trace has no steps to replay';
+    }
+
+    for (const [index, step] of trace.steps.entries()) {
+      const error = ActionTrace.validateStep(step);
+      if (error) {
+        return `trace step ${index} ${error}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check one trace step, returning what is wrong with it or null
+   */
+  static validateStep(step) {
+    if (!step || !TOOLS.includes(step.tool)) {
+      return `has an unknown tool (expected ${TOOLS.join(', ')})`;
+    }
+
+    switch (step.tool) {
+      case 'computer': {
+        const error = ActionTrace.validateInput(step);
+        return error && `is invalid: ${error}`;
+      }
+      case SecretVault.TOOL_NAME:
+        return typeof step.secret === 'string' ? null : 'is missing its secret name';
+      case 'bash':
+        return typeof step.command === 'string' ? null : 'is missing its command';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check the input of a computer action, returning an error message or null
+   * Everything an action passes on to the browser or xdotool must have this shape
+   */
+  static validateInput(input) {
+    const { action, coordinate, text, key, direction, clicks } = input;
+
+    switch (action) {
+      case 'screenshot':
+        return null;
+      case 'click':
+        return ActionTrace.isCoordinate(coordinate) ? null : 'click needs a coordinate of two non-negative integers';
+      case 'type':
+        return typeof text === 'string' ? null : 'type needs a text string';
+      case 'key':
+        return typeof key === 'string' && KEY_PATTERN.test(key) ? null : 'key must be key names such as "Return" or "ctrl+a"';
+      case 'scroll':
+        if (!ActionTrace.isCoordinate(coordinate)) return 'scroll needs a coordinate of two non-negative integers';
+        if (!SCROLL_DIRECTIONS.includes(direction)) return `scroll direction must be one of: ${SCROLL_DIRECTIONS.join(', ')}`;
+        return clicks === undefined || (Number.isInteger(clicks) && clicks > 0) ? null : 'scroll clicks must be a positive integer';
+      default:
+        return `unknown computer action "${action}"`;
+    }
+  }
+
+  /**
+   * Whether a value is an [x, y] pair of non-negative integers
+   */
+  static isCoordinate(coordinate) {
+    return Array.isArray(coordinate) && coordinate.length === 2 && coordinate.every(value => Number.isInteger(value) && value >= 0);
+  }
+}
+
+module.exports = ActionTrace;
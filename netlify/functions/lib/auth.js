@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const DomainGuard = require('./domain-guard');
+
+/**
+ * Bearer API key authentication with per-client scopes
+ *
+ * Keys come from API_KEYS (a JSON array) or API_KEYS_FILE (path to a JSON file
+ * holding the same array). Each entry looks like:
+ *   { "name": "ci", "key": "...", "allowedHosts": ["app.giftround.com"],
+ *     "allowedModes": ["puppeteer"], "maxTimeout": 300, "tier": "ci" }
+ * "keyHash" (hex SHA-256 of the key) may be given instead of "key" so the
+ * file does not hold plaintext secrets.
+ */
+class ApiKeyAuth {
+  /**
+   * Load configured clients (cached after the first call)
+   */
+  static getClients() {
+    if (this.clients) {
+      return this.clients;
+    }
+
+    let entries = [];
+    try {
+      if (process.env.API_KEYS) {
+        entries = JSON.parse(process.env.API_KEYS);
+      } else if (process.env.API_KEYS_FILE) {
+        entries = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'));
+      }
+      this.validateEntries(entries);
+    } catch (error) {
+      // Fail closed: a broken key configuration must not disable authentication
+      console.error('Failed to load API keys:', error.message);
+      entries = [{ name: 'invalid-configuration', keyHash: null }];
+    }
+
+    this.clients = entries.map(entry => ({
+      name: entry.name,
+      keyHash: entry.keyHash || (entry.key ? this.hashKey(entry.key) : null),
+      allowedHosts: entry.allowedHosts || null,
+      allowedModes: entry.allowedModes || null,
+      maxTimeout: entry.maxTimeout || null,
+      tier: entry.tier || null
+    }));
+
+    return this.clients;
+  }
+
+  /**
+   * Check the shape of the configured clients; throws like a parse error when it is wrong
+   */
+  static validateEntries(entries) {
+    if (!Array.isArray(entries)) {
+      throw new Error('API keys must be a JSON array');
+    }
+
+    entries.forEach((entry, index) => {
+      const hasKey = entry && ((typeof entry.key === 'string' && entry.key) || (typeof entry.keyHash === 'string' && entry.keyHash));
+      if (!hasKey || typeof entry.name !== 'string' || !entry.name) {
+        throw new Error(`API key entry ${index} needs a name and a key or keyHash`);
+      }
+    });
+  }
+
+  /**
+   * Forget cached clients (used when configuration changes)
+   */
+  static reset() {
+    this.clients = null;
+  }
+
+  /**
+   * Hash an API key for storage and comparison
+   */
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Authentication is enforced whenever keys are configured, and always in production
+   */
+  static isEnabled() {
+    return this.getClients().length > 0 || process.env.NODE_ENV === 'production';
+  }
+
+  /**
+   * Identify the client making a request
+   */
+  static authenticate(event) {
+    if (!this.isEnabled()) {
+      return {
+        authenticated: true,
+        client: { name: 'anonymous', anonymous: true }
+      };
+    }
+
+    const headers = event.headers || {};
+    const authorization = headers.authorization || headers.Authorization || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+
+    if (!match) {
+      return {
+        authenticated: false,
+        statusCode: 401,
+        error: 'Missing API key. Send it as "Authorization: Bearer <key>".'
+      };
+    }
+
+    // Compare fixed-length hashes so the check takes the same time for every key
+    const presented = Buffer.from(this.hashKey(match[1].trim()), 'hex');
+    const client = this.getClients().find(candidate =>
+      candidate.keyHash && candidate.keyHash.length === presented.length * 2 &&
+      crypto.timingSafeEqual(Buffer.from(candidate.keyHash, 'hex'), presented)
+    );
+
+    if (!client) {
+      return {
+        authenticated: false,
+        statusCode: 401,
+        error: 'Invalid API key'
+      };
+    }
+
+    return { authenticated: true, client };
+  }
+
+  /**
+   * Restrict an allowlist to the hosts a client may target
+   */
+  static getAllowedHosts(client, allowedHosts) {
+    if (!client.allowedHosts) {
+      return allowedHosts;
+    }
+
+    return client.allowedHosts
+      .map(host => DomainGuard.normalizeHost(host))
+      .filter(host => host && DomainGuard.isAllowedHost(host, allowedHosts));
+  }
+
+  /**
+   * Check a test request against the client's scopes, returning an error message or null
+   */
+  static authorizeTest(client, { websiteUrl, executionMode, allowedHosts }) {
+    if (client.allowedHosts && !DomainGuard.isAllowedHost(websiteUrl, allowedHosts)) {
+      return `API key "${client.name}" may not target ${DomainGuard.normalizeHost(websiteUrl)}`;
+    }
+
+    if (client.allowedModes && !client.allowedModes.includes(executionMode)) {
+      return `API key "${client.name}" may not use ${executionMode} mode (allowed: ${client.allowedModes.join(', ')})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a client may see or cancel a run
+   */
+  static canAccess(client, owner) {
+    return client.anonymous || client.name === owner;
+  }
+}
+
+module.exports = ApiKeyAuth;
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const WebhookNotifier = require('./webhook-notifier');
+
+// Triggers older than this are rejected, so a captured request cannot be replayed later
+const MAX_AGE_SECONDS = 300;
+
+/**
+ * Signed requests that hand work to a Netlify background function
+ *
+ * Background functions are plain HTTP endpoints, so each trigger is signed like a
+ * completion webhook, with the secret the receiving function is configured with.
+ */
+class BackgroundTrigger {
+  /**
+   * Headers for a trigger request with this body
+   */
+  static sign(body, secret) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    return {
+      'Content-Type': 'application/json',
+      'X-Trigger-Timestamp': timestamp,
+      'X-Trigger-Signature': WebhookNotifier.sign(body, secret, timestamp)
+    };
+  }
+
+  /**
+   * Check that a trigger request was signed with the secret in the last few minutes
+   */
+  static verify(event, secret) {
+    if (!secret) return false;
+
+    const headers = event.headers || {};
+    const timestamp = headers['x-trigger-timestamp'];
+    const signature = headers['x-trigger-signature'];
+    if (!timestamp || !signature || Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_AGE_SECONDS) {
+      return false;
+    }
+
+    const expected = Buffer.from(WebhookNotifier.sign(event.body || '', secret, timestamp));
+    const presented = Buffer.from(signature);
+    return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+  }
+
+  /**
+   * Invoke a background function of this site (URL) with a JSON payload
+   * Background functions answer 202 as soon as the invocation is queued
+   */
+  static async send(functionName, payload, secret) {
+    const body = JSON.stringify(payload);
+    const response = await fetch(`${process.env.URL}/.netlify/functions/${functionName}`, {
+      method: 'POST',
+      headers: this.sign(body, secret),
+      body,
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${functionName} responded with ${response.status}`);
+    }
+    return response.status;
+  }
+}
+
+module.exports = BackgroundTrigger;
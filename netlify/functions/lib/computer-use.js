@@ -1,14 +1,26 @@
+const EventEmitter = require('events');
 const Anthropic = require('@anthropic-ai/sdk');
 const ScreenshotUtils = require('./screenshot-utils');
-
-class ComputerUse {
+const DomainGuard = require('./domain-guard');
+const Verdict = require('./verdict');
+const SecretVault = require('./secret-vault');
+const RunLog = require('./run-log');
+const tracing = require('./tracing');
+const ActionTrace = require('./action-trace');
+const TraceReplayer = require('./trace-replayer');
+
+class ComputerUse extends EventEmitter {
   constructor(options) {
+    super();
     this.apiKey = options.apiKey;
     this.dockerManager = options.dockerManager;
     this.testId = options.testId;
     this.options = options.options || {};
     this.screenshots = [];
     this.log = '';
+    this.iteration = 0;
+    this.cancelled = false;
+    this.abortController = new AbortController();
     
     // Initialize Anthropic client
     this.anthropic = new Anthropic({
@@ -17,8 +29,20 @@ class ComputerUse {
 
     // Computer use configuration
     this.display = { width: 1280, height: 720 };
+    this.model = 'claude-sonnet-4-20250514';
     this.maxIterations = 20; // Prevent runaway costs
     this.websiteUrl = this.options.websiteUrl || 'app.giftround.com';
+    this.allowedHosts = this.options.allowedHosts || DomainGuard.getAllowedHosts();
+    this.blockedNavigations = [];
+    this.expectations = this.options.expectations || [];
+    this.secrets = this.options.secrets || [];
+    this.runLog = new RunLog(this.testId, { secrets: this.secrets });
+    this.runSpan = options.span || null; // Parent for this run's spans (see tracing.js)
+    this.iterationSpan = null;
+    this.toolSpan = null;
+    this.verdict = null;
+    this.trace = null;
+    this.usage = { requests: 0, inputTokens: 0, outputTokens: 0 };
   }
 
   /**
@@ -26,6 +50,15 @@ class ComputerUse {
    */
   async execute(instruction) {
     this.addLog(`Starting execution: ${instruction}`);
+    if (this.options.recordTrace !== false) {
+      this.trace = new ActionTrace({
+        testId: this.testId,
+        instruction,
+        executionMode: 'docker',
+        websiteUrl: this.websiteUrl,
+        display: this.display
+      });
+    }
     
     try {
       // Initial screenshot
@@ -33,21 +66,28 @@ class ComputerUse {
         await this.captureScreenshot('Initial state');
       }
 
-      // Navigate to the website first
-      await this.navigateToWebsite();
+      // Navigate to the website first (this also starts Chrome in the container)
+      await tracing.withSpan('browser.navigate', this.runSpan, { 'url.full': `https://${this.websiteUrl}` }, () => this.navigateToWebsite());
 
-      // Execute the instruction using Claude's computer use
-      const result = await this.runClaudeWithComputerUse(instruction);
+      // Replay a recorded trace when asked, otherwise let Claude drive
+      const result = this.options.replay
+        ? await new TraceReplayer(this, this.options.replay.trace, this.options.replay).run(instruction)
+        : await this.runClaudeWithComputerUse(instruction);
+
+      if (this.trace) {
+        this.trace.verdict = this.verdict;
+      }
 
       this.addLog('Execution completed successfully');
       return {
         screenshots: this.screenshots,
         log: this.log,
+        events: this.runLog.events,
         result: result
       };
 
     } catch (error) {
-      this.addLog(`Execution failed: ${error.message}`);
+      this.addLog(`Execution failed: ${error.message}`, { level: 'error', type: 'error' });
       throw error;
     }
   }
@@ -59,14 +99,21 @@ class ComputerUse {
     this.addLog(`Navigating to ${this.websiteUrl}`);
     
     try {
-      // Start browser and navigate to website
-      await this.dockerManager.execute([
-        'export DISPLAY=:99',
-        'Xvfb :99 -screen 0 1280x720x24 &',
-        'sleep 2',
-        `google-chrome --no-sandbox --disable-dev-shm-usage --remote-debugging-port=9222 --start-maximized "https://${this.websiteUrl}" &`,
-        'sleep 5'
-      ].join(' && '));
+      // Chrome reads managed policies at startup, so the allowlist must be in place first
+      await this.installNavigationGuard();
+
+      // Start browser and navigate to website; the URL is an argument, not part of a shell command
+      await this.dockerManager.startProcess(['Xvfb', ':99', '-screen', '0', '1280x720x24']);
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      await this.dockerManager.startProcess([
+        'google-chrome',
+        '--no-sandbox',
+        '--disable-dev-shm-usage',
+        '--remote-debugging-port=9222',
+        '--start-maximized',
+        `https://${this.websiteUrl}`
+      ], ['DISPLAY=:99']);
+      await new Promise(resolve => setTimeout(resolve, 5000));
 
       // Take screenshot after navigation
       if (this.options.takeScreenshots) {
@@ -80,10 +127,45 @@ class ComputerUse {
     }
   }
 
+  /**
+   * Install a Chrome URL allowlist policy that blocks origins outside the allowlist
+   */
+  async installNavigationGuard() {
+    // The policy reaches the shell as an environment variable, never as command text
+    await this.dockerManager.execute([
+      'mkdir -p /etc/opt/chrome/policies/managed',
+      'printf \'%s\' "$CHROME_POLICY" > /etc/opt/chrome/policies/managed/allowlist.json'
+    ].join(' && '), {
+      Env: [`CHROME_POLICY=${JSON.stringify(DomainGuard.getChromePolicy(this.allowedHosts))}`]
+    });
+
+    this.addLog(`Navigation guard enabled for: ${this.allowedHosts.join(', ')}`);
+  }
+
+  /**
+   * Log pages Chrome has been asked to open outside the allowlist (the policy blocks them)
+   */
+  async checkNavigation() {
+    try {
+      const targets = JSON.parse(await this.dockerManager.execute('curl -s http://localhost:9222/json/list'));
+
+      for (const target of targets) {
+        if (target.type !== 'page' || DomainGuard.isAllowedUrl(target.url, this.allowedHosts)) continue;
+        if (this.blockedNavigations.some(blocked => blocked.url === target.url)) continue;
+
+        this.blockedNavigations.push({ url: target.url, timestamp: new Date().toISOString() });
+        this.addLog(`Blocked navigation to non-allowlisted origin: ${target.url}`, { level: 'warn' });
+      }
+    } catch (error) {
+      this.addLog(`Could not check browser navigation: ${error.message}`, { level: 'warn' });
+    }
+  }
+
   /**
    * Run Claude with computer use tools
    */
   async runClaudeWithComputerUse(instruction) {
+    const secretGuidelines = SecretVault.getPromptGuidelines(this.secrets);
     const messages = [
       {
         role: 'user',
@@ -101,27 +183,35 @@ Guidelines:
 - Focus only on ${this.websiteUrl} - do not navigate away
 - The display resolution is 1280x720
 
-Current browser status: Open and displaying ${this.websiteUrl}`
+Current browser status: Open and displaying ${this.websiteUrl}
+
+${secretGuidelines ? `${secretGuidelines}\n\n` : ''}${Verdict.getPromptGuidelines(this.expectations)}`
       }
     ];
 
     let iteration = 0;
     let lastScreenshot = null;
+    let reminded = false;
 
     while (iteration < this.maxIterations) {
+      this.throwIfCancelled();
       iteration++;
+      this.iteration = iteration;
       this.addLog(`Claude iteration ${iteration}`);
+      this.iterationSpan = tracing.startSpan('claude.iteration', this.runSpan, { 'test.iteration': iteration });
+      let iterationError = null;
 
       try {
         // Get current screenshot for Claude
-        lastScreenshot = await this.takeScreenshotForClaude();
+        lastScreenshot = await tracing.withSpan('screenshot', this.iterationSpan, {}, () => this.takeScreenshotForClaude());
 
         // Prepare tools for Claude
         const tools = this.getComputerUseTools();
 
         // Call Claude with computer use
-        const response = await this.anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
+        const requestStartedAt = Date.now();
+        const response = await tracing.traceModelCall(this.iterationSpan, this.model, () => this.anthropic.messages.create({
+          model: this.model,
           max_tokens: 4096,
           tools: tools,
           betas: ['computer-use-2025-01-24'],
@@ -148,12 +238,21 @@ Current browser status: Open and displaying ${this.websiteUrl}`
               ]
             }
           ])
-        });
+        }, {
+          signal: this.abortController.signal
+        }));
+        this.recordUsage(response.usage);
 
         // Process Claude's response
-        if (response.content.find(block => block.type === 'text')) {
-          const textContent = response.content.find(block => block.type === 'text').text;
-          this.addLog(`Claude: ${textContent}`);
+        this.logModelResponse(response, (Date.now() - requestStartedAt) / 1000);
+
+        // The report_result tool ends the run with Claude's verdict
+        const report = response.content.find(block => block.type === 'tool_use' && block.name === Verdict.TOOL_NAME);
+        if (report) {
+          this.verdict = Verdict.fromToolInput(report.input, this.expectations);
+          this.addLog(`Claude reported ${this.verdict.passed ? 'PASSED' : 'FAILED'}: ${this.verdict.summary}`, { payload: { verdict: this.verdict } });
+          this.emit('verdict', this.verdict);
+          break;
         }
 
         // Check if Claude wants to use tools
@@ -176,26 +275,80 @@ Current browser status: Open and displaying ${this.websiteUrl}`
               }
             ]
           });
+        } else if (!reminded) {
+          // Claude stopped without a verdict; ask once for the report
+          this.addLog('Claude stopped without reporting a result; asking for a verdict', { level: 'warn' });
+          reminded = true;
+          messages.push({
+            role: 'assistant',
+            content: response.content
+          });
+          messages.push({
+            role: 'user',
+            content: Verdict.getReminder()
+          });
         } else {
-          // No more tool use, Claude is finished
-          this.addLog('Claude indicates task completion');
-          break;
+          throw new Error(`Claude finished without calling ${Verdict.TOOL_NAME}`);
         }
 
         // Rate limiting - small delay between iterations
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        await tracing.withSpan('sleep', this.iterationSpan, { 'wait.ms': 1000 }, () => new Promise(resolve => setTimeout(resolve, 1000)));
 
       } catch (error) {
-        this.addLog(`Error in iteration ${iteration}: ${error.message}`);
+        iterationError = error;
+
+        // Aborted requests and closed browsers surface as assorted errors once cancelled
+        if (this.cancelled) {
+          throw new Error('Test cancelled');
+        }
+
+        this.addLog(`Error in iteration ${iteration}: ${error.message}`, { level: 'error', type: 'error' });
         throw error;
+      } finally {
+        tracing.endSpan(this.iterationSpan, iterationError);
+        this.iterationSpan = null;
       }
     }
 
-    if (iteration >= this.maxIterations) {
+    // The loop only ends early once Claude has reported a verdict
+    if (!this.verdict) {
       throw new Error(`Maximum iterations (${this.maxIterations}) reached`);
     }
 
-    return { iterations: iteration, completed: true };
+    return { iterations: iteration, completed: true, verdict: this.verdict };
+  }
+
+  /**
+   * Accumulate token usage across Claude requests
+   */
+  recordUsage(usage = {}) {
+    this.usage.requests++;
+    this.usage.inputTokens += usage.input_tokens || 0;
+    this.usage.outputTokens += usage.output_tokens || 0;
+  }
+
+  /**
+   * Record Claude's reply with the model, stop reason, requested tools, token usage and latency
+   * Replies without text only reach the structured log
+   */
+  logModelResponse(response, duration) {
+    const text = response.content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+    const toolCalls = response.content.filter(block => block.type === 'tool_use').map(block => block.name);
+    const usage = response.usage || {};
+
+    this.addLog(text ? `Claude: ${text}` : `Claude requested ${toolCalls.join(', ') || 'nothing'}`, {
+      level: text ? 'info' : 'debug',
+      type: 'model_response',
+      duration,
+      payload: {
+        model: response.model || this.model,
+        stopReason: response.stop_reason || null,
+        text,
+        toolCalls,
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0
+      }
+    });
   }
 
   /**
@@ -209,14 +362,17 @@ Current browser status: Open and displaying ${this.websiteUrl}`
         display_width_px: this.display.width,
         display_height_px: this.display.height
       },
-      {
+      // A shell could rewrite the Chrome policy or reach any host, so it is only offered without an allowlist
+      ...(this.allowedHosts.length === 0 ? [{
         type: 'bash_20250124',
         name: 'bash'
-      },
+      }] : []),
       {
         type: 'text_editor_20250728',
         name: 'text_editor'
-      }
+      },
+      ...(this.secrets.length > 0 ? [SecretVault.getTool(this.secrets)] : []),
+      Verdict.getTool(this.expectations)
     ];
   }
 
@@ -225,21 +381,70 @@ Current browser status: Open and displaying ${this.websiteUrl}`
    */
   async executeComputerUseTool(toolUse) {
     const { name, input } = toolUse;
-    
+    const startedAt = Date.now();
+    this.toolSpan = tracing.startSpan(`tool ${name}`, this.iterationSpan || this.runSpan, { 'tool.name': name, 'computer.action': input.action });
+    this.addLog(`Tool call: ${name}${input.action ? ` ${input.action}` : ''}`, { level: 'debug', type: 'tool_call', payload: { tool: name, input } });
+    const preScreenshot = await this.takeTraceScreenshot();
+    let result;
+
     try {
       switch (name) {
         case 'computer':
-          return await this.handleComputerAction(input);
+          result = await this.handleComputerAction(input);
+          break;
+        case SecretVault.TOOL_NAME:
+          result = await this.handleSecretAction(input);
+          break;
         case 'bash':
-          return await this.handleBashAction(input);
+          result = await this.handleBashAction(input);
+          break;
         case 'text_editor':
-          return await this.handleTextEditorAction(input);
+          result = await this.handleTextEditorAction(input);
+          break;
         default:
           throw new Error(`Unknown tool: ${name}`);
       }
+
+      this.emit('action', { iteration: this.iteration, tool: name, ...input, result });
+
+      if (name !== 'text_editor') {
+        await this.checkNavigation();
+      }
+    } catch (error) {
+      this.addLog(`Tool execution failed: ${error.message}`, { level: 'error', type: 'error', payload: { tool: name } });
+      result = `Error: ${error.message}`;
+    }
+
+    if (this.trace) {
+      const postScreenshot = await this.takeTraceScreenshot();
+      this.trace.addStep({ tool: name, input, result, startedAt, preScreenshot, postScreenshot });
+    }
+
+    this.addLog(`Tool result: ${result}`, { level: 'debug', type: 'tool_result', duration: (Date.now() - startedAt) / 1000, payload: { tool: name, result } });
+    tracing.endSpan(this.toolSpan, typeof result === 'string' && result.startsWith('Error') ? { message: result } : null);
+    this.toolSpan = null;
+    return result;
+  }
+
+  /**
+   * Pause after an action so the page can react before the next screenshot
+   */
+  async waitAfterAction(action) {
+    const ms = ActionTrace.getWaitMs(action);
+    await tracing.withSpan('wait', this.toolSpan || this.runSpan, { 'wait.ms': ms }, () => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Screenshot for the action trace; a failed capture only leaves the step without one
+   */
+  async takeTraceScreenshot() {
+    if (!this.trace) return null;
+
+    try {
+      return await this.takeScreenshotForClaude();
     } catch (error) {
-      this.addLog(`Tool execution failed: ${error.message}`);
-      return `Error: ${error.message}`;
+      this.addLog(`Could not capture trace screenshot: ${error.message}`, { level: 'warn' });
+      return null;
     }
   }
 
@@ -248,7 +453,13 @@ Current browser status: Open and displaying ${this.websiteUrl}`
    */
   async handleComputerAction(input) {
     const { action } = input;
-    
+
+    // Claude's and replayed input alike go to xdotool, so only well-formed actions run
+    const inputError = ActionTrace.validateInput(input);
+    if (inputError) {
+      throw new Error(inputError);
+    }
+
     switch (action) {
       case 'screenshot':
         const screenshot = await this.takeScreenshotForClaude();
@@ -259,33 +470,31 @@ Current browser status: Open and displaying ${this.websiteUrl}`
 
       case 'click':
         const { coordinate } = input;
-        await this.dockerManager.execute(`export DISPLAY=:99 && xdotool mousemove ${coordinate[0]} ${coordinate[1]} click 1`);
+        await this.xdotool('mousemove', String(coordinate[0]), String(coordinate[1]), 'click', '1');
         this.addLog(`Clicked at coordinates (${coordinate[0]}, ${coordinate[1]})`);
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait for action
+        await this.waitAfterAction(action);
         return `Clicked at (${coordinate[0]}, ${coordinate[1]})`;
 
       case 'type':
         const { text } = input;
-        // Escape special characters for shell
-        const escapedText = text.replace(/'/g, "'\"'\"'");
-        await this.dockerManager.execute(`export DISPLAY=:99 && xdotool type '${escapedText}'`);
+        await this.xdotool('type', '--', text);
         this.addLog(`Typed: ${text}`);
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await this.waitAfterAction(action);
         return `Typed: ${text}`;
 
       case 'key':
         const { key } = input;
-        await this.dockerManager.execute(`export DISPLAY=:99 && xdotool key ${key}`);
+        await this.xdotool('key', '--', ...key.split(' '));
         this.addLog(`Pressed key: ${key}`);
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await this.waitAfterAction(action);
         return `Pressed key: ${key}`;
 
       case 'scroll':
         const { coordinate: scrollCoord, direction, clicks } = input;
         const scrollDirection = direction === 'down' ? '5' : '4';
-        await this.dockerManager.execute(`export DISPLAY=:99 && xdotool mousemove ${scrollCoord[0]} ${scrollCoord[1]} click ${scrollDirection}`);
+        await this.xdotool('mousemove', String(scrollCoord[0]), String(scrollCoord[1]), 'click', scrollDirection);
         this.addLog(`Scrolled ${direction} at (${scrollCoord[0]}, ${scrollCoord[1]})`);
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await this.waitAfterAction(action);
         return `Scrolled ${direction}`;
 
       default:
@@ -293,10 +502,22 @@ Current browser status: Open and displaying ${this.websiteUrl}`
     }
   }
 
+  /**
+   * Run xdotool on the container's display; arguments never pass through a shell
+   */
+  async xdotool(...args) {
+    return this.dockerManager.run(['xdotool', ...args], { Env: ['DISPLAY=:99'] });
+  }
+
   /**
    * Handle bash commands
    */
   async handleBashAction(input) {
+    // Replayed traces can hold bash steps even though Claude is no longer offered the tool
+    if (this.allowedHosts.length > 0) {
+      throw new Error('bash is not available while the domain allowlist is enforced');
+    }
+
     const { command } = input;
     this.addLog(`Executing bash: ${command}`);
     
@@ -318,6 +539,24 @@ Current browser status: Open and displaying ${this.websiteUrl}`
     return 'Text editor not available in web testing context';
   }
 
+  /**
+   * Type a named secret into the focused field; only its placeholder is logged or returned
+   */
+  async handleSecretAction(input) {
+    const { secret } = input;
+    if (!this.secrets.includes(secret)) {
+      throw new Error(`Secret "${secret}" is not available to this run`);
+    }
+
+    // Passed through the environment so the value is not part of the command (or its error messages)
+    await this.dockerManager.execute('export DISPLAY=:99 && xdotool type -- "$SECRET_VALUE"', {
+      Env: [`SECRET_VALUE=${SecretVault.getValue(secret)}`]
+    });
+    this.addLog(`Typed: ${SecretVault.placeholder(secret)}`);
+    await this.waitAfterAction('type');
+    return `Typed: ${SecretVault.placeholder(secret)}`;
+  }
+
   /**
    * Take screenshot and return base64 data for Claude
    */
@@ -356,23 +595,51 @@ Current browser status: Open and displaying ${this.websiteUrl}`
       };
       
       this.screenshots.push(screenshot);
-      this.addLog(`Screenshot captured: ${step}`);
+      this.emit('screenshot', { iteration: this.iteration, ...screenshot });
+      this.addLog(`Screenshot captured: ${step}`, { type: 'screenshot', payload: { step, index: this.screenshots.length - 1 } });
       
       return screenshot;
     } catch (error) {
-      this.addLog(`Failed to capture screenshot: ${error.message}`);
+      this.addLog(`Failed to capture screenshot: ${error.message}`, { level: 'warn' });
       return null;
     }
   }
 
   /**
-   * Add entry to execution log
+   * Cancel the run: stop between steps, abort the in-flight Claude request and remove the container
    */
-  addLog(message) {
-    const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] ${message}`;
-    this.log += logEntry + '\n';
-    console.log(`[${this.testId}] ${message}`);
+  async cancel(reason = 'Test cancelled') {
+    if (this.cancelled) return;
+
+    this.cancelled = true;
+    this.addLog(`Cancelling execution: ${reason}`);
+    this.abortController.abort();
+
+    if (this.dockerManager) {
+      await this.dockerManager.cleanup();
+    }
+  }
+
+  /**
+   * Stop the iteration loop once the run has been cancelled
+   */
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw new Error('Test cancelled');
+    }
+  }
+
+  /**
+   * Add an entry to the structured run log, and to the text log at info level and above
+   * details: { level, type, payload, duration } (see RunLog)
+   */
+  addLog(message, details = {}) {
+    // The run log masks secrets and redacts the entry before it is written anywhere
+    const event = this.runLog.add({ message, iteration: this.iteration, ...details });
+    if (!RunLog.isRendered(event)) return;
+
+    this.log += RunLog.render(event) + '\n';
+    this.emit('log', { iteration: this.iteration, message: event.message, timestamp: event.timestamp, level: event.level, type: event.type });
   }
 }
 
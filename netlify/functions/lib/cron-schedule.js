@@ -0,0 +1,105 @@
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Seconds, minutes, hours, day of month, month, day of week
+const FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: MONTHS, offset: 1 },
+  { min: 0, max: 6, names: WEEKDAYS, offset: 0 }
+];
+
+/**
+ * Decides whether a cron expression fires at a given time
+ *
+ * Expressions are checked with node-cron's validate() first; this reads them the way
+ * node-cron schedules them (optional seconds field, month and weekday names, 7 for
+ * Sunday, steps keeping values divisible by the step, day of month AND day of week),
+ * so the Netlify scheduler and `npm run monitor` fire at the same minutes.
+ */
+class CronSchedule {
+  constructor(expression, timezone = null) {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length === 5) {
+      parts.unshift('0');
+    }
+    if (parts.length !== 6) {
+      throw new Error(`Invalid cron expression "${expression}"`);
+    }
+
+    this.timezone = timezone;
+    this.fields = parts.map((part, index) => CronSchedule.parseField(part, FIELDS[index]));
+  }
+
+  /**
+   * The set of values one field allows
+   */
+  static parseField(part, { min, max, names, offset }) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const [range, step] = item.split('/');
+      const named = names
+        ? range.replace(/[a-z]+/gi, name => names.indexOf(name.slice(0, 3).toLowerCase()) + offset)
+        : range;
+
+      let [start, end] = named === '*' ? [min, max] : named.split('-').map(Number);
+      if (end === undefined) end = start;
+      if (start > end) [start, end] = [end, start];
+
+      for (let value = start; value <= end; value++) {
+        if (!step || value % Number(step) === 0) {
+          values.add(value);
+        }
+      }
+    }
+
+    // Sunday may be written as 7
+    if (names === WEEKDAYS && values.has(7)) {
+      values.add(0);
+    }
+
+    return values;
+  }
+
+  /**
+   * Whether the schedule fires at this time (to the second)
+   */
+  matches(date) {
+    return this.getFields(date).every((value, index) => this.fields[index].has(value));
+  }
+
+  /**
+   * Seconds, minutes, hours, day, month and weekday of a time in the schedule's timezone
+   */
+  getFields(date) {
+    if (!this.timezone) {
+      return [date.getSeconds(), date.getMinutes(), date.getHours(), date.getDate(), date.getMonth() + 1, date.getDay()];
+    }
+
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return [
+      Number(parts.second),
+      Number(parts.minute),
+      Number(parts.hour),
+      Number(parts.day),
+      Number(parts.month),
+      WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+    ];
+  }
+}
+
+module.exports = CronSchedule;
@@ -1,6 +1,7 @@
 const Docker = require('dockerode');
 const fs = require('fs');
 const path = require('path');
+const tracing = require('./tracing');
 
 class DockerManager {
   constructor(testId) {
@@ -18,40 +19,45 @@ class DockerManager {
 
   /**
    * Initialize Docker container with browser environment
+   * Each phase is a child span of parentSpan when tracing is on
    */
-  async initialize() {
+  async initialize(parentSpan = null) {
     try {
       console.log(`[${this.testId}] Creating Docker container: ${this.containerName}`);
 
       // Pull Ubuntu image if not exists (in production, this should be pre-built)
-      try {
-        await this.docker.pull('ubuntu:22.04');
-      } catch (pullError) {
-        console.log(`[${this.testId}] Ubuntu image may already exist, continuing...`);
-      }
-
-      // Create container with necessary tools
-      this.container = await this.docker.createContainer({
-        Image: 'ubuntu:22.04',
-        name: this.containerName,
-        Tty: true,
-        AttachStdin: true,
-        AttachStdout: true,
-        AttachStderr: true,
-        Env: [
-          'DISPLAY=:99',
-          'DEBIAN_FRONTEND=noninteractive'
-        ],
-        Cmd: ['/bin/bash'],
-        WorkingDir: '/workspace'
+      await tracing.withSpan('docker.pull', parentSpan, { 'container.image.name': 'ubuntu:22.04' }, async () => {
+        try {
+          await this.docker.pull('ubuntu:22.04');
+        } catch (pullError) {
+          console.log(`[${this.testId}] Ubuntu image may already exist, continuing...`);
+        }
       });
 
-      // Start container
-      await this.container.start();
+      // Create and start the container with necessary tools
+      await tracing.withSpan('docker.start', parentSpan, { 'container.name': this.containerName }, async () => {
+        this.container = await this.docker.createContainer({
+          Image: 'ubuntu:22.04',
+          name: this.containerName,
+          Tty: true,
+          AttachStdin: true,
+          AttachStdout: true,
+          AttachStderr: true,
+          Env: [
+            'DISPLAY=:99',
+            'DEBIAN_FRONTEND=noninteractive'
+          ],
+          Cmd: ['/bin/bash'],
+          WorkingDir: '/workspace'
+        });
+
+        // Start container
+        await this.container.start();
+      });
       console.log(`[${this.testId}] Container started successfully`);
 
       // Install required packages
-      await this.setupContainerEnvironment();
+      await tracing.withSpan('docker.setup_environment', parentSpan, {}, span => this.setupContainerEnvironment(span));
 
       console.log(`[${this.testId}] Docker container initialized successfully`);
 
@@ -62,8 +68,9 @@ class DockerManager {
 
   /**
    * Set up the container environment with necessary tools
+   * Every command gets its own span so slow installs stand out
    */
-  async setupContainerEnvironment() {
+  async setupContainerEnvironment(parentSpan = null) {
     console.log(`[${this.testId}] Setting up container environment...`);
 
     const setupCommands = [
@@ -102,10 +109,13 @@ class DockerManager {
 
     for (let i = 0; i < setupCommands.length; i++) {
       const command = setupCommands[i];
+      const span = tracing.startSpan('docker.setup_command', parentSpan, { 'process.command_line': command });
       try {
         console.log(`[${this.testId}] Running: ${command}`);
         await this.execute(command);
+        tracing.endSpan(span);
       } catch (error) {
+        tracing.endSpan(span, error);
         // Some commands may fail in certain environments, but we continue
         console.log(`[${this.testId}] Command may have failed but continuing: ${command} - ${error.message}`);
       }
@@ -118,13 +128,21 @@ class DockerManager {
    * Execute command in container
    */
   async execute(command, options = {}) {
+    return this.run(['bash', '-c', command], options);
+  }
+
+  /**
+   * Run a program in the container and return its output
+   * Arguments are passed to the program as-is, never through a shell
+   */
+  async run(args, options = {}) {
     if (!this.container) {
       throw new Error('Container not initialized');
     }
 
     try {
       const exec = await this.container.exec({
-        Cmd: ['bash', '-c', command],
+        Cmd: args,
         AttachStdout: true,
         AttachStderr: true,
         ...options
@@ -172,8 +190,26 @@ class DockerManager {
       });
 
     } catch (error) {
-      throw new Error(`Failed to execute command "${command}": ${error.message}`);
+      throw new Error(`Failed to execute command "${args.join(' ')}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a long-running process in the container without waiting for it
+   * Arguments are passed to the program as-is, never through a shell
+   */
+  async startProcess(args, env = []) {
+    if (!this.container) {
+      throw new Error('Container not initialized');
     }
+
+    const exec = await this.container.exec({
+      Cmd: args,
+      Env: env,
+      AttachStdout: false,
+      AttachStderr: false
+    });
+    await exec.start({ Detach: true });
   }
 
   /**
@@ -0,0 +1,119 @@
+// A bare hostname with an optional port: no scheme, path, credentials, quotes or spaces
+const HOSTNAME_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*(?::\d{1,5})?$/i;
+
+/**
+ * Target-domain allowlist shared by request validation and the browser navigation guards
+ */
+class DomainGuard {
+  /**
+   * Get the configured allowlist (ALLOWED_HOSTS, falling back to WEBSITE_URL)
+   */
+  static getAllowedHosts() {
+    const configured = process.env.ALLOWED_HOSTS || process.env.WEBSITE_URL || 'app.giftround.com';
+
+    return configured
+      .split(',')
+      .map(host => this.normalizeHost(host))
+      .filter(Boolean);
+  }
+
+  /**
+   * Reduce a host, bare URL ("app.giftround.com/signup") or full URL to a lowercase hostname
+   */
+  static normalizeHost(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const trimmed = value.trim().toLowerCase();
+    if (trimmed.startsWith('*.')) {
+      return trimmed;
+    }
+
+    try {
+      const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`);
+      return url.hostname || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check a hostname against the allowlist ("*.example.com" matches subdomains only)
+   */
+  static isAllowedHost(host, allowedHosts = this.getAllowedHosts()) {
+    const hostname = this.normalizeHost(host);
+    if (!hostname) return false;
+
+    return allowedHosts.some(allowed => {
+      if (allowed.startsWith('*.')) {
+        return hostname.endsWith(allowed.slice(1));
+      }
+      return hostname === allowed;
+    });
+  }
+
+  /**
+   * Check whether the browser may navigate to a URL
+   */
+  static isAllowedUrl(url, allowedHosts = this.getAllowedHosts()) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    // Blank pages are used for new tabs and error pages
+    if (parsed.href === 'about:blank') {
+      return true;
+    }
+
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      return false;
+    }
+
+    return this.isAllowedHost(parsed.hostname, allowedHosts);
+  }
+
+  /**
+   * Check whether the page may load a resource; inline data and blobs never leave the browser
+   */
+  static isAllowedResource(url, allowedHosts = this.getAllowedHosts()) {
+    if (/^(data|blob):/i.test(url)) {
+      return true;
+    }
+
+    return this.isAllowedUrl(url, allowedHosts);
+  }
+
+  /**
+   * Validate a requested test target, returning an error message or null
+   * Targets become https://<websiteUrl> in the browser, so only a bare hostname is accepted
+   */
+  static validateTarget(websiteUrl, allowedHosts = this.getAllowedHosts()) {
+    if (typeof websiteUrl !== 'string' || !HOSTNAME_PATTERN.test(websiteUrl)) {
+      return 'websiteUrl must be a hostname such as app.giftround.com, without a scheme or path';
+    }
+
+    if (!this.isAllowedHost(websiteUrl, allowedHosts)) {
+      return `Target host ${this.normalizeHost(websiteUrl)} is not in the allowlist (${allowedHosts.join(', ')})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a Chrome enterprise policy that blocks every URL outside the allowlist
+   * See https://chromeenterprise.google/policies/url-patterns/ for the pattern format
+   */
+  static getChromePolicy(allowedHosts = this.getAllowedHosts()) {
+    return {
+      URLBlocklist: ['*'],
+      URLAllowlist: allowedHosts.map(host =>
+        // A leading dot limits the pattern to the exact host; a bare domain includes subdomains
+        host.startsWith('*.') ? host.slice(2) : `.${host}`
+      ).concat(['about:blank'])
+    };
+  }
+}
+
+module.exports = DomainGuard;
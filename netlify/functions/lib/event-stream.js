@@ -0,0 +1,54 @@
+/**
+ * Server-Sent Events formatting for live test progress
+ *
+ * Netlify Functions return a single body, so each response carries the events
+ * produced since the client's Last-Event-ID and the browser's EventSource
+ * reconnects to pick up the next batch.
+ */
+class EventStream {
+  /**
+   * Format a single registry event as an SSE message
+   */
+  static formatEvent(event) {
+    return [
+      `id: ${event.id}`,
+      `event: ${event.type}`,
+      `data: ${JSON.stringify(event.data)}`,
+      '',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Format a batch of events, telling the client how soon to reconnect
+   */
+  static formatEvents(events, options = {}) {
+    const { retryMs = 1000 } = options;
+
+    return `retry: ${retryMs}\n\n` + events.map(event => this.formatEvent(event)).join('');
+  }
+
+  /**
+   * Read the last event id a client has seen from headers or query string
+   */
+  static getLastEventId(event) {
+    const headers = event.headers || {};
+    const query = event.queryStringParameters || {};
+    const lastEventId = headers['last-event-id'] || headers['Last-Event-ID'] || query.lastEventId;
+
+    return parseInt(lastEventId) || 0;
+  }
+
+  /**
+   * Check whether the client asked for an event stream
+   */
+  static wantsStream(event) {
+    const headers = event.headers || {};
+    const query = event.queryStringParameters || {};
+    const accept = headers.accept || headers.Accept || '';
+
+    return query.stream === 'true' || accept.includes('text/event-stream');
+  }
+}
+
+module.exports = EventStream;
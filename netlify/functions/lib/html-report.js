@@ -0,0 +1,290 @@
+const ScreenshotUtils = require('./screenshot-utils');
+const SecretVault = require('./secret-vault');
+
+const STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0 auto; max-width: 1100px; padding: 24px; color: #1f2328; background: #f6f8fa; }
+h1 { font-size: 22px; margin: 0 0 8px; }
+h2 { font-size: 18px; margin: 32px 0 12px; }
+h3 { font-size: 15px; margin: 0 0 8px; display: flex; justify-content: space-between; }
+section, article { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 16px; margin-bottom: 16px; }
+table { border-collapse: collapse; }
+th, td { text-align: left; padding: 4px 12px 4px 0; vertical-align: top; }
+th { color: #59636e; font-weight: 500; }
+time, .muted { color: #59636e; font-size: 12px; font-weight: normal; }
+.badge { display: inline-block; padding: 2px 10px; border-radius: 12px; color: #fff; font-weight: 600; font-size: 13px; }
+.passed { background: #1a7f37; } .failed, .cancelled { background: #cf222e; } .queued, .running { background: #9a6700; }
+.met { color: #1a7f37; } .unmet { color: #cf222e; }
+.reasoning { white-space: pre-wrap; background: #f6f8fa; border-left: 3px solid #0969da; padding: 8px 12px; margin: 8px 0; }
+.error { border-color: #cf222e; }
+.error pre { color: #cf222e; }
+ol.actions { padding-left: 20px; }
+ol.actions li { margin-bottom: 16px; }
+code { background: #eff1f3; padding: 1px 6px; border-radius: 4px; }
+figure { margin: 8px 0; }
+figcaption { color: #59636e; font-size: 12px; margin-top: 4px; }
+img { max-width: 100%; border: 1px solid #d0d7de; border-radius: 4px; }
+pre { white-space: pre-wrap; word-break: break-word; font-size: 12px; }
+`;
+
+/**
+ * Single-file HTML report for one run: summary, verdict, and a timeline of each
+ * iteration with Claude's reasoning, the actions taken and the screen at that point
+ *
+ * Works from a history record (see TestRegistry.getHistoryRecord), so it can be
+ * generated for live runs and for runs loaded from history alike. The page has no
+ * scripts and every recorded value is escaped.
+ */
+class HtmlReport {
+  /**
+   * Render the report
+   */
+  static async generate(run) {
+    const timeline = this.buildTimeline(run);
+    const sections = [];
+
+    for (const section of timeline) {
+      sections.push(await this.renderSection(section));
+    }
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${this.escape(`Test run ${run.testId}`)}</title>`,
+      `<style>${STYLES}</style>`,
+      '</head>',
+      '<body>',
+      this.renderSummary(run),
+      this.renderVerdict(run.verdict),
+      this.renderError(run),
+      '<h2>Timeline</h2>',
+      ...sections,
+      '</body>',
+      '</html>'
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * Split a "[timestamp] message" log into entries (multi-line messages stay together)
+   */
+  static parseLog(log = '') {
+    const entries = [];
+
+    for (const line of log.split('\n')) {
+      const match = line.match(/^\[(\d{4}-\d{2}-\d{2}T[^\]]+)\] (.*)$/);
+      if (match) {
+        entries.push({ time: Date.parse(match[1]), timestamp: match[1], message: match[2] });
+      } else if (entries.length > 0 && line) {
+        entries[entries.length - 1].message += `\n${line}`;
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Group log entries, trace steps and screenshots into a setup section and one section per iteration
+   */
+  static buildTimeline(run) {
+    const sections = [{ title: 'Setup', start: 0, entries: [], steps: [], screenshots: [] }];
+
+    for (const entry of this.parseLog(run.log)) {
+      const iteration = entry.message.match(/^Claude iteration (\d+)$/);
+      if (iteration) {
+        sections.push({ title: `Iteration ${iteration[1]}`, start: entry.time, timestamp: entry.timestamp, entries: [], steps: [], screenshots: [] });
+        continue;
+      }
+      sections[sections.length - 1].entries.push(entry);
+    }
+
+    // Anything recorded at or after an iteration's marker belongs to it
+    const sectionAt = timestamp => {
+      const time = Date.parse(timestamp);
+      return [...sections].reverse().find(section => section.start <= time) || sections[0];
+    };
+
+    const steps = run.trace ? run.trace.steps : [];
+    for (const step of steps) {
+      sectionAt(step.startedAt).steps.push(step);
+    }
+
+    // Action screenshots already show these; the error state is shown with the error
+    for (const screenshot of run.screenshots || []) {
+      if (screenshot.step === 'Error state') continue;
+      const section = sectionAt(screenshot.timestamp);
+      if (section.steps.length === 0) {
+        section.screenshots.push(screenshot);
+      }
+    }
+
+    return sections.filter(section => section.entries.length + section.steps.length + section.screenshots.length > 0);
+  }
+
+  static renderSummary(run) {
+    const usage = run.usage
+      ? `${run.usage.requests} requests, ${run.usage.inputTokens} input / ${run.usage.outputTokens} output tokens`
+      : null;
+
+    const rows = [
+      ['Test ID', run.testId],
+      ['Status', run.status],
+      ['Website', run.options && run.options.websiteUrl],
+      ['Execution mode', run.executionMode],
+      ['Started', run.startedAt || run.createdAt],
+      ['Completed', run.completedAt],
+      ['Duration', run.duration !== null && run.duration !== undefined ? `${run.duration.toFixed(1)}s` : null],
+      ['Claude usage', usage],
+      ['Replay', run.replay ? `${run.replay.replayedSteps} of ${run.replay.totalSteps} steps replayed${run.replay.fellBackToClaude ? `, handed to Claude at step ${run.replay.divergedAt}` : ''}` : null]
+    ].filter(([, value]) => value !== null && value !== undefined);
+
+    return [
+      '<section>',
+      `<h1>${this.escape(run.instruction)}</h1>`,
+      `<p><span class="badge ${this.escape(run.status)}">${this.escape(String(run.status).toUpperCase())}</span></p>`,
+      '<table>',
+      ...rows.map(([label, value]) => `<tr><th>${label}</th><td>${this.escape(value)}</td></tr>`),
+      '</table>',
+      '</section>'
+    ].join('\n');
+  }
+
+  static renderVerdict(verdict) {
+    if (!verdict) return '';
+
+    const lines = [
+      '<section>',
+      `<h2>Verdict: ${verdict.passed ? 'passed' : 'failed'}</h2>`,
+      `<p>${this.escape(verdict.summary)}</p>`
+    ];
+
+    if (verdict.expectations && verdict.expectations.length > 0) {
+      lines.push('<table>', '<tr><th>Expectation</th><th>Result</th><th>Evidence</th></tr>');
+      for (const result of verdict.expectations) {
+        lines.push(`<tr><td>${this.escape(result.expectation)}</td><td class="${result.met ? 'met' : 'unmet'}">${result.met ? 'Met' : 'Not met'}</td><td>${this.escape(result.evidence || '')}</td></tr>`);
+      }
+      lines.push('</table>');
+    } else if (verdict.failedExpectations && verdict.failedExpectations.length > 0) {
+      lines.push('<h3>Failed expectations</h3>', this.renderList(verdict.failedExpectations));
+    }
+
+    if (verdict.observations && verdict.observations.length > 0) {
+      lines.push('<h3>Observations</h3>', this.renderList(verdict.observations));
+    }
+
+    lines.push('</section>');
+    return lines.join('\n');
+  }
+
+  static renderError(run) {
+    if (!run.error) return '';
+
+    const errorScreenshot = (run.screenshots || []).find(screenshot => screenshot.step === 'Error state');
+
+    return [
+      '<section class="error">',
+      '<h2>Error</h2>',
+      `<pre>${this.escape(run.error)}</pre>`,
+      errorScreenshot ? this.renderFigure(errorScreenshot.image_base64, `Error state at ${errorScreenshot.timestamp}`) : '',
+      '</section>'
+    ].join('\n');
+  }
+
+  static async renderSection(section) {
+    const reasoning = section.entries.filter(entry => entry.message.startsWith('Claude: '));
+    const lines = [
+      '<article>',
+      `<h3>${this.escape(section.title)}${section.timestamp ? ` <time>${this.escape(section.timestamp)}</time>` : ''}</h3>`,
+      ...reasoning.map(entry => `<div class="reasoning">${this.escape(entry.message.slice('Claude: '.length))}</div>`)
+    ];
+
+    if (section.steps.length > 0) {
+      lines.push('<ol class="actions">');
+      for (const step of section.steps) {
+        lines.push(`<li><code>${this.escape(this.describeStep(step))}</code> <span class="muted">&rarr; ${this.escape(step.result)}</span> <time>${this.escape(step.startedAt)}</time>`);
+        const image = await this.getStepImage(step);
+        if (image) {
+          lines.push(this.renderFigure(image.data, image.caption));
+        }
+        lines.push('</li>');
+      }
+      lines.push('</ol>');
+    }
+
+    for (const screenshot of section.screenshots) {
+      lines.push(this.renderFigure(screenshot.image_base64, `${screenshot.step} at ${screenshot.timestamp}`));
+    }
+
+    const notes = section.entries.filter(entry => !entry.message.startsWith('Claude: '));
+    if (notes.length > 0) {
+      lines.push(
+        `<details><summary>Log (${notes.length} ${notes.length === 1 ? 'entry' : 'entries'})</summary>`,
+        `<pre>${notes.map(entry => this.escape(`[${entry.timestamp}] ${entry.message}`)).join('\n')}</pre>`,
+        '</details>'
+      );
+    }
+
+    lines.push('</article>');
+    return lines.join('\n');
+  }
+
+  /**
+   * Clicks and scrolls show the screen they acted on, marked at the coordinate;
+   * other actions show the screen that followed them
+   */
+  static async getStepImage(step) {
+    if (step.coordinate && step.preScreenshot) {
+      const [x, y] = step.coordinate;
+      try {
+        const annotated = await ScreenshotUtils.annotateScreenshot(step.preScreenshot, [{ type: 'click', x, y }]);
+        return { data: annotated.data, caption: `Before ${step.action} at (${x}, ${y})` };
+      } catch (error) {
+        return { data: step.preScreenshot, caption: `Before ${step.action} at (${x}, ${y})` };
+      }
+    }
+
+    if (step.postScreenshot) {
+      return { data: step.postScreenshot, caption: `After ${step.action || step.tool}` };
+    }
+
+    return null;
+  }
+
+  static describeStep(step) {
+    switch (step.action) {
+      case 'click':
+        return `click (${step.coordinate[0]}, ${step.coordinate[1]})`;
+      case 'type':
+        return `type ${JSON.stringify(step.text)}`;
+      case 'key':
+        return `key ${step.key}`;
+      case 'scroll':
+        return `scroll ${step.direction} at (${step.coordinate[0]}, ${step.coordinate[1]})`;
+      default:
+        if (step.tool === SecretVault.TOOL_NAME) {
+          return `type ${SecretVault.placeholder(step.secret)}`;
+        }
+        return step.action || (step.command ? `${step.tool}: ${step.command}` : step.tool);
+    }
+  }
+
+  static renderFigure(image, caption) {
+    const src = image.startsWith('data:') ? image : `data:image/png;base64,${image}`;
+    return `<figure><img src="${this.escape(src)}" alt="${this.escape(caption)}"><figcaption>${this.escape(caption)}</figcaption></figure>`;
+  }
+
+  static renderList(items) {
+    return `<ul>${items.map(item => `<li>${this.escape(item)}</li>`).join('')}</ul>`;
+  }
+
+  static escape(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = HtmlReport;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+// {{name}} placeholders; whitespace inside the braces is allowed
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Built-in values, generated once per run so repeated placeholders agree
+const GENERATORS = {
+  uuid: () => crypto.randomUUID(),
+  shortId: () => crypto.randomBytes(4).toString('hex'),
+  timestamp: now => String(now.getTime()),
+  isoTimestamp: now => now.toISOString(),
+  date: now => now.toISOString().slice(0, 10),
+  randomNumber: () => String(crypto.randomInt(100000, 1000000)),
+  uniqueEmail: now => `qa+${now.getTime()}-${crypto.randomBytes(3).toString('hex')}@${process.env.TEST_EMAIL_DOMAIN || 'example.com'}`
+};
+
+/**
+ * Instructions and expectations with {{name}} placeholders
+ *
+ * Placeholders are filled from a variables object, falling back to the built-in
+ * generators (uuid, shortId, timestamp, isoTimestamp, date, randomNumber, uniqueEmail).
+ * A data table (array of variable objects) expands one template into a run per row.
+ */
+class InstructionTemplate {
+  static GENERATORS = Object.keys(GENERATORS);
+
+  /**
+   * Placeholder names used in a text, in order of first use
+   */
+  static getPlaceholders(text) {
+    return [...new Set([...String(text).matchAll(PLACEHOLDER)].map(match => match[1]))];
+  }
+
+  /**
+   * Check whether an instruction or its expectations need resolving
+   */
+  static hasPlaceholders(instruction, expectations = []) {
+    return [instruction, ...expectations].some(text => this.getPlaceholders(text).length > 0);
+  }
+
+  /**
+   * Resolve an instruction and its expectations
+   * Returns { instruction, expectations, values } with the value used for each placeholder,
+   * or { error } naming placeholders that have neither a variable nor a generator
+   */
+  static render(instruction, expectations, variables = {}, now = new Date()) {
+    const texts = [instruction, ...(expectations || [])];
+    const names = [...new Set(texts.flatMap(text => this.getPlaceholders(text)))];
+
+    const missing = names.filter(name => !Object.prototype.hasOwnProperty.call(variables, name) && !GENERATORS[name]);
+    if (missing.length > 0) {
+      return { error: `No value for placeholder${missing.length === 1 ? '' : 's'} ${missing.map(name => `{{${name}}}`).join(', ')}` };
+    }
+
+    const values = {};
+    for (const name of names) {
+      values[name] = Object.prototype.hasOwnProperty.call(variables, name)
+        ? String(variables[name])
+        : GENERATORS[name](now);
+    }
+
+    const fill = text => text.replace(PLACEHOLDER, (match, name) => values[name]);
+
+    return {
+      instruction: fill(instruction),
+      expectations: expectations === undefined ? undefined : expectations.map(fill),
+      values
+    };
+  }
+
+  /**
+   * Check a variables object, returning an error message or null
+   */
+  static validateVariables(variables, field = 'variables') {
+    if (variables === undefined) return null;
+
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      return `${field} must be an object`;
+    }
+
+    const invalid = Object.entries(variables)
+      .find(([, value]) => !['string', 'number', 'boolean'].includes(typeof value));
+    if (invalid) {
+      return `${field}.${invalid[0]} must be a string, number or boolean`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a data table, returning an error message or null
+   */
+  static validateData(data, maxRows) {
+    if (!Array.isArray(data) || data.length === 0) {
+      return 'data must be a non-empty array of variable objects';
+    }
+
+    if (data.length > maxRows) {
+      return `data may contain at most ${maxRows} rows`;
+    }
+
+    for (const [index, row] of data.entries()) {
+      const error = this.validateVariables(row, `data[${index}]`);
+      if (error) return error;
+    }
+
+    return null;
+  }
+
+  /**
+   * Short label for a data row, used in case names
+   */
+  static describeRow(row, index) {
+    const values = Object.entries(row).map(([name, value]) => `${name}=${value}`).join(', ');
+    return `row ${index + 1}${values ? `: ${values}` : ''}`;
+  }
+}
+
+module.exports = InstructionTemplate;
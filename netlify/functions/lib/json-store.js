@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+
+// Netlify Blobs sends metadata base64-encoded in a header and rejects anything over 2 KB
+const METADATA_HEADER = 'netlify-blobs-metadata';
+const METADATA_MAX_SIZE = 2 * 1024;
+
+/**
+ * Storage adapters for JSON documents kept under a namespace (run history, saved tests)
+ *
+ * Every adapter exposes the same async interface:
+ *   save(key, value, metadata)  -> store a document, with an optional small metadata object
+ *   create(key, value)          -> store a document only if the key is new; true if it was
+ *   get(key)                    -> document or null
+ *   getMetadata(key)            -> metadata or null
+ *   delete(key)                 -> true if the key existed
+ *   keys(prefix)                -> every stored key, or those starting with prefix
+ *
+ * Metadata is meant for summaries that let lists be filtered without loading whole documents.
+ * Blobs refuses metadata larger than METADATA_MAX_SIZE once encoded (see metadataSize).
+ */
+
+/**
+ * Documents on the local filesystem: <dir>/<key>.json plus <key>.meta.json when there is metadata
+ */
+class FileJsonStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async save(key, value, metadata = null) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.getPath(key, 'json'), JSON.stringify(value));
+    if (metadata) {
+      fs.writeFileSync(this.getPath(key, 'meta.json'), JSON.stringify(metadata));
+    }
+  }
+
+  async create(key, value) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    try {
+      fs.writeFileSync(this.getPath(key, 'json'), JSON.stringify(value), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  async get(key) {
+    return this.read(this.getPath(key, 'json'));
+  }
+
+  async getMetadata(key) {
+    return this.read(this.getPath(key, 'meta.json'));
+  }
+
+  async delete(key) {
+    const existed = fs.existsSync(this.getPath(key, 'json'));
+    fs.rmSync(this.getPath(key, 'json'), { force: true });
+    fs.rmSync(this.getPath(key, 'meta.json'), { force: true });
+    return existed;
+  }
+
+  async keys(prefix = '') {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir)
+      .filter(file => file.startsWith(prefix) && file.endsWith('.json') && !file.endsWith('.meta.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+
+  read(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  getPath(key, extension) {
+    return path.join(this.dir, `${key}.${extension}`);
+  }
+}
+
+/**
+ * Documents in a Netlify Blobs store, or anything with the same
+ * setJSON/get/getMetadata/delete/list interface (see MemoryBlobStore)
+ */
+class BlobJsonStore {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async save(key, value, metadata = null) {
+    await this.store.setJSON(key, value, metadata ? { metadata } : {});
+  }
+
+  async create(key, value) {
+    const { modified } = await this.store.setJSON(key, value, { onlyIfNew: true });
+    return modified;
+  }
+
+  async get(key) {
+    return this.store.get(key, { type: 'json' });
+  }
+
+  async getMetadata(key) {
+    const entry = await this.store.getMetadata(key);
+    return entry ? entry.metadata : null;
+  }
+
+  async delete(key) {
+    const existed = Boolean(await this.store.getMetadata(key));
+    await this.store.delete(key);
+    return existed;
+  }
+
+  async keys(prefix = '') {
+    const { blobs } = await this.store.list(prefix ? { prefix } : {});
+    return blobs.map(blob => blob.key);
+  }
+}
+
+/**
+ * In-memory stand-in for a Netlify Blobs store, for tests and local runs without Netlify
+ */
+class MemoryBlobStore {
+  constructor() {
+    this.blobs = new Map(); // key -> { data, metadata }
+  }
+
+  async setJSON(key, value, options = {}) {
+    if (options.metadata && metadataSize(options.metadata) > METADATA_MAX_SIZE) {
+      throw new Error('Metadata object exceeds the maximum size');
+    }
+    if (options.onlyIfNew && this.blobs.has(key)) {
+      return { modified: false };
+    }
+
+    const data = JSON.stringify(value);
+    this.blobs.set(key, { data, metadata: options.metadata || {} });
+    return { modified: true, etag: String(data.length) };
+  }
+
+  async get(key, options = {}) {
+    const blob = this.blobs.get(key);
+    if (!blob) return null;
+    return options.type === 'json' ? JSON.parse(blob.data) : blob.data;
+  }
+
+  async getMetadata(key) {
+    const blob = this.blobs.get(key);
+    return blob ? { etag: String(blob.data.length), metadata: blob.metadata } : null;
+  }
+
+  async delete(key) {
+    this.blobs.delete(key);
+  }
+
+  async list(options = {}) {
+    const keys = [...this.blobs.keys()].filter(key => key.startsWith(options.prefix || ''));
+    return {
+      blobs: keys.map(key => ({ key, etag: String(this.blobs.get(key).data.length) })),
+      directories: []
+    };
+  }
+}
+
+/**
+ * Size of a metadata object as Netlify Blobs measures it against METADATA_MAX_SIZE
+ */
+function metadataSize(metadata) {
+  const encoded = `b64;${Buffer.from(JSON.stringify(metadata)).toString('base64')}`;
+  return METADATA_HEADER.length + encoded.length;
+}
+
+/**
+ * Create a store for a namespace: "file" (.netlify/<namespace> unless dir is given),
+ * "blobs" (the Netlify Blobs store named blobStoreName, or the namespace) or "memory"
+ * consistency: "strong" makes Blobs reads see every write that has finished
+ */
+function createJsonStore(type, namespace, { dir, blobStoreName, consistency } = {}) {
+  switch (type) {
+    case 'file':
+      return new FileJsonStore(dir || path.join(process.cwd(), '.netlify', namespace));
+    case 'blobs':
+      return new BlobJsonStore(require('@netlify/blobs').getStore({ name: blobStoreName || namespace, consistency }));
+    case 'memory':
+      return new BlobJsonStore(new MemoryBlobStore());
+    default:
+      throw new Error(`Unknown ${namespace} store "${type}" (expected file, blobs or memory)`);
+  }
+}
+
+/**
+ * Make the Blobs context of a Lambda-style invocation available to getStore()
+ */
+function connectBlobs(event) {
+  if (event.blobs) {
+    require('@netlify/blobs').connectLambda(event);
+  }
+}
+
+module.exports = {
+  FileJsonStore,
+  BlobJsonStore,
+  MemoryBlobStore,
+  createJsonStore,
+  connectBlobs,
+  metadataSize,
+  METADATA_MAX_SIZE
+};
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const cron = require('node-cron');
+const CronSchedule = require('./cron-schedule');
+const Verdict = require('./verdict');
+const InstructionTemplate = require('./instruction-template');
+const WebhookNotifier = require('./webhook-notifier');
+const BackgroundTrigger = require('./background-trigger');
+const runHistory = require('./run-history');
+const testRegistry = require('./test-registry');
+const redactor = require('./redactor');
+
+/**
+ * Synthetic monitors: saved test definitions that run on a cron schedule
+ *
+ * Definitions come from MONITORS (a JSON array) or MONITORS_FILE (path to a JSON
+ * file holding the same array). Each entry looks like:
+ *   { "name": "signup", "schedule": "0 * * * *", "instruction": "...",
+ *     "expectations": ["..."], "options": { "executionMode": "puppeteer" },
+ *     "alertUrl": "https://hooks.example.com/monitors", "client": "ci", "timezone": "UTC" }
+ *
+ * Every run is kept in run history under the monitor's name. A monitor is "passing"
+ * while its last run passed and "failing" otherwise; alerts go out only when that
+ * state changes, to alertUrl or MONITOR_ALERT_URL.
+ *
+ * Checks may start in any function instance, so the lock that keeps two checks of a
+ * monitor from overlapping lives in the shared run state store as monitor-lock-<name>.
+ * It expires after MONITOR_LOCK_MINUTES in case the instance holding it dies.
+ */
+class Monitors {
+  constructor() {
+    this.config = {
+      alertUrl: process.env.MONITOR_ALERT_URL || null,
+      webhookSecret: process.env.WEBHOOK_SECRET,
+      triggerSecret: process.env.MONITOR_SECRET,
+      lockMinutes: parseFloat(process.env.MONITOR_LOCK_MINUTES) || 15 // The longest a background function runs
+    };
+    this.definitions = null;
+    this.states = new Map(); // name -> { state, testId, completedAt } of the last run
+  }
+
+  /**
+   * Load configured monitors (cached after the first call); invalid entries are logged and skipped
+   */
+  getDefinitions() {
+    if (this.definitions) {
+      return this.definitions;
+    }
+
+    let entries = [];
+    try {
+      if (process.env.MONITORS) {
+        entries = JSON.parse(process.env.MONITORS);
+      } else if (process.env.MONITORS_FILE) {
+        entries = JSON.parse(fs.readFileSync(process.env.MONITORS_FILE, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Failed to load monitors:', error.message);
+      entries = [];
+    }
+
+    this.definitions = [];
+    for (const [index, entry] of (Array.isArray(entries) ? entries : []).entries()) {
+      const error = this.validate(entry);
+      if (error) {
+        console.error(`Skipping monitor ${index}: ${error}`);
+        continue;
+      }
+      this.definitions.push({
+        name: entry.name,
+        schedule: entry.schedule,
+        timezone: entry.timezone || null,
+        instruction: entry.instruction,
+        expectations: entry.expectations,
+        variables: entry.variables || {},
+        options: entry.options || {},
+        alertUrl: entry.alertUrl || null,
+        client: entry.client || null,
+        priority: entry.priority || 'normal'
+      });
+    }
+
+    return this.definitions;
+  }
+
+  /**
+   * Replace the configured monitors (used by tests) or pass null to reload them
+   */
+  useDefinitions(definitions) {
+    this.definitions = definitions;
+    this.states.clear();
+  }
+
+  /**
+   * Look up a monitor by name
+   */
+  get(name) {
+    return this.getDefinitions().find(definition => definition.name === name) || null;
+  }
+
+  /**
+   * Check a monitor definition, returning an error message or null
+   */
+  validate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      return 'monitor must be an object';
+    }
+
+    // Names appear in history filters and alert payloads
+    if (typeof definition.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(definition.name)) {
+      return 'name must contain only letters, digits, "-" and "_"';
+    }
+
+    if (this.definitions && this.definitions.some(existing => existing.name === definition.name)) {
+      return `duplicate monitor name "${definition.name}"`;
+    }
+
+    if (typeof definition.schedule !== 'string' || !cron.validate(definition.schedule)) {
+      return `monitor "${definition.name}" has an invalid cron schedule`;
+    }
+
+    if (typeof definition.instruction !== 'string' || !definition.instruction) {
+      return `monitor "${definition.name}" is missing a string instruction`;
+    }
+
+    const expectationsError = Verdict.validateExpectations(definition.expectations);
+    if (expectationsError) {
+      return `monitor "${definition.name}": ${expectationsError}`;
+    }
+
+    const variablesError = InstructionTemplate.validateVariables(definition.variables);
+    if (variablesError) {
+      return `monitor "${definition.name}": ${variablesError}`;
+    }
+
+    if (definition.alertUrl !== undefined) {
+      const urlError = WebhookNotifier.validateUrl(definition.alertUrl);
+      if (urlError) {
+        return `monitor "${definition.name}": ${urlError.replace('callbackUrl', 'alertUrl')}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Monitors whose schedule matches the given minute (for callers that tick once a minute)
+   */
+  getDue(date = new Date()) {
+    const minute = new Date(date);
+    minute.setSeconds(0, 0);
+
+    return this.getDefinitions().filter(definition =>
+      new CronSchedule(definition.schedule, definition.timezone || null).matches(minute));
+  }
+
+  /**
+   * Take the monitor's shared lock, returning false if a previous run in any instance has not finished yet
+   * An expired lock is removed and taken over
+   */
+  async start(name) {
+    const store = testRegistry.getStore();
+    const key = `monitor-lock-${name}`;
+    const lock = () => store.create(key, {
+      lockedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + this.config.lockMinutes * 60 * 1000).toISOString()
+    });
+
+    if (await lock()) return true;
+    if (await this.isRunning(name)) return false;
+
+    await store.delete(key);
+    return lock();
+  }
+
+  /**
+   * Release the monitor's lock once its run has finished
+   */
+  async finish(name) {
+    await testRegistry.getStore().delete(`monitor-lock-${name}`);
+  }
+
+  /**
+   * Whether a run of the monitor holds an unexpired lock
+   */
+  async isRunning(name) {
+    const lock = await testRegistry.getStore().get(`monitor-lock-${name}`);
+    return Boolean(lock) && Date.parse(lock.expiresAt) > Date.now();
+  }
+
+  /**
+   * Headers for a request asking the background function to run a monitor, signed with MONITOR_SECRET
+   */
+  signTrigger(body) {
+    return BackgroundTrigger.sign(body, this.config.triggerSecret);
+  }
+
+  /**
+   * Check that a trigger request was signed with MONITOR_SECRET in the last few minutes
+   */
+  verifyTrigger(event) {
+    return BackgroundTrigger.verify(event, this.config.triggerSecret);
+  }
+
+  /**
+   * Current state of a monitor: { state: 'passing'|'failing'|'unknown', testId, completedAt }
+   * Taken from run history when this instance has not run the monitor yet, ignoring excludeTestId
+   */
+  async getState(name, excludeTestId = null) {
+    if (this.states.has(name)) {
+      return this.states.get(name);
+    }
+
+    let state = { state: 'unknown', testId: null, completedAt: null };
+    try {
+      const last = (await runHistory.list({ monitor: name, limit: 2 })).find(run => run.testId !== excludeTestId);
+      if (last) {
+        state = { state: last.status === 'passed' ? 'passing' : 'failing', testId: last.testId, completedAt: last.completedAt };
+      }
+    } catch (error) {
+      console.error(`Monitor "${name}": failed to read run history:`, error.message);
+    }
+
+    return state;
+  }
+
+  /**
+   * Record a finished monitor run and alert if the monitor changed state
+   * A monitor without earlier runs counts as passing, so a first failure alerts
+   */
+  async recordRun(definition, run) {
+    const previous = await this.getState(definition.name, run.testId);
+    const state = run.status === 'passed' ? 'passing' : 'failing';
+    const previousState = previous.state === 'unknown' ? 'passing' : previous.state;
+    const changed = state !== previousState;
+
+    this.states.set(definition.name, { state, testId: run.testId, completedAt: run.completedAt });
+
+    console.log(`[${run.testId}] Monitor "${definition.name}" is ${state}${changed ? ` (was ${previousState})` : ''}`);
+
+    let alert = null;
+    if (changed) {
+      alert = await this.sendAlert(definition, run, state, previousState);
+    }
+
+    return { state, previousState, changed, alert };
+  }
+
+  /**
+   * Deliver the signed state-change alert, if an alert URL is configured
+   */
+  async sendAlert(definition, run, state, previousState) {
+    const url = definition.alertUrl || this.config.alertUrl;
+    if (!url) {
+      return null;
+    }
+
+    if (!this.config.webhookSecret) {
+      console.error(`Monitor "${definition.name}": WEBHOOK_SECRET is required to send alerts`);
+      return { url, delivered: false, attempts: [] };
+    }
+
+    const payload = {
+      monitor: definition.name,
+      state,
+      previousState,
+      testId: run.testId,
+      status: run.status,
+      instruction: definition.instruction,
+      summary: run.verdict ? run.verdict.summary : run.error,
+      failedExpectations: run.verdict ? run.verdict.failedExpectations : [],
+      completedAt: run.completedAt,
+      timestamp: new Date().toISOString()
+    };
+
+    console.log(`[${run.testId}] Sending ${state} alert for monitor "${definition.name}" to ${url}`);
+
+    const delivery = await WebhookNotifier.deliver(url, redactor.redact(payload), {
+      secret: this.config.webhookSecret,
+      eventType: 'monitor.state_changed'
+    });
+
+    if (!delivery.delivered) {
+      console.error(`[${run.testId}] Monitor alert delivery failed after ${delivery.attempts.length} attempts`);
+    }
+
+    return { url, ...delivery };
+  }
+}
+
+// Create singleton instance
+const monitors = new Monitors();
+
+module.exports = monitors;
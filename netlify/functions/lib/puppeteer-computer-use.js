@@ -1,14 +1,26 @@
+const EventEmitter = require('events');
 const Anthropic = require('@anthropic-ai/sdk');
 const puppeteer = require('puppeteer-core');
 const chromium = require('@sparticuz/chromium');
-
-class PuppeteerComputerUse {
+const DomainGuard = require('./domain-guard');
+const Verdict = require('./verdict');
+const SecretVault = require('./secret-vault');
+const RunLog = require('./run-log');
+const tracing = require('./tracing');
+const ActionTrace = require('./action-trace');
+const TraceReplayer = require('./trace-replayer');
+
+class PuppeteerComputerUse extends EventEmitter {
   constructor(options) {
+    super();
     this.apiKey = options.apiKey;
     this.testId = options.testId;
     this.options = options.options || {};
     this.screenshots = [];
     this.log = '';
+    this.iteration = 0;
+    this.cancelled = false;
+    this.abortController = new AbortController();
     this.browser = null;
     this.page = null;
     
@@ -19,8 +31,21 @@ class PuppeteerComputerUse {
 
     // Computer use configuration
     this.display = { width: 1280, height: 720 };
+    this.model = 'claude-sonnet-4-20250514';
     this.maxIterations = 20; // Prevent runaway costs
     this.websiteUrl = this.options.websiteUrl || 'app.giftround.com';
+    this.allowedHosts = this.options.allowedHosts || DomainGuard.getAllowedHosts();
+    this.blockedNavigations = [];
+    this.blockedHosts = new Set(); // hosts of blocked subresource requests, logged once each
+    this.expectations = this.options.expectations || [];
+    this.secrets = this.options.secrets || [];
+    this.runLog = new RunLog(this.testId, { secrets: this.secrets });
+    this.runSpan = options.span || null; // Parent for this run's spans (see tracing.js)
+    this.iterationSpan = null;
+    this.toolSpan = null;
+    this.verdict = null;
+    this.trace = null;
+    this.usage = { requests: 0, inputTokens: 0, outputTokens: 0 };
   }
 
   /**
@@ -28,31 +53,47 @@ class PuppeteerComputerUse {
    */
   async execute(instruction) {
     this.addLog(`Starting execution with Puppeteer: ${instruction}`);
+    if (this.options.recordTrace !== false) {
+      this.trace = new ActionTrace({
+        testId: this.testId,
+        instruction,
+        executionMode: 'puppeteer',
+        websiteUrl: this.websiteUrl,
+        display: this.display
+      });
+    }
     
     try {
       // Initialize browser
-      await this.initializeBrowser();
+      await tracing.withSpan('browser.launch', this.runSpan, {}, () => this.initializeBrowser());
 
       // Navigate to the website
-      await this.navigateToWebsite();
+      await tracing.withSpan('browser.navigate', this.runSpan, { 'url.full': `https://${this.websiteUrl}` }, () => this.navigateToWebsite());
 
       // Initial screenshot
       if (this.options.takeScreenshots) {
         await this.captureScreenshot('Initial state');
       }
 
-      // Execute the instruction using Claude's computer use
-      const result = await this.runClaudeWithComputerUse(instruction);
+      // Replay a recorded trace when asked, otherwise let Claude drive
+      const result = this.options.replay
+        ? await new TraceReplayer(this, this.options.replay.trace, this.options.replay).run(instruction)
+        : await this.runClaudeWithComputerUse(instruction);
+
+      if (this.trace) {
+        this.trace.verdict = this.verdict;
+      }
 
       this.addLog('Execution completed successfully');
       return {
         screenshots: this.screenshots,
         log: this.log,
+        events: this.runLog.events,
         result: result
       };
 
     } catch (error) {
-      this.addLog(`Execution failed: ${error.message}`);
+      this.addLog(`Execution failed: ${error.message}`, { level: 'error', type: 'error' });
       throw error;
     } finally {
       await this.cleanup();
@@ -94,6 +135,8 @@ class PuppeteerComputerUse {
         height: this.display.height
       });
 
+      await this.installNavigationGuard();
+
       this.addLog('Puppeteer browser initialized successfully');
 
     } catch (error) {
@@ -101,6 +144,63 @@ class PuppeteerComputerUse {
     }
   }
 
+  /**
+   * Block navigations (in any frame) and subresource requests to origins outside the allowlist,
+   * and close popups and new tabs
+   */
+  async installNavigationGuard() {
+    await this.page.setRequestInterception(true);
+    // Service workers fetch outside request interception
+    await this.page.setBypassServiceWorker(true);
+
+    this.page.on('request', request => {
+      const url = request.url();
+      if (DomainGuard.isAllowedResource(url, this.allowedHosts)) {
+        request.continue();
+        return;
+      }
+
+      if (request.isNavigationRequest()) {
+        this.blockedNavigations.push({ url, timestamp: new Date().toISOString() });
+        this.addLog(`Blocked navigation to non-allowlisted origin: ${url}`, { level: 'warn' });
+      } else {
+        const host = DomainGuard.normalizeHost(url) || url;
+        if (!this.blockedHosts.has(host)) {
+          this.blockedHosts.add(host);
+          this.addLog(`Blocked requests to non-allowlisted host: ${host}`, { level: 'warn' });
+        }
+      }
+      request.abort('blockedbyclient');
+    });
+
+    // New pages are outside this page's request interception, and Claude only ever sees this page
+    this.browser.on('targetcreated', target => this.closeNewPage(target));
+
+    this.addLog(`Navigation guard enabled for: ${this.allowedHosts.join(', ')}`);
+  }
+
+  /**
+   * Close a popup or new tab as soon as it opens
+   */
+  async closeNewPage(target) {
+    if (target.type() !== 'page' || target === this.page.target()) return;
+
+    const url = target.url();
+    if (!DomainGuard.isAllowedUrl(url, this.allowedHosts)) {
+      this.blockedNavigations.push({ url, timestamp: new Date().toISOString() });
+    }
+    this.addLog(`Closed new browser window: ${url}`, { level: 'warn' });
+
+    try {
+      const page = await target.page();
+      if (page) {
+        await page.close();
+      }
+    } catch (error) {
+      this.addLog(`Could not close new browser window: ${error.message}`, { level: 'warn' });
+    }
+  }
+
   /**
    * Navigate to the target website
    */
@@ -129,6 +229,7 @@ class PuppeteerComputerUse {
    * Run Claude with computer use tools using Puppeteer backend
    */
   async runClaudeWithComputerUse(instruction) {
+    const secretGuidelines = SecretVault.getPromptGuidelines(this.secrets);
     const messages = [
       {
         role: 'user',
@@ -148,27 +249,35 @@ Guidelines:
 
 Available actions: screenshot, click, type, key, scroll
 
-Current browser status: Open and displaying ${this.websiteUrl}`
+Current browser status: Open and displaying ${this.websiteUrl}
+
+${secretGuidelines ? `${secretGuidelines}\n\n` : ''}${Verdict.getPromptGuidelines(this.expectations)}`
       }
     ];
 
     let iteration = 0;
     let lastScreenshot = null;
+    let reminded = false;
 
     while (iteration < this.maxIterations) {
+      this.throwIfCancelled();
       iteration++;
+      this.iteration = iteration;
       this.addLog(`Claude iteration ${iteration}`);
+      this.iterationSpan = tracing.startSpan('claude.iteration', this.runSpan, { 'test.iteration': iteration });
+      let iterationError = null;
 
       try {
         // Get current screenshot for Claude
-        lastScreenshot = await this.takeScreenshotForClaude();
+        lastScreenshot = await tracing.withSpan('screenshot', this.iterationSpan, {}, () => this.takeScreenshotForClaude());
 
         // Prepare tools for Claude
         const tools = this.getComputerUseTools();
 
         // Call Claude with computer use (beta enabled)
-        const response = await this.anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
+        const requestStartedAt = Date.now();
+        const response = await tracing.traceModelCall(this.iterationSpan, this.model, () => this.anthropic.messages.create({
+          model: this.model,
           max_tokens: 4096,
           tools: tools,
           betas: ['computer-use-2025-01-24'],
@@ -195,12 +304,21 @@ Current browser status: Open and displaying ${this.websiteUrl}`
               ]
             }
           ])
-        });
+        }, {
+          signal: this.abortController.signal
+        }));
+        this.recordUsage(response.usage);
 
         // Process Claude's response
-        if (response.content.find(block => block.type === 'text')) {
-          const textContent = response.content.find(block => block.type === 'text').text;
-          this.addLog(`Claude: ${textContent}`);
+        this.logModelResponse(response, (Date.now() - requestStartedAt) / 1000);
+
+        // The report_result tool ends the run with Claude's verdict
+        const report = response.content.find(block => block.type === 'tool_use' && block.name === Verdict.TOOL_NAME);
+        if (report) {
+          this.verdict = Verdict.fromToolInput(report.input, this.expectations);
+          this.addLog(`Claude reported ${this.verdict.passed ? 'PASSED' : 'FAILED'}: ${this.verdict.summary}`, { payload: { verdict: this.verdict } });
+          this.emit('verdict', this.verdict);
+          break;
         }
 
         // Check if Claude wants to use tools
@@ -223,26 +341,80 @@ Current browser status: Open and displaying ${this.websiteUrl}`
               }
             ]
           });
+        } else if (!reminded) {
+          // Claude stopped without a verdict; ask once for the report
+          this.addLog('Claude stopped without reporting a result; asking for a verdict', { level: 'warn' });
+          reminded = true;
+          messages.push({
+            role: 'assistant',
+            content: response.content
+          });
+          messages.push({
+            role: 'user',
+            content: Verdict.getReminder()
+          });
         } else {
-          // No more tool use, Claude is finished
-          this.addLog('Claude indicates task completion');
-          break;
+          throw new Error(`Claude finished without calling ${Verdict.TOOL_NAME}`);
         }
 
         // Rate limiting - small delay between iterations
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        await tracing.withSpan('sleep', this.iterationSpan, { 'wait.ms': 1000 }, () => new Promise(resolve => setTimeout(resolve, 1000)));
 
       } catch (error) {
-        this.addLog(`Error in iteration ${iteration}: ${error.message}`);
+        iterationError = error;
+
+        // Aborted requests and closed browsers surface as assorted errors once cancelled
+        if (this.cancelled) {
+          throw new Error('Test cancelled');
+        }
+
+        this.addLog(`Error in iteration ${iteration}: ${error.message}`, { level: 'error', type: 'error' });
         throw error;
+      } finally {
+        tracing.endSpan(this.iterationSpan, iterationError);
+        this.iterationSpan = null;
       }
     }
 
-    if (iteration >= this.maxIterations) {
+    // The loop only ends early once Claude has reported a verdict
+    if (!this.verdict) {
       throw new Error(`Maximum iterations (${this.maxIterations}) reached`);
     }
 
-    return { iterations: iteration, completed: true };
+    return { iterations: iteration, completed: true, verdict: this.verdict };
+  }
+
+  /**
+   * Accumulate token usage across Claude requests
+   */
+  recordUsage(usage = {}) {
+    this.usage.requests++;
+    this.usage.inputTokens += usage.input_tokens || 0;
+    this.usage.outputTokens += usage.output_tokens || 0;
+  }
+
+  /**
+   * Record Claude's reply with the model, stop reason, requested tools, token usage and latency
+   * Replies without text only reach the structured log
+   */
+  logModelResponse(response, duration) {
+    const text = response.content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+    const toolCalls = response.content.filter(block => block.type === 'tool_use').map(block => block.name);
+    const usage = response.usage || {};
+
+    this.addLog(text ? `Claude: ${text}` : `Claude requested ${toolCalls.join(', ') || 'nothing'}`, {
+      level: text ? 'info' : 'debug',
+      type: 'model_response',
+      duration,
+      payload: {
+        model: response.model || this.model,
+        stopReason: response.stop_reason || null,
+        text,
+        toolCalls,
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0
+      }
+    });
   }
 
   /**
@@ -255,7 +427,9 @@ Current browser status: Open and displaying ${this.websiteUrl}`
         name: 'computer',
         display_width_px: this.display.width,
         display_height_px: this.display.height
-      }
+      },
+      ...(this.secrets.length > 0 ? [SecretVault.getTool(this.secrets)] : []),
+      Verdict.getTool(this.expectations)
     ];
   }
 
@@ -264,17 +438,60 @@ Current browser status: Open and displaying ${this.websiteUrl}`
    */
   async executeComputerUseTool(toolUse) {
     const { name, input } = toolUse;
-    
+    const startedAt = Date.now();
+    this.toolSpan = tracing.startSpan(`tool ${name}`, this.iterationSpan || this.runSpan, { 'tool.name': name, 'computer.action': input.action });
+    this.addLog(`Tool call: ${name}${input.action ? ` ${input.action}` : ''}`, { level: 'debug', type: 'tool_call', payload: { tool: name, input } });
+    const preScreenshot = await this.takeTraceScreenshot();
+    let result;
+
     try {
       switch (name) {
         case 'computer':
-          return await this.handleComputerAction(input);
+          result = await this.handleComputerAction(input);
+          break;
+        case SecretVault.TOOL_NAME:
+          result = await this.handleSecretAction(input);
+          break;
         default:
           throw new Error(`Unknown tool: ${name}`);
       }
+
+      this.emit('action', { iteration: this.iteration, tool: name, ...input, result });
     } catch (error) {
-      this.addLog(`Tool execution failed: ${error.message}`);
-      return `Error: ${error.message}`;
+      this.addLog(`Tool execution failed: ${error.message}`, { level: 'error', type: 'error', payload: { tool: name } });
+      result = `Error: ${error.message}`;
+    }
+
+    if (this.trace) {
+      const postScreenshot = await this.takeTraceScreenshot();
+      this.trace.addStep({ tool: name, input, result, startedAt, preScreenshot, postScreenshot });
+    }
+
+    this.addLog(`Tool result: ${result}`, { level: 'debug', type: 'tool_result', duration: (Date.now() - startedAt) / 1000, payload: { tool: name, result } });
+    tracing.endSpan(this.toolSpan, typeof result === 'string' && result.startsWith('Error') ? { message: result } : null);
+    this.toolSpan = null;
+    return result;
+  }
+
+  /**
+   * Pause after an action so the page can react before the next screenshot
+   */
+  async waitAfterAction(action) {
+    const ms = ActionTrace.getWaitMs(action);
+    await tracing.withSpan('wait', this.toolSpan || this.runSpan, { 'wait.ms': ms }, () => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Screenshot for the action trace; a failed capture only leaves the step without one
+   */
+  async takeTraceScreenshot() {
+    if (!this.trace) return null;
+
+    try {
+      return await this.takeScreenshotForClaude();
+    } catch (error) {
+      this.addLog(`Could not capture trace screenshot: ${error.message}`, { level: 'warn' });
+      return null;
     }
   }
 
@@ -283,7 +500,12 @@ Current browser status: Open and displaying ${this.websiteUrl}`
    */
   async handleComputerAction(input) {
     const { action } = input;
-    
+
+    const inputError = ActionTrace.validateInput(input);
+    if (inputError) {
+      throw new Error(inputError);
+    }
+
     switch (action) {
       case 'screenshot':
         const screenshot = await this.takeScreenshotForClaude();
@@ -296,34 +518,23 @@ Current browser status: Open and displaying ${this.websiteUrl}`
         const { coordinate } = input;
         await this.page.mouse.click(coordinate[0], coordinate[1]);
         this.addLog(`Clicked at coordinates (${coordinate[0]}, ${coordinate[1]})`);
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait for action
+        await this.waitAfterAction(action);
         return `Clicked at (${coordinate[0]}, ${coordinate[1]})`;
 
       case 'type':
         const { text } = input;
         await this.page.keyboard.type(text, { delay: 50 });
         this.addLog(`Typed: ${text}`);
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await this.waitAfterAction(action);
         return `Typed: ${text}`;
 
       case 'key':
         const { key } = input;
         // Map computer use keys to Puppeteer keys
-        const keyMap = {
-          'Return': 'Enter',
-          'Tab': 'Tab',
-          'Escape': 'Escape',
-          'BackSpace': 'Backspace',
-          'Delete': 'Delete',
-          'Up': 'ArrowUp',
-          'Down': 'ArrowDown',
-          'Left': 'ArrowLeft',
-          'Right': 'ArrowRight'
-        };
-        const puppeteerKey = keyMap[key] || key;
+        const puppeteerKey = ActionTrace.toBrowserKey(key);
         await this.page.keyboard.press(puppeteerKey);
         this.addLog(`Pressed key: ${key}`);
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await this.waitAfterAction(action);
         return `Pressed key: ${key}`;
 
       case 'scroll':
@@ -332,7 +543,7 @@ Current browser status: Open and displaying ${this.websiteUrl}`
         await this.page.mouse.move(scrollCoord[0], scrollCoord[1]);
         await this.page.mouse.wheel({ deltaY: delta * clicks });
         this.addLog(`Scrolled ${direction} at (${scrollCoord[0]}, ${scrollCoord[1]})`);
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await this.waitAfterAction(action);
         return `Scrolled ${direction}`;
 
       default:
@@ -340,6 +551,21 @@ Current browser status: Open and displaying ${this.websiteUrl}`
     }
   }
 
+  /**
+   * Type a named secret into the focused field; only its placeholder is logged or returned
+   */
+  async handleSecretAction(input) {
+    const { secret } = input;
+    if (!this.secrets.includes(secret)) {
+      throw new Error(`Secret "${secret}" is not available to this run`);
+    }
+
+    await this.page.keyboard.type(SecretVault.getValue(secret), { delay: 50 });
+    this.addLog(`Typed: ${SecretVault.placeholder(secret)}`);
+    await this.waitAfterAction('type');
+    return `Typed: ${SecretVault.placeholder(secret)}`;
+  }
+
   /**
    * Take screenshot and return base64 data for Claude
    */
@@ -371,11 +597,12 @@ Current browser status: Open and displaying ${this.websiteUrl}`
       };
       
       this.screenshots.push(screenshot);
-      this.addLog(`Screenshot captured: ${step}`);
+      this.emit('screenshot', { iteration: this.iteration, ...screenshot });
+      this.addLog(`Screenshot captured: ${step}`, { type: 'screenshot', payload: { step, index: this.screenshots.length - 1 } });
       
       return screenshot;
     } catch (error) {
-      this.addLog(`Failed to capture screenshot: ${error.message}`);
+      this.addLog(`Failed to capture screenshot: ${error.message}`, { level: 'warn' });
       return null;
     }
   }
@@ -391,19 +618,44 @@ Current browser status: Open and displaying ${this.websiteUrl}`
         this.page = null;
         this.addLog('Browser closed successfully');
       } catch (error) {
-        this.addLog(`Failed to close browser: ${error.message}`);
+        this.addLog(`Failed to close browser: ${error.message}`, { level: 'warn' });
       }
     }
   }
 
   /**
-   * Add entry to execution log
+   * Cancel the run: stop between steps, abort the in-flight Claude request and close the browser
    */
-  addLog(message) {
-    const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] ${message}`;
-    this.log += logEntry + '\n';
-    console.log(`[${this.testId}] ${message}`);
+  async cancel(reason = 'Test cancelled') {
+    if (this.cancelled) return;
+
+    this.cancelled = true;
+    this.addLog(`Cancelling execution: ${reason}`);
+    this.abortController.abort();
+
+    await this.cleanup();
+  }
+
+  /**
+   * Stop the iteration loop once the run has been cancelled
+   */
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw new Error('Test cancelled');
+    }
+  }
+
+  /**
+   * Add an entry to the structured run log, and to the text log at info level and above
+   * details: { level, type, payload, duration } (see RunLog)
+   */
+  addLog(message, details = {}) {
+    // The run log masks secrets and redacts the entry before it is written anywhere
+    const event = this.runLog.add({ message, iteration: this.iteration, ...details });
+    if (!RunLog.isRendered(event)) return;
+
+    this.log += RunLog.render(event) + '\n';
+    this.emit('log', { iteration: this.iteration, message: event.message, timestamp: event.timestamp, level: event.level, type: event.type });
   }
 }
 
@@ -0,0 +1,210 @@
+/**
+ * Rate-limit algorithms
+ *
+ * Each algorithm works on a plain JSON state object (so any rate-limit store can
+ * hold it) and a tier: { algorithm, limit, windowSeconds, burst, blockDurationMinutes }.
+ *   normalize(state, tier, now) -> state brought up to date (fresh when missing)
+ *   check(state, tier, now)     -> null when a request is allowed, else { reason, retryAfter }
+ *   record(state, tier, now)    -> count one request
+ *   getInfo(state, tier, now)   -> { requests, limit, remaining, resetTime, blocked, blockUntil, retryAfter }
+ *   getTtl(tier)                -> how long an untouched state needs to be kept (ms)
+ */
+
+/**
+ * Fixed window: `limit` requests per window, optionally blocking for
+ * blockDurationMinutes once exceeded
+ */
+class FixedWindow {
+  static normalize(state, tier, now) {
+    if (!state || state.algorithm !== 'fixed-window') {
+      return {
+        algorithm: 'fixed-window',
+        count: 0,
+        resetTime: now + tier.windowSeconds * 1000,
+        blocked: false,
+        blockUntil: 0
+      };
+    }
+
+    // Reset counter if window has expired and no block is running
+    if (now > state.resetTime && !(state.blocked && now < state.blockUntil)) {
+      state.count = 0;
+      state.resetTime = now + tier.windowSeconds * 1000;
+      state.blocked = false;
+      state.blockUntil = 0;
+    }
+
+    return state;
+  }
+
+  static check(state, tier, now) {
+    if (state.blocked && now < state.blockUntil) {
+      return {
+        reason: 'Temporarily blocked after exceeding the rate limit',
+        retryAfter: Math.ceil((state.blockUntil - now) / 1000)
+      };
+    }
+
+    if (state.count >= tier.limit) {
+      if (tier.blockDurationMinutes) {
+        state.blocked = true;
+        state.blockUntil = now + tier.blockDurationMinutes * 60 * 1000;
+      }
+
+      return {
+        reason: 'Rate limit exceeded',
+        retryAfter: Math.ceil(((state.blocked ? state.blockUntil : state.resetTime) - now) / 1000)
+      };
+    }
+
+    return null;
+  }
+
+  static record(state) {
+    state.count++;
+  }
+
+  static getInfo(state, tier, now) {
+    const blocked = state.blocked && now < state.blockUntil;
+    const remaining = blocked ? 0 : Math.max(0, tier.limit - state.count);
+
+    return {
+      requests: state.count,
+      limit: tier.limit,
+      remaining,
+      resetTime: state.resetTime,
+      blocked,
+      blockUntil: blocked ? state.blockUntil : null,
+      retryAfter: blocked
+        ? Math.ceil((state.blockUntil - now) / 1000)
+        : remaining === 0 ? Math.ceil((state.resetTime - now) / 1000) : 0
+    };
+  }
+
+  static getTtl(tier) {
+    return Math.max(tier.windowSeconds * 1000, (tier.blockDurationMinutes || 0) * 60 * 1000);
+  }
+}
+
+/**
+ * Sliding window log: at most `limit` requests in any `windowSeconds` span
+ */
+class SlidingWindowLog {
+  static normalize(state, tier, now) {
+    if (!state || state.algorithm !== 'sliding-log') {
+      return { algorithm: 'sliding-log', requests: [] };
+    }
+
+    const windowStart = now - tier.windowSeconds * 1000;
+    state.requests = state.requests.filter(timestamp => timestamp > windowStart);
+    return state;
+  }
+
+  static check(state, tier, now) {
+    if (state.requests.length < tier.limit) {
+      return null;
+    }
+
+    // A slot frees up when the oldest logged request leaves the window
+    return {
+      reason: 'Rate limit exceeded',
+      retryAfter: Math.ceil((state.requests[0] + tier.windowSeconds * 1000 - now) / 1000)
+    };
+  }
+
+  static record(state, tier, now) {
+    state.requests.push(now);
+  }
+
+  static getInfo(state, tier, now) {
+    const windowMs = tier.windowSeconds * 1000;
+    const remaining = Math.max(0, tier.limit - state.requests.length);
+    const newest = state.requests[state.requests.length - 1];
+
+    return {
+      requests: state.requests.length,
+      limit: tier.limit,
+      remaining,
+      // The full quota is back once the newest request leaves the window
+      resetTime: newest ? newest + windowMs : now,
+      blocked: false,
+      blockUntil: null,
+      retryAfter: remaining === 0 ? Math.ceil((state.requests[0] + windowMs - now) / 1000) : 0
+    };
+  }
+
+  static getTtl(tier) {
+    return tier.windowSeconds * 1000;
+  }
+}
+
+/**
+ * Token bucket: refills at limit/windowSeconds tokens per second up to `burst`
+ * tokens, so bursty clients are slowed down rather than locked out
+ */
+class TokenBucket {
+  static getCapacity(tier) {
+    return tier.burst || tier.limit;
+  }
+
+  static getRefillRate(tier) {
+    return tier.limit / tier.windowSeconds; // Tokens per second
+  }
+
+  static normalize(state, tier, now) {
+    const capacity = this.getCapacity(tier);
+
+    if (!state || state.algorithm !== 'token-bucket') {
+      return { algorithm: 'token-bucket', tokens: capacity, updatedAt: now };
+    }
+
+    const elapsedSeconds = Math.max(0, now - state.updatedAt) / 1000;
+    state.tokens = Math.min(capacity, state.tokens + elapsedSeconds * this.getRefillRate(tier));
+    state.updatedAt = now;
+    return state;
+  }
+
+  static check(state, tier) {
+    if (state.tokens >= 1) {
+      return null;
+    }
+
+    return {
+      reason: 'Rate limit exceeded',
+      retryAfter: Math.ceil((1 - state.tokens) / this.getRefillRate(tier))
+    };
+  }
+
+  static record(state) {
+    state.tokens -= 1;
+  }
+
+  static getInfo(state, tier, now) {
+    const capacity = this.getCapacity(tier);
+    const rate = this.getRefillRate(tier);
+    const remaining = Math.floor(state.tokens);
+
+    return {
+      requests: Math.round(capacity - state.tokens),
+      limit: capacity,
+      remaining,
+      // The bucket is full again once the missing tokens have refilled
+      resetTime: now + Math.ceil((capacity - state.tokens) / rate * 1000),
+      blocked: false,
+      blockUntil: null,
+      retryAfter: remaining === 0 ? Math.ceil((1 - state.tokens) / rate) : 0
+    };
+  }
+
+  static getTtl(tier) {
+    return Math.ceil(this.getCapacity(tier) / this.getRefillRate(tier) * 1000);
+  }
+}
+
+const ALGORITHMS = {
+  'fixed-window': FixedWindow,
+  'sliding-log': SlidingWindowLog,
+  'token-bucket': TokenBucket
+};
+
+module.exports = ALGORITHMS;
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Storage adapters for rate-limit state
+ *
+ * Every adapter exposes the same async interface:
+ *   get(key)                      -> value or null
+ *   update(key, updater, ttlMs)   -> atomically replaces the value with updater(current) and returns it
+ *   delete(key)                   -> true if the key existed
+ *   prune()                       -> drop expired entries (no-op where the backend expires keys itself)
+ *   close()                       -> release connections and timers
+ *
+ * update() is the only write path, so a check-and-increment done inside one
+ * updater cannot interleave with another invocation doing the same.
+ */
+
+/**
+ * Per-process Map; fine for a single instance or local development
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map(); // key -> { value, expiresAt }
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  async update(key, updater, ttlMs) {
+    // No await between read and write, so the event loop cannot interleave another update
+    const value = updater(this.read(key));
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async prune() {
+    const now = Date.now();
+    let pruned = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        pruned++;
+      }
+    }
+
+    return pruned;
+  }
+
+  async close() {}
+
+  read(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : null;
+  }
+}
+
+/**
+ * JSON file shared by every process on one machine (e.g. `netlify dev`)
+ * A lock file serializes read-modify-write cycles across processes.
+ */
+class FileStore {
+  constructor(filePath = path.join(os.tmpdir(), 'netlify-computer-use-rate-limits.json')) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.lockTimeoutMs = 5000;
+    this.staleLockMs = 10000;
+  }
+
+  async get(key) {
+    const entry = this.read()[key];
+    return entry && entry.expiresAt > Date.now() ? entry.value : null;
+  }
+
+  async update(key, updater, ttlMs) {
+    return this.withLock(() => {
+      const data = this.read();
+      const entry = data[key];
+      const value = updater(entry && entry.expiresAt > Date.now() ? entry.value : null);
+
+      data[key] = { value, expiresAt: Date.now() + ttlMs };
+      this.write(data);
+      return value;
+    });
+  }
+
+  async delete(key) {
+    return this.withLock(() => {
+      const data = this.read();
+      if (!(key in data)) return false;
+
+      delete data[key];
+      this.write(data);
+      return true;
+    });
+  }
+
+  async prune() {
+    return this.withLock(() => {
+      const data = this.read();
+      const now = Date.now();
+      let pruned = 0;
+
+      for (const key of Object.keys(data)) {
+        if (data[key].expiresAt <= now) {
+          delete data[key];
+          pruned++;
+        }
+      }
+
+      if (pruned > 0) this.write(data);
+      return pruned;
+    });
+  }
+
+  async close() {}
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      // A half-written or corrupted file resets the counters rather than blocking every request
+      console.error(`Rate limit store: ignoring unreadable ${this.filePath}:`, error.message);
+      return {};
+    }
+  }
+
+  write(data) {
+    // Write then rename so readers never see a partial file
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  async withLock(fn) {
+    const deadline = Date.now() + this.lockTimeoutMs;
+
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(this.lockPath, 'wx'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        // A process that died while holding the lock must not block everyone forever
+        try {
+          if (Date.now() - fs.statSync(this.lockPath).mtimeMs > this.staleLockMs) {
+            fs.unlinkSync(this.lockPath);
+            continue;
+          }
+        } catch (statError) {
+          if (statError.code === 'ENOENT') continue;
+          throw statError;
+        }
+
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for rate limit lock ${this.lockPath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    }
+
+    try {
+      return fn();
+    } finally {
+      fs.rmSync(this.lockPath, { force: true });
+    }
+  }
+}
+
+/**
+ * Redis (or any server speaking the Redis protocol) shared by all function instances
+ * Updates use WATCH/MULTI so a concurrent write from another instance forces a retry.
+ */
+class RedisStore {
+  constructor(url = process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL || 'redis://127.0.0.1:6379') {
+    const Redis = require('ioredis');
+
+    this.redis = new Redis(url, { maxRetriesPerRequest: 2 });
+    this.redis.on('error', error => console.error('Rate limit store: Redis error:', error.message));
+    this.prefix = 'ratelimit:';
+    this.maxAttempts = 10;
+
+    // WATCH is per connection, so updates from this process take turns on it
+    this.queue = Promise.resolve();
+  }
+
+  async get(key) {
+    const raw = await this.redis.get(this.prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  update(key, updater, ttlMs) {
+    const result = this.queue.then(() => this.watchAndUpdate(this.prefix + key, updater, ttlMs));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async watchAndUpdate(redisKey, updater, ttlMs) {
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      await this.redis.watch(redisKey);
+      const raw = await this.redis.get(redisKey);
+
+      let value;
+      try {
+        value = updater(raw ? JSON.parse(raw) : null);
+      } catch (error) {
+        await this.redis.unwatch();
+        throw error;
+      }
+
+      // exec() resolves to null when another client changed the key after WATCH
+      const committed = await this.redis
+        .multi()
+        .set(redisKey, JSON.stringify(value), 'PX', Math.max(1, Math.ceil(ttlMs)))
+        .exec();
+
+      if (committed) {
+        return value;
+      }
+    }
+
+    throw new Error(`Rate limit update for ${redisKey} kept conflicting after ${this.maxAttempts} attempts`);
+  }
+
+  async delete(key) {
+    return (await this.redis.del(this.prefix + key)) > 0;
+  }
+
+  async prune() {
+    // Keys carry a TTL, so Redis expires them itself
+    return 0;
+  }
+
+  async close() {
+    await this.redis.quit();
+  }
+}
+
+/**
+ * Create the store selected by RATE_LIMIT_STORE (memory, file or redis)
+ */
+function createStore(type = process.env.RATE_LIMIT_STORE || 'memory') {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(process.env.RATE_LIMIT_FILE || undefined);
+    case 'redis':
+      return new RedisStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (expected memory, file or redis)`);
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  RedisStore,
+  createStore
+};
@@ -1,105 +1,177 @@
+const { createStore } = require('./rate-limit-store');
+const ALGORITHMS = require('./rate-limit-algorithms');
+
 /**
- * Simple in-memory rate limiter for API requests
- * In production, you'd want to use Redis or a similar persistent store
+ * Rate limiter for API requests
+ * Requests are counted per key: "client:<name>" for API clients, otherwise the client IP
+ * Each key is limited by a named tier (see loadTiers); API clients choose theirs with "tier"
+ * Counters live in a pluggable store (RATE_LIMIT_STORE) so they can be shared across instances
  */
 class RateLimiter {
   constructor() {
-    this.requests = new Map(); // IP -> { count, resetTime, blocked }
-    this.tests = new Set(); // Active test IDs for concurrency limiting
+    this.tests = new Set(); // Active test IDs for concurrency limiting (per instance)
     
     // Rate limiting configuration
     this.config = {
       maxRequestsPerHour: parseInt(process.env.MAX_REQUESTS_PER_HOUR) || 10,
       maxConcurrentTests: parseInt(process.env.MAX_CONCURRENT_TESTS) || 1,
       blockDurationMinutes: parseInt(process.env.BLOCK_DURATION_MINUTES) || 60,
-      windowSizeHours: 1
+      windowSizeHours: 1,
+      store: process.env.RATE_LIMIT_STORE || 'memory'
     };
+    this.config.tiers = this.loadTiers();
+
+    this.store = createStore(this.config.store); // key -> algorithm state
 
     // Cleanup interval
     this.startCleanupInterval();
   }
 
   /**
-   * Check if request is allowed for given IP
+   * Built-in tiers, overridden or extended by RATE_LIMIT_TIERS (JSON object of tier name -> settings)
+   * "default" applies to anonymous requests and clients without a tier
+   * Invalid overrides are skipped with a warning, so clients of those tiers get the built-in or default tier
    */
-  isRequestAllowed(clientIP) {
-    const now = Date.now();
-    const hourInMs = 60 * 60 * 1000;
-    
-    // Get or create request tracking for this IP
-    if (!this.requests.has(clientIP)) {
-      this.requests.set(clientIP, {
-        count: 0,
-        resetTime: now + hourInMs,
-        blocked: false,
-        blockUntil: 0
-      });
+  loadTiers() {
+    const tiers = {
+      default: {
+        algorithm: 'fixed-window',
+        limit: this.config.maxRequestsPerHour,
+        windowSeconds: this.config.windowSizeHours * 60 * 60,
+        blockDurationMinutes: this.config.blockDurationMinutes
+      },
+      ci: { algorithm: 'token-bucket', limit: 60, windowSeconds: 3600, burst: 20 },
+      interactive: { algorithm: 'sliding-log', limit: 20, windowSeconds: 3600 },
+      admin: { algorithm: 'token-bucket', limit: 600, windowSeconds: 3600, burst: 100 }
+    };
+
+    for (const [name, settings] of Object.entries(this.loadTierOverrides())) {
+      const tier = { ...tiers[name], ...settings };
+      const error = this.validateTier(tier);
+      if (error) {
+        console.warn(`Ignoring rate limit tier "${name}" from RATE_LIMIT_TIERS: ${error}`);
+        continue;
+      }
+      tiers[name] = tier;
     }
 
-    const requestData = this.requests.get(clientIP);
+    return tiers;
+  }
 
-    // Check if IP is currently blocked
-    if (requestData.blocked && now < requestData.blockUntil) {
-      return {
-        allowed: false,
-        reason: 'IP temporarily blocked',
-        retryAfter: Math.ceil((requestData.blockUntil - now) / 1000),
-        remaining: 0,
-        resetTime: requestData.resetTime
-      };
-    }
+  /**
+   * Tier settings from RATE_LIMIT_TIERS; none when it is not a JSON object
+   */
+  loadTierOverrides() {
+    if (!process.env.RATE_LIMIT_TIERS) return {};
 
-    // Reset counter if window has expired
-    if (now > requestData.resetTime) {
-      requestData.count = 0;
-      requestData.resetTime = now + hourInMs;
-      requestData.blocked = false;
-      requestData.blockUntil = 0;
+    try {
+      const overrides = JSON.parse(process.env.RATE_LIMIT_TIERS);
+      if (overrides && typeof overrides === 'object' && !Array.isArray(overrides)) {
+        return overrides;
+      }
+      console.warn('Ignoring RATE_LIMIT_TIERS: expected a JSON object of tier name -> settings');
+    } catch (error) {
+      console.warn('Ignoring RATE_LIMIT_TIERS: invalid JSON:', error.message);
     }
+    return {};
+  }
 
-    // Check rate limit
-    if (requestData.count >= this.config.maxRequestsPerHour) {
-      // Block IP for configured duration
-      requestData.blocked = true;
-      requestData.blockUntil = now + (this.config.blockDurationMinutes * 60 * 1000);
-      
-      return {
-        allowed: false,
-        reason: 'Rate limit exceeded',
-        retryAfter: this.config.blockDurationMinutes * 60,
-        remaining: 0,
-        resetTime: requestData.resetTime
-      };
+  /**
+   * Why a tier's settings cannot be used, or null
+   */
+  validateTier(tier) {
+    if (!ALGORITHMS[tier.algorithm]) {
+      return `unknown algorithm "${tier.algorithm}" (expected ${Object.keys(ALGORITHMS).join(', ')})`;
     }
+    if (!(tier.limit > 0) || !(tier.windowSeconds > 0)) {
+      return 'needs a positive limit and windowSeconds';
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a tier by name, falling back to the default tier
+   */
+  getTier(name) {
+    const tierName = name && this.config.tiers[name] ? name : 'default';
+    return { name: tierName, ...this.config.tiers[tierName] };
+  }
+
+  /**
+   * Check if request is allowed for given IP or client key
+   * Pass the client's tier, checkConcurrency: false when a queue already limits
+   * concurrent tests, and record: true to count an allowed request in the same atomic update
+   */
+  async isRequestAllowed(clientIP, options = {}) {
+    const { checkConcurrency = true, record = false } = options;
+    const tier = this.getTier(options.tier);
+    const algorithm = ALGORITHMS[tier.algorithm];
+    let result;
+
+    await this.store.update(clientIP, current => {
+      const now = Date.now();
+      const state = algorithm.normalize(current, tier, now);
+
+      const denied = algorithm.check(state, tier, now);
+      if (denied) {
+        const info = algorithm.getInfo(state, tier, now);
+        result = {
+          allowed: false,
+          reason: denied.reason,
+          retryAfter: denied.retryAfter,
+          remaining: 0,
+          resetTime: info.resetTime,
+          tier: tier.name
+        };
+        return state;
+      }
+
+      // Check concurrent tests limit
+      if (checkConcurrency && this.tests.size >= this.config.maxConcurrentTests) {
+        const info = algorithm.getInfo(state, tier, now);
+        result = {
+          allowed: false,
+          reason: 'Too many concurrent tests',
+          retryAfter: 60, // Suggest trying again in 1 minute
+          remaining: info.remaining,
+          resetTime: info.resetTime,
+          concurrentTests: this.tests.size,
+          tier: tier.name
+        };
+        return state;
+      }
+
+      if (record) {
+        algorithm.record(state, tier, now);
+      }
 
-    // Check concurrent tests limit
-    if (this.tests.size >= this.config.maxConcurrentTests) {
-      return {
-        allowed: false,
-        reason: 'Too many concurrent tests',
-        retryAfter: 60, // Suggest trying again in 1 minute
-        remaining: this.config.maxRequestsPerHour - requestData.count,
-        resetTime: requestData.resetTime,
-        concurrentTests: this.tests.size
+      const info = algorithm.getInfo(state, tier, now);
+      result = {
+        allowed: true,
+        remaining: record ? info.remaining : Math.max(0, info.remaining - 1),
+        resetTime: info.resetTime,
+        concurrentTests: this.tests.size,
+        tier: tier.name
       };
-    }
+      return state;
+    }, algorithm.getTtl(tier));
 
-    return {
-      allowed: true,
-      remaining: this.config.maxRequestsPerHour - requestData.count - 1,
-      resetTime: requestData.resetTime,
-      concurrentTests: this.tests.size
-    };
+    return result;
   }
 
   /**
-   * Record a request for the given IP
+   * Record a request for the given IP or client key
    */
-  recordRequest(clientIP) {
-    if (this.requests.has(clientIP)) {
-      const requestData = this.requests.get(clientIP);
-      requestData.count++;
-    }
+  async recordRequest(clientIP, options = {}) {
+    const tier = this.getTier(options.tier);
+    const algorithm = ALGORITHMS[tier.algorithm];
+
+    await this.store.update(clientIP, current => {
+      const now = Date.now();
+      const state = algorithm.normalize(current, tier, now);
+      algorithm.record(state, tier, now);
+      return state;
+    }, algorithm.getTtl(tier));
   }
 
   /**
@@ -125,94 +197,109 @@ class RateLimiter {
     return {
       activeConcurrentTests: this.tests.size,
       maxConcurrentTests: this.config.maxConcurrentTests,
-      trackedIPs: this.requests.size,
+      store: this.config.store,
       config: this.config
     };
   }
 
   /**
-   * Get rate limit info for specific IP
+   * Get rate limit info for specific IP or client key, as seen by its tier
    */
-  getRateLimitInfo(clientIP) {
-    const requestData = this.requests.get(clientIP);
-    if (!requestData) {
-      return {
-        requests: 0,
-        remaining: this.config.maxRequestsPerHour,
-        resetTime: Date.now() + (60 * 60 * 1000),
-        blocked: false
-      };
-    }
-
+  async getRateLimitInfo(clientIP, tierName) {
+    const tier = this.getTier(tierName);
+    const algorithm = ALGORITHMS[tier.algorithm];
     const now = Date.now();
-    
+
+    // Reading never writes, so a fresh state stands in for missing or expired entries
+    const state = algorithm.normalize(await this.store.get(clientIP), tier, now);
+
     return {
-      requests: requestData.count,
-      remaining: Math.max(0, this.config.maxRequestsPerHour - requestData.count),
-      resetTime: requestData.resetTime,
-      blocked: requestData.blocked && now < requestData.blockUntil,
-      blockUntil: requestData.blocked ? requestData.blockUntil : null
+      tier: tier.name,
+      algorithm: tier.algorithm,
+      ...algorithm.getInfo(state, tier, now)
     };
   }
 
   /**
-   * Clear rate limit for specific IP (admin function)
+   * Clear rate limit for specific IP or client key (admin function)
    */
-  clearRateLimit(clientIP) {
-    if (this.requests.has(clientIP)) {
-      this.requests.delete(clientIP);
-      return true;
-    }
-    return false;
+  async clearRateLimit(clientIP) {
+    return this.store.delete(clientIP);
   }
 
   /**
    * Get client IP from Netlify event
    */
   static getClientIP(event) {
-    // Netlify provides client IP in headers
-    return event.headers['x-forwarded-for'] || 
-           event.headers['x-real-ip'] || 
-           event.headers['client-ip'] ||
+    const headers = event.headers || {};
+
+    // Netlify sets the connecting IP itself. Clients can put anything at the start of
+    // X-Forwarded-For, so only the last entry (appended by the proxy in front of us) counts.
+    const forwardedFor = headers['x-forwarded-for'] && headers['x-forwarded-for'].split(',').pop().trim();
+
+    return headers['x-nf-client-connection-ip'] ||
+           forwardedFor ||
+           headers['x-real-ip'] ||
+           headers['client-ip'] ||
            event.requestContext?.identity?.sourceIp ||
            'unknown';
   }
 
+  /**
+   * Get client IP from Netlify event (the module exports the singleton instance)
+   */
+  getClientIP(event) {
+    return RateLimiter.getClientIP(event);
+  }
+
   /**
    * Start cleanup interval to remove old entries
    */
   startCleanupInterval() {
-    // Clean up old entries every 30 minutes
-    setInterval(() => {
-      const now = Date.now();
-      let cleaned = 0;
-
-      for (const [ip, data] of this.requests.entries()) {
-        // Remove entries that are past their reset time and not blocked
-        if (now > data.resetTime && (!data.blocked || now > data.blockUntil)) {
-          this.requests.delete(ip);
-          cleaned++;
+    // Clean up old entries every 30 minutes without keeping the process alive
+    const interval = setInterval(async () => {
+      try {
+        const cleaned = await this.store.prune();
+        if (cleaned > 0) {
+          console.log(`Rate limiter: Cleaned up ${cleaned} old entries`);
         }
-      }
-
-      if (cleaned > 0) {
-        console.log(`Rate limiter: Cleaned up ${cleaned} old entries`);
+      } catch (error) {
+        console.error('Rate limiter: Cleanup failed:', error.message);
       }
     }, 30 * 60 * 1000); // 30 minutes
+
+    interval.unref();
   }
 
   /**
    * Generate rate limit headers for response
    */
-  getRateLimitHeaders(clientIP) {
-    const info = this.getRateLimitInfo(clientIP);
-    
-    return {
-      'X-RateLimit-Limit': this.config.maxRequestsPerHour.toString(),
+  async getRateLimitHeaders(clientIP, tierName) {
+    const tier = this.getTier(tierName);
+    const info = await this.getRateLimitInfo(clientIP, tierName);
+    const headers = {
+      'X-RateLimit-Limit': info.limit.toString(),
       'X-RateLimit-Remaining': info.remaining.toString(),
       'X-RateLimit-Reset': Math.ceil(info.resetTime / 1000).toString(),
-      'X-RateLimit-Window': `${this.config.windowSizeHours}h`
+      'X-RateLimit-Window': this.formatWindow(tier.windowSeconds),
+      'X-RateLimit-Tier': tier.name
     };
+
+    // Tell limited clients when their next request can succeed
+    if (info.retryAfter > 0) {
+      headers['Retry-After'] = info.retryAfter.toString();
+    }
+
+    return headers;
+  }
+
+  /**
+   * Format a window length as "1h", "15m" or "90s"
+   */
+  formatWindow(seconds) {
+    if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+    if (seconds % 60 === 0) return `${seconds / 60}m`;
+    return `${seconds}s`;
   }
 }
 
@@ -0,0 +1,162 @@
+// Built-in patterns; matches are replaced with [redacted:<name>]
+const PATTERNS = {
+  email: {
+    regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  // 14-19 digits, optionally grouped by spaces or dashes; 13-digit millisecond timestamps are left alone
+  card: {
+    regex: /\b\d(?:[ -]?\d){13,18}\b/g,
+    validate: match => Redactor.passesLuhn(match.replace(/\D/g, ''))
+  },
+  // API keys (Anthropic, Stripe, GitHub, AWS), JWTs and bearer tokens
+  token: {
+    regex: /\b(?:sk|pk|rk)[-_](?:ant|live|test)[-_][A-Za-z0-9_-]{8,}|\bgh[pousr]_[A-Za-z0-9]{20,}|\bAKIA[0-9A-Z]{16}\b|\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+|\bBearer\s+[A-Za-z0-9._~+/-]+=*/g
+  }
+};
+
+// What redactText and field rules leave behind
+const PLACEHOLDER = /\[redacted(?::[^\]]*)?\]/;
+
+// Image data is never scanned: it cannot hold text matches worth the cost of searching megabytes
+const BINARY_FIELDS = ['image_base64', 'preScreenshot', 'postScreenshot'];
+
+/**
+ * Removes personal data and credentials from everything that leaves the process:
+ * log entries, streamed events, status responses, webhooks and run history
+ *
+ * REDACT_PATTERNS selects the built-in patterns (email, card, token; all by default,
+ * "none" for none), REDACT_CUSTOM_PATTERNS adds named regular expressions as a JSON
+ * object, and REDACT_FIELDS names fields whose values are always hidden, e.g. "text"
+ * for everything typed. What Claude sees is not redacted; it needs the real page.
+ */
+class Redactor {
+  constructor() {
+    this.configure({
+      patterns: process.env.REDACT_PATTERNS,
+      customPatterns: process.env.REDACT_CUSTOM_PATTERNS,
+      fields: process.env.REDACT_FIELDS
+    });
+  }
+
+  /**
+   * Apply a configuration; each setting may be given as an env-style string or parsed
+   */
+  configure({ patterns, customPatterns, fields } = {}) {
+    const names = this.parseList(patterns === undefined ? Object.keys(PATTERNS).join(',') : patterns);
+
+    this.patterns = [];
+    for (const name of names) {
+      if (name === 'none') continue;
+      if (!PATTERNS[name]) {
+        console.error(`Unknown redaction pattern "${name}" (expected ${Object.keys(PATTERNS).join(', ')} or none)`);
+        continue;
+      }
+      this.patterns.push({ name, ...PATTERNS[name] });
+    }
+
+    let custom = customPatterns || {};
+    try {
+      custom = typeof custom === 'string' ? JSON.parse(custom) : custom;
+    } catch (error) {
+      console.error('Failed to load custom redaction patterns:', error.message);
+      custom = {};
+    }
+
+    for (const [name, source] of Object.entries(custom)) {
+      try {
+        this.patterns.push({ name, regex: new RegExp(source, 'g') });
+      } catch (error) {
+        console.error(`Skipping redaction pattern "${name}": ${error.message}`);
+      }
+    }
+
+    this.fields = new Set(this.parseList(fields || ''));
+  }
+
+  parseList(value) {
+    return (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+  }
+
+  isEnabled() {
+    return this.patterns.length > 0 || this.fields.size > 0;
+  }
+
+  /**
+   * Replace pattern matches in a text
+   */
+  redactText(text) {
+    if (typeof text !== 'string' || this.patterns.length === 0) {
+      return text;
+    }
+
+    let redacted = text;
+    for (const { name, regex, validate } of this.patterns) {
+      redacted = redacted.replace(regex, match => (!validate || validate(match) ? `[redacted:${name}]` : match));
+    }
+    return redacted;
+  }
+
+  /**
+   * Redacted copy of a JSON-like value: field rules first, then patterns in every string
+   */
+  redact(value) {
+    if (!this.isEnabled()) {
+      return value;
+    }
+
+    if (typeof value === 'string') {
+      return this.redactText(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+
+    if (!value || typeof value !== 'object' || value instanceof Date) {
+      return value;
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (this.fields.has(key) && item !== null && item !== undefined) {
+        copy[key] = '[redacted]';
+      } else if (BINARY_FIELDS.includes(key)) {
+        copy[key] = item;
+      } else {
+        copy[key] = this.redact(item);
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Whether a text holds a redaction placeholder, i.e. no longer the original value
+   */
+  isRedacted(text) {
+    return typeof text === 'string' && PLACEHOLDER.test(text);
+  }
+
+  /**
+   * Card numbers carry a Luhn check digit; other long digit runs (order ids, phone numbers) do not
+   */
+  static passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+}
+
+// Create singleton instance
+const redactor = new Redactor();
+
+module.exports = redactor;
+module.exports.Redactor = Redactor;
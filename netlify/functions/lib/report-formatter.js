@@ -0,0 +1,230 @@
+const FORMATS = ['json', 'junit', 'tap'];
+
+const CONTENT_TYPES = {
+  junit: 'application/xml; charset=utf-8',
+  tap: 'text/plain; charset=utf-8'
+};
+
+/**
+ * Renders run and suite results as JUnit XML or TAP so CI systems can ingest them
+ *
+ * Both formats work on the same shape: a named report with cases of
+ * { name, testId, status, duration, verdict, error, screenshots }.
+ */
+class ReportFormatter {
+  static FORMATS = FORMATS;
+
+  /**
+   * Report for a single run (status or history record)
+   */
+  static fromRun(run) {
+    return {
+      name: run.instruction,
+      timestamp: run.startedAt || run.createdAt,
+      cases: [{
+        name: run.instruction,
+        testId: run.testId,
+        status: run.status,
+        duration: run.duration,
+        verdict: run.verdict,
+        error: run.error,
+        screenshots: run.screenshots || []
+      }]
+    };
+  }
+
+  /**
+   * Report for a suite (see TestRegistry.getSuiteReport)
+   */
+  static fromSuite(suite) {
+    return {
+      name: suite.name,
+      timestamp: suite.startedAt || suite.createdAt,
+      cases: suite.cases
+    };
+  }
+
+  /**
+   * Render a report; screenshotUrl(testId, index) gives the link used for attachments
+   */
+  static render(report, format, screenshotUrl) {
+    return {
+      contentType: CONTENT_TYPES[format],
+      body: format === 'junit'
+        ? this.toJUnit(report, screenshotUrl)
+        : this.toTap(report, screenshotUrl)
+    };
+  }
+
+  /**
+   * How a case is reported: passed, failure (verdict failed), error (run broke) or skipped
+   */
+  static getOutcome(testCase) {
+    switch (testCase.status) {
+      case 'passed':
+        return { result: 'passed' };
+
+      case 'failed':
+        if (testCase.verdict) {
+          return { result: 'failure', message: testCase.verdict.summary || 'Verdict: failed' };
+        }
+        return { result: 'error', message: testCase.error || 'Test failed' };
+
+      case 'cancelled':
+        return { result: 'error', message: testCase.error || 'Test cancelled' };
+
+      case 'skipped':
+        return { result: 'skipped', message: 'Skipped after an earlier failure (stopOnFailure)' };
+
+      default:
+        return { result: 'skipped', message: `Not finished (status: ${testCase.status})` };
+    }
+  }
+
+  /**
+   * Failed expectations and observations, one per line
+   */
+  static getDetails(testCase) {
+    const verdict = testCase.verdict;
+    if (!verdict) return [];
+
+    return [
+      ...(verdict.failedExpectations || []).map(expectation => `Failed expectation: ${expectation}`),
+      ...(verdict.observations || []).map(observation => `Observation: ${observation}`)
+    ];
+  }
+
+  /**
+   * JUnit XML, with screenshots as [[ATTACHMENT|url]] lines in system-out
+   */
+  static toJUnit(report, screenshotUrl) {
+    const outcomes = report.cases.map(testCase => this.getOutcome(testCase));
+    const count = result => outcomes.filter(outcome => outcome.result === result).length;
+    const time = report.cases.reduce((total, testCase) => total + (testCase.duration || 0), 0);
+    const suiteAttributes = this.xmlAttributes({
+      name: report.name,
+      tests: report.cases.length,
+      failures: count('failure'),
+      errors: count('error'),
+      skipped: count('skipped'),
+      time: time.toFixed(3),
+      timestamp: report.timestamp
+    });
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites${suiteAttributes}>`,
+      `  <testsuite${suiteAttributes}>`
+    ];
+
+    report.cases.forEach((testCase, index) => {
+      const outcome = outcomes[index];
+      lines.push(`    <testcase${this.xmlAttributes({
+        name: testCase.name,
+        classname: report.name,
+        time: (testCase.duration || 0).toFixed(3)
+      })}>`);
+
+      if (outcome.result === 'failure' || outcome.result === 'error') {
+        const details = this.getDetails(testCase).join('\n');
+        lines.push(`      <${outcome.result}${this.xmlAttributes({ message: outcome.message })}>${this.escapeXml(details || outcome.message)}</${outcome.result}>`);
+      } else if (outcome.result === 'skipped') {
+        lines.push(`      <skipped${this.xmlAttributes({ message: outcome.message })}/>`);
+      }
+
+      const output = [
+        ...(testCase.testId ? [`testId: ${testCase.testId}`] : []),
+        ...(outcome.result === 'passed' ? this.getDetails(testCase) : []),
+        ...(testCase.screenshots || []).map((screenshot, screenshotIndex) =>
+          `[[ATTACHMENT|${screenshotUrl(testCase.testId, screenshotIndex)}]]`)
+      ];
+      if (output.length > 0) {
+        lines.push(`      <system-out>${this.escapeXml(output.join('\n'))}</system-out>`);
+      }
+
+      lines.push('    </testcase>');
+    });
+
+    lines.push('  </testsuite>', '</testsuites>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * TAP version 13, with a YAML diagnostic block per test
+   */
+  static toTap(report, screenshotUrl) {
+    const lines = ['TAP version 13', `1..${report.cases.length}`];
+
+    report.cases.forEach((testCase, index) => {
+      const outcome = this.getOutcome(testCase);
+      const description = this.tapDescription(testCase.name);
+
+      if (outcome.result === 'skipped') {
+        lines.push(`ok ${index + 1} - ${description} # SKIP ${this.tapDescription(outcome.message)}`);
+        return;
+      }
+
+      lines.push(`${outcome.result === 'passed' ? 'ok' : 'not ok'} ${index + 1} - ${description}`);
+
+      const verdict = testCase.verdict || {};
+      const diagnostics = {
+        testId: testCase.testId,
+        status: testCase.status,
+        duration_ms: testCase.duration !== null && testCase.duration !== undefined ? Math.round(testCase.duration * 1000) : undefined,
+        message: outcome.message || verdict.summary,
+        failedExpectations: verdict.failedExpectations && verdict.failedExpectations.length > 0 ? verdict.failedExpectations : undefined,
+        observations: verdict.observations && verdict.observations.length > 0 ? verdict.observations : undefined,
+        screenshots: (testCase.screenshots || []).length > 0
+          ? testCase.screenshots.map((screenshot, screenshotIndex) => screenshotUrl(testCase.testId, screenshotIndex))
+          : undefined
+      };
+
+      lines.push('  ---');
+      for (const [key, value] of Object.entries(diagnostics)) {
+        if (value === undefined || value === null) continue;
+
+        if (Array.isArray(value)) {
+          lines.push(`  ${key}:`);
+          value.forEach(item => lines.push(`    - ${JSON.stringify(item)}`));
+        } else {
+          lines.push(`  ${key}: ${JSON.stringify(value)}`);
+        }
+      }
+      lines.push('  ...');
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * TAP descriptions end at a newline and treat "#" as a directive
+   */
+  static tapDescription(text) {
+    return String(text || '').replace(/\s*[\r\n]+\s*/g, ' ').replace(/#/g, '\\#');
+  }
+
+  /**
+   * Attribute string, skipping missing values
+   */
+  static xmlAttributes(attributes) {
+    return Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => ` ${name}="${this.escapeXml(value)}"`)
+      .join('');
+  }
+
+  /**
+   * Escape text for XML, dropping characters XML 1.0 cannot hold
+   */
+  static escapeXml(value) {
+    return String(value)
+      .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = ReportFormatter;
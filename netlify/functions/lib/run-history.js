@@ -0,0 +1,158 @@
+const redactor = require('./redactor');
+const { createJsonStore, connectBlobs, metadataSize, METADATA_MAX_SIZE } = require('./json-store');
+
+// Fields kept with every record so lists can be filtered without loading logs and screenshots
+const SUMMARY_FIELDS = ['testId', 'suiteId', 'monitor', 'definitionId', 'client', 'status', 'instruction', 'executionMode', 'createdAt', 'completedAt', 'duration'];
+
+// Free-text summary fields, shortened in this order when the summary is too large to store
+const TRUNCATED_FIELDS = ['summary', 'instruction'];
+
+/**
+ * Persisted record of every finished run, with list/get/delete for the history endpoints
+ *
+ * RUN_HISTORY_STORE selects the backend: "file" (default locally), "blobs" (default on
+ * Netlify), "memory" (in-process stand-in for Blobs) or "none".
+ */
+class RunHistory {
+  constructor() {
+    this.config = {
+      store: process.env.RUN_HISTORY_STORE || (process.env.NETLIFY ? 'blobs' : 'file'),
+      blobStoreName: process.env.RUN_HISTORY_BLOB_STORE || 'run-history',
+      defaultLimit: 50,
+      maxLimit: 200
+    };
+    this.store = null;
+  }
+
+  /**
+   * Check whether runs are being recorded
+   */
+  isEnabled() {
+    return this.config.store !== 'none';
+  }
+
+  /**
+   * Make the Blobs context of a Lambda-style invocation available to getStore()
+   */
+  connect(event) {
+    if (this.config.store === 'blobs') {
+      connectBlobs(event);
+    }
+  }
+
+  /**
+   * Create the configured store on first use (Blobs needs the invocation context first)
+   */
+  getStore() {
+    if (!this.store) {
+      this.store = createJsonStore(this.config.store, 'run-history', {
+        dir: process.env.RUN_HISTORY_DIR,
+        blobStoreName: this.config.blobStoreName
+      });
+    }
+
+    return this.store;
+  }
+
+  /**
+   * Replace the backing store (used by tests)
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Save a finished run, redacted like everything else that leaves the process
+   * Typed text caught by a redaction rule is replayed as its placeholder
+   */
+  async save(record) {
+    if (!this.isEnabled()) return;
+
+    record = redactor.redact(record);
+
+    const summary = {};
+    for (const field of SUMMARY_FIELDS) {
+      summary[field] = record[field] === undefined ? null : record[field];
+    }
+    summary.passed = record.verdict ? record.verdict.passed : null;
+    summary.summary = record.verdict ? record.verdict.summary : record.error;
+
+    await this.getStore().save(record.testId, { ...record, savedAt: new Date().toISOString() }, this.fitSummary(summary));
+  }
+
+  /**
+   * Shorten the free-text fields until the summary fits in Blobs metadata
+   * The full instruction and verdict stay in the record itself
+   */
+  fitSummary(summary) {
+    const fitted = { ...summary };
+
+    for (const field of TRUNCATED_FIELDS) {
+      if (typeof summary[field] !== 'string') continue;
+
+      let length = summary[field].length;
+      while (metadataSize(fitted) > METADATA_MAX_SIZE && length > 0) {
+        const excess = Math.ceil((metadataSize(fitted) - METADATA_MAX_SIZE) * 3 / 4);
+        length = Math.max(0, length - Math.max(excess, 1));
+        fitted[field] = `${summary[field].slice(0, length)}...`;
+      }
+    }
+
+    return fitted;
+  }
+
+  /**
+   * Load one run
+   */
+  async get(testId) {
+    if (!this.isEnabled() || !this.isValidId(testId)) return null;
+    return this.getStore().get(testId);
+  }
+
+  /**
+   * Delete one run, returning whether it existed
+   */
+  async delete(testId) {
+    if (!this.isEnabled() || !this.isValidId(testId)) return false;
+    return this.getStore().delete(testId);
+  }
+
+  /**
+   * List run summaries, newest first
+   * Filters: from/to (dates, on createdAt), status, instruction (case-insensitive substring), client, monitor, definitionId, limit
+   */
+  async list(filters = {}) {
+    if (!this.isEnabled()) return [];
+
+    const { from, to, status, instruction, client, monitor, definitionId } = filters;
+    const limit = Math.min(filters.limit || this.config.defaultLimit, this.config.maxLimit);
+    const text = instruction ? instruction.toLowerCase() : null;
+
+    const store = this.getStore();
+    const summaries = await Promise.all((await store.keys()).map(key => store.getMetadata(key)));
+
+    return summaries
+      .filter(Boolean)
+      .filter(run => !from || new Date(run.createdAt) >= from)
+      .filter(run => !to || new Date(run.createdAt) <= to)
+      .filter(run => !status || run.status === status)
+      .filter(run => !text || (run.instruction || '').toLowerCase().includes(text))
+      .filter(run => !client || run.client === client)
+      .filter(run => !monitor || run.monitor === monitor)
+      .filter(run => !definitionId || run.definitionId === definitionId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Run ids are UUIDs; anything else could escape the history directory
+   */
+  isValidId(testId) {
+    return typeof testId === 'string' && /^[A-Za-z0-9-]+$/.test(testId);
+  }
+}
+
+// Create singleton instance
+const runHistory = new RunHistory();
+
+module.exports = runHistory;
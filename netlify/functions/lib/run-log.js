@@ -0,0 +1,95 @@
+const SecretVault = require('./secret-vault');
+const redactor = require('./redactor');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Event types besides plain "log" lines
+const TYPES = ['log', 'model_response', 'tool_call', 'tool_result', 'screenshot', 'error'];
+
+/**
+ * Structured event log of a run
+ *
+ * Every entry has a timestamp, level, iteration, type, message, payload and duration
+ * (seconds, when the event measures something). Entries are written to stdout as JSON
+ * lines so log drains can query them; RUN_LOG_FORMAT=text prints the old "[testId] message"
+ * lines instead. The human-readable log is rendered from entries at info level and above.
+ */
+class RunLog {
+  static LEVELS = LEVELS;
+  static TYPES = TYPES;
+
+  constructor(testId, { secrets = [], format = process.env.RUN_LOG_FORMAT || 'json' } = {}) {
+    this.testId = testId;
+    this.secrets = secrets;
+    this.format = format;
+    this.events = [];
+  }
+
+  /**
+   * Record an event; secrets are masked and the message and payload redacted first
+   */
+  add({ message, level = 'info', type = 'log', iteration = 0, payload = null, duration = null }) {
+    const event = {
+      timestamp: new Date().toISOString(),
+      level,
+      iteration,
+      type,
+      message: this.sanitize(message),
+      payload: payload === null ? null : this.sanitize(payload),
+      duration
+    };
+
+    this.events.push(event);
+    this.write(event);
+    return event;
+  }
+
+  /**
+   * Whether an event belongs in the human-readable log
+   */
+  static isRendered(event) {
+    return LEVELS.indexOf(event.level) >= LEVELS.indexOf('info');
+  }
+
+  /**
+   * Human-readable log line for an event
+   */
+  static render(event) {
+    return `[${event.timestamp}] ${event.message}`;
+  }
+
+  write(event) {
+    if (this.format === 'text') {
+      if (RunLog.isRendered(event)) {
+        console.log(`[${this.testId}] ${event.message}`);
+      }
+      return;
+    }
+
+    process.stdout.write(JSON.stringify({ testId: this.testId, ...event }) + '\n');
+  }
+
+  sanitize(value) {
+    return redactor.redact(this.maskSecrets(value));
+  }
+
+  maskSecrets(value) {
+    if (this.secrets.length === 0) return value;
+
+    if (typeof value === 'string') {
+      return SecretVault.mask(value, this.secrets);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.maskSecrets(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.maskSecrets(item)]));
+    }
+
+    return value;
+  }
+}
+
+module.exports = RunLog;
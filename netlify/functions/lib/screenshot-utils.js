@@ -344,6 +344,60 @@ class ScreenshotUtils {
       throw new Error(`Failed to optimize screenshot: ${error.message}`);
     }
   }
+
+  /**
+   * Assemble screenshots into an animated GIF or WebP
+   * Each frame is { image (base64), annotations } and is annotated, then fitted to the same size
+   */
+  static async createAnimation(frames, options = {}) {
+    try {
+      const {
+        format = 'gif',
+        frameDuration = 1000,
+        width = 640,
+        loop = 0
+      } = options;
+
+      if (frames.length === 0) {
+        throw new Error('No frames to animate');
+      }
+
+      // Every frame takes the first frame's aspect ratio
+      const first = await sharp(Buffer.from(frames[0].image, 'base64')).metadata();
+      const height = options.height || Math.round(width * first.height / first.width);
+
+      const images = [];
+      for (const frame of frames) {
+        const annotated = frame.annotations && frame.annotations.length > 0
+          ? (await this.annotateScreenshot(frame.image, frame.annotations)).data
+          : frame.image;
+
+        images.push(await sharp(Buffer.from(annotated, 'base64'))
+          .resize(width, height, { fit: 'contain', background: '#ffffff' })
+          .flatten({ background: '#ffffff' })
+          .png()
+          .toBuffer());
+      }
+
+      const delay = images.map(() => frameDuration);
+      const animation = sharp(images, { join: { animated: true } });
+      const outputBuffer = format === 'webp'
+        ? await animation.webp({ delay, loop, quality: 80 }).toBuffer()
+        : await animation.gif({ delay, loop }).toBuffer();
+
+      return {
+        data: outputBuffer.toString('base64'),
+        format,
+        width,
+        height,
+        frames: images.length,
+        size: outputBuffer.length
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to create animation: ${error.message}`);
+    }
+  }
 }
 
 module.exports = ScreenshotUtils;
\ No newline at end of file
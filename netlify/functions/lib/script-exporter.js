@@ -0,0 +1,294 @@
+const ActionTrace = require('./action-trace');
+const SecretVault = require('./secret-vault');
+
+// xdotool modifier names in key combos such as "ctrl+a"
+const MODIFIERS = {
+  ctrl: 'Control',
+  control: 'Control',
+  alt: 'Alt',
+  shift: 'Shift',
+  super: 'Meta',
+  cmd: 'Meta',
+  meta: 'Meta'
+};
+
+const FORMATS = ['puppeteer', 'playwright'];
+
+/**
+ * Turns a recorded action trace into a standalone Puppeteer script or Playwright test,
+ * so a good exploratory run can be committed as a conventional test
+ */
+class ScriptExporter {
+  static FORMATS = FORMATS;
+
+  /**
+   * Generate the script for a history record with a trace
+   */
+  static export(run, format) {
+    const lines = format === 'playwright'
+      ? this.toPlaywright(run)
+      : this.toPuppeteer(run);
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Reason a run cannot be exported, or null
+   */
+  static validate(run) {
+    if (!run.trace || !run.trace.steps || run.trace.steps.length === 0) {
+      return `Run ${run.testId} has no recorded actions to export`;
+    }
+
+    // Docker coordinates are screen positions that include Chrome's window frame and
+    // toolbar, so every click would land offset in a viewport-sized page
+    if ((run.trace.executionMode || run.executionMode) === 'docker') {
+      return `Run ${run.testId} ran in Docker mode; only Puppeteer runs can be exported`;
+    }
+
+    return null;
+  }
+
+  /**
+   * File name offered for download
+   */
+  static getFilename(run, format) {
+    return format === 'playwright'
+      ? `${run.testId}.spec.js`
+      : `${run.testId}.puppeteer.js`;
+  }
+
+  /**
+   * Standalone Node script using puppeteer
+   */
+  static toPuppeteer(run) {
+    const { trace } = run;
+    const display = trace.display || { width: 1280, height: 720 };
+
+    return [
+      ...this.getHeader(run),
+      "const puppeteer = require('puppeteer');",
+      '',
+      '(async () => {',
+      '  const browser = await puppeteer.launch({ headless: true });',
+      '  const page = await browser.newPage();',
+      `  await page.setViewport({ width: ${display.width}, height: ${display.height} });`,
+      '',
+      '  try {',
+      `    await page.goto(${this.quote(`https://${trace.websiteUrl}`)}, { waitUntil: 'networkidle0' });`,
+      ...this.getSteps(trace, 'puppeteer').map(line => (line ? `    ${line}` : line)),
+      '  } finally {',
+      '    await browser.close();',
+      '  }',
+      '})().catch(error => {',
+      '  console.error(error);',
+      '  process.exit(1);',
+      '});'
+    ];
+  }
+
+  /**
+   * @playwright/test spec
+   */
+  static toPlaywright(run) {
+    const { trace } = run;
+    const display = trace.display || { width: 1280, height: 720 };
+
+    return [
+      ...this.getHeader(run),
+      "const { test } = require('@playwright/test');",
+      '',
+      `test.use({ viewport: { width: ${display.width}, height: ${display.height} } });`,
+      '',
+      `test(${this.quote(trace.instruction || run.instruction || `Run ${run.testId}`)}, async ({ page }) => {`,
+      `  await page.goto(${this.quote(`https://${trace.websiteUrl}`)}, { waitUntil: 'networkidle' });`,
+      ...this.getSteps(trace, 'playwright').map(line => (line ? `  ${line}` : line)),
+      '});'
+    ];
+  }
+
+  /**
+   * Comment block describing the run the script came from
+   */
+  static getHeader(run) {
+    const verdict = run.verdict || run.trace.verdict;
+    const lines = [
+      `// Generated from test run ${run.testId} (${run.createdAt || run.trace.createdAt})`,
+      `// Instruction: ${this.comment(run.instruction || run.trace.instruction)}`
+    ];
+
+    if (verdict) {
+      lines.push(`// Verdict: ${verdict.passed ? 'PASSED' : 'FAILED'} - ${this.comment(verdict.summary)}`);
+    }
+
+    lines.push('//', '// Coordinates were recorded against the viewport below; review them before committing.', '');
+    return lines;
+  }
+
+  /**
+   * Statements for every recorded step, separated by blank lines
+   */
+  static getSteps(trace, format) {
+    const lines = [];
+
+    for (const step of trace.steps) {
+      lines.push('', `// Step ${Number(step.index) + 1}: ${this.describe(step)}`);
+
+      if (typeof step.result === 'string' && step.result.startsWith('Error')) {
+        lines.push(`// Skipped: this step failed during the run (${this.comment(step.result)})`);
+        continue;
+      }
+
+      // Secret values are never recorded; the script reads them from the environment
+      if (step.tool === SecretVault.TOOL_NAME) {
+        lines.push(`await page.keyboard.type(process.env.${this.getSecretVariable(step.secret)}, { delay: 50 });`);
+        continue;
+      }
+
+      if (step.tool !== 'computer') {
+        lines.push(`// Skipped: the ${step.tool} tool has no browser equivalent`);
+        continue;
+      }
+
+      lines.push(...this.getActionLines(step, format));
+    }
+
+    return lines;
+  }
+
+  /**
+   * Browser calls for one computer action
+   */
+  static getActionLines(step, format) {
+    const lines = [];
+    const point = this.getCoordinate(step);
+
+    if ((step.action === 'click' || step.action === 'scroll') && !point) {
+      lines.push('// Skipped: the recorded coordinate is not a number');
+      return lines;
+    }
+
+    switch (step.action) {
+      case 'screenshot':
+        lines.push('// Checkpoint: Claude inspected the page here; the recorded screenshot is in the run history');
+        break;
+
+      case 'click':
+        lines.push(`await page.mouse.click(${point[0]}, ${point[1]});`);
+        break;
+
+      case 'type':
+        lines.push(`await page.keyboard.type(${this.quote(step.text)}, { delay: 50 });`);
+        break;
+
+      case 'key':
+        lines.push(...this.getKeyLines(step.key, format));
+        break;
+
+      case 'scroll': {
+        const delta = (step.direction === 'down' ? 120 : -120) * (Number(step.clicks) || 3);
+        lines.push(`await page.mouse.move(${point[0]}, ${point[1]});`);
+        lines.push(format === 'playwright'
+          ? `await page.mouse.wheel(0, ${delta});`
+          : `await page.mouse.wheel({ deltaY: ${delta} });`);
+        break;
+      }
+
+      default:
+        lines.push(`// Skipped: unknown action "${this.comment(step.action)}"`);
+        return lines;
+    }
+
+    const waitMs = Number(step.waitMs);
+    if (waitMs > 0) {
+      lines.push(format === 'playwright'
+        ? `await page.waitForTimeout(${waitMs});`
+        : `await new Promise(resolve => setTimeout(resolve, ${waitMs}));`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * A step's [x, y] as numbers, or null when the recorded coordinate is not numeric
+   * Only numbers may be written into the script: anything else could carry code
+   */
+  static getCoordinate(step) {
+    if (!Array.isArray(step.coordinate) || step.coordinate.length !== 2) return null;
+
+    const point = step.coordinate.map(Number);
+    return point.every(Number.isFinite) ? point : null;
+  }
+
+  /**
+   * Environment variable an exported script reads a secret from, e.g. SECRET_ADMIN_PASSWORD
+   */
+  static getSecretVariable(name) {
+    return `SECRET_${String(name).toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  }
+
+  /**
+   * Key presses, including xdotool combos such as "ctrl+a"
+   */
+  static getKeyLines(key, format) {
+    const parts = String(key).split('+');
+    const modifiers = parts.slice(0, -1).map(part => MODIFIERS[part.toLowerCase()] || part);
+    const mainKey = ActionTrace.toBrowserKey(parts[parts.length - 1]);
+
+    if (modifiers.length === 0) {
+      return [`await page.keyboard.press(${this.quote(mainKey)});`];
+    }
+
+    // Playwright understands combos directly; Puppeteer needs the modifiers held down
+    if (format === 'playwright') {
+      return [`await page.keyboard.press(${this.quote([...modifiers, mainKey].join('+'))});`];
+    }
+
+    return [
+      ...modifiers.map(modifier => `await page.keyboard.down(${this.quote(modifier)});`),
+      `await page.keyboard.press(${this.quote(mainKey)});`,
+      ...modifiers.reverse().map(modifier => `await page.keyboard.up(${this.quote(modifier)});`)
+    ];
+  }
+
+  /**
+   * Human-readable summary of a step for its comment
+   */
+  static describe(step) {
+    const point = this.getCoordinate(step);
+    const at = point ? `(${point[0]}, ${point[1]})` : 'an invalid coordinate';
+
+    switch (step.action) {
+      case 'click':
+        return `click at ${at}`;
+      case 'type':
+        return `type ${this.comment(JSON.stringify(step.text))}`;
+      case 'key':
+        return `press ${this.comment(step.key)}`;
+      case 'scroll':
+        return `scroll ${this.comment(step.direction)} at ${at}`;
+      case 'screenshot':
+        return 'screenshot';
+      default:
+        if (step.tool === SecretVault.TOOL_NAME) {
+          return `type ${SecretVault.placeholder(step.secret)} (from ${this.getSecretVariable(step.secret)})`;
+        }
+        return step.command ? `${step.tool}: ${this.comment(step.command)}` : step.tool;
+    }
+  }
+
+  /**
+   * JavaScript string literal
+   */
+  static quote(value) {
+    return JSON.stringify(String(value));
+  }
+
+  /**
+   * Keep recorded text on one comment line (JavaScript also ends lines at U+2028 and U+2029)
+   */
+  static comment(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/\s*[\r\n\u2028\u2029]+\s*/g, ' ');
+  }
+}
+
+module.exports = ScriptExporter;
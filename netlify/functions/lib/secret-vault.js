@@ -0,0 +1,173 @@
+const fs = require('fs');
+const DomainGuard = require('./domain-guard');
+
+/**
+ * Named secrets (passwords, one-time codes) that Claude can type without ever seeing them
+ *
+ * Secrets come from SECRETS (a JSON object) or SECRETS_FILE (path to a JSON file
+ * holding the same object). Each value is either the secret itself or an entry like:
+ *   { "value": "...", "clients": ["ci"], "allowedHosts": ["staging.giftround.com"] }
+ * A run lists the names it may use in options.secrets. Claude is told only those
+ * names and calls the type_secret tool; the value is typed into the focused field
+ * and shows up everywhere else as [secret:<name>].
+ */
+class SecretVault {
+  static TOOL_NAME = 'type_secret';
+
+  /**
+   * Load configured secrets (cached after the first call)
+   */
+  static getSecrets() {
+    if (this.secrets) {
+      return this.secrets;
+    }
+
+    let entries = {};
+    try {
+      if (process.env.SECRETS) {
+        entries = JSON.parse(process.env.SECRETS);
+      } else if (process.env.SECRETS_FILE) {
+        entries = JSON.parse(fs.readFileSync(process.env.SECRETS_FILE, 'utf8'));
+      }
+    } catch (error) {
+      // Never echo the configuration itself; it holds the values
+      console.error('Failed to load secrets:', error.message);
+      entries = {};
+    }
+
+    this.secrets = new Map();
+    for (const [name, entry] of Object.entries(entries || {})) {
+      const secret = typeof entry === 'string' ? { value: entry } : entry;
+      if (!this.isValidName(name) || !secret || typeof secret.value !== 'string' || !secret.value) {
+        console.error(`Skipping secret "${name}": expected a name of letters, digits, "-" and "_" with a non-empty string value`);
+        continue;
+      }
+      this.secrets.set(name, {
+        value: secret.value,
+        clients: secret.clients || null,
+        allowedHosts: secret.allowedHosts ? secret.allowedHosts.map(host => DomainGuard.normalizeHost(host)).filter(Boolean) : null
+      });
+    }
+
+    return this.secrets;
+  }
+
+  /**
+   * Forget cached secrets (used when configuration changes)
+   */
+  static reset() {
+    this.secrets = null;
+  }
+
+  static isValidName(name) {
+    return typeof name === 'string' && /^[A-Za-z0-9_-]+$/.test(name);
+  }
+
+  /**
+   * Names of every configured secret
+   */
+  static getNames() {
+    return [...this.getSecrets().keys()];
+  }
+
+  /**
+   * The value of a secret, or null if it is not configured
+   */
+  static getValue(name) {
+    const secret = this.getSecrets().get(name);
+    return secret ? secret.value : null;
+  }
+
+  /**
+   * What logs, results and traces show instead of a value
+   */
+  static placeholder(name) {
+    return `[secret:${name}]`;
+  }
+
+  /**
+   * Check the secrets a run asks for, returning an error message or null
+   */
+  static validateNames(names) {
+    if (names === undefined) return null;
+
+    if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) {
+      return 'secrets must be an array of secret names';
+    }
+
+    const unknown = names.filter(name => !this.getSecrets().has(name));
+    if (unknown.length > 0) {
+      return `Unknown secret${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that a client may use the requested secrets on the target, returning an error message or null
+   */
+  static authorize(client, names = [], websiteUrl) {
+    for (const name of names) {
+      const secret = this.getSecrets().get(name);
+
+      if (secret.clients && (client.anonymous || !secret.clients.includes(client.name))) {
+        return `API key "${client.name}" may not use secret "${name}"`;
+      }
+
+      if (secret.allowedHosts && !DomainGuard.isAllowedHost(websiteUrl, secret.allowedHosts)) {
+        return `Secret "${name}" may not be used on ${DomainGuard.normalizeHost(websiteUrl)}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Tool definition; Claude may only pick one of the names granted to the run
+   */
+  static getTool(names) {
+    return {
+      name: this.TOOL_NAME,
+      description: 'Type a stored secret (such as a password) into the currently focused field. You never see the value; the result only confirms it was typed. Click the field first.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          secret: {
+            type: 'string',
+            enum: names,
+            description: 'Name of the secret to type'
+          }
+        },
+        required: ['secret']
+      }
+    };
+  }
+
+  /**
+   * Prompt lines naming the secrets available to the run
+   */
+  static getPromptGuidelines(names = []) {
+    if (names.length === 0) return '';
+
+    return [
+      `Credentials are available as named secrets: ${names.join(', ')}.`,
+      `When the instruction needs one, click the field and call the ${this.TOOL_NAME} tool with its name instead of typing it. Never ask for or guess secret values.`
+    ].join('\n');
+  }
+
+  /**
+   * Replace any secret values that appear in a text with their placeholders
+   */
+  static mask(text, names = []) {
+    let masked = String(text);
+    for (const name of names) {
+      const value = this.getValue(name);
+      if (value) {
+        masked = masked.split(value).join(this.placeholder(name));
+      }
+    }
+    return masked;
+  }
+}
+
+module.exports = SecretVault;
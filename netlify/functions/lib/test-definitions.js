@@ -0,0 +1,227 @@
+const { v4: uuidv4 } = require('uuid');
+const Verdict = require('./verdict');
+const InstructionTemplate = require('./instruction-template');
+const { createJsonStore, connectBlobs } = require('./json-store');
+
+/**
+ * Saved, named test definitions (instruction, expectations, options, default variables,
+ * tags and target profile) so the wording that works can be kept and run again by id or by tag
+ *
+ * TEST_DEFINITIONS_STORE selects the backend like RUN_HISTORY_STORE: "file" (default
+ * locally), "blobs" (default on Netlify) or "memory". Target profiles are named option
+ * presets from TARGET_PROFILES, e.g. {"staging": {"websiteUrl": "staging.giftround.com"}}.
+ */
+class TestDefinitions {
+  constructor() {
+    this.config = {
+      store: process.env.TEST_DEFINITIONS_STORE || (process.env.NETLIFY ? 'blobs' : 'file'),
+      blobStoreName: process.env.TEST_DEFINITIONS_BLOB_STORE || 'test-definitions',
+      maxNameLength: 200
+    };
+    this.store = null;
+    this.profiles = null;
+  }
+
+  /**
+   * Make the Blobs context of a Lambda-style invocation available to getStore()
+   */
+  connect(event) {
+    if (this.config.store === 'blobs') {
+      connectBlobs(event);
+    }
+  }
+
+  /**
+   * Create the configured store on first use
+   */
+  getStore() {
+    if (!this.store) {
+      this.store = createJsonStore(this.config.store, 'test-definitions', {
+        dir: process.env.TEST_DEFINITIONS_DIR,
+        blobStoreName: this.config.blobStoreName
+      });
+    }
+
+    return this.store;
+  }
+
+  /**
+   * Replace the backing store (used by tests)
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Named option presets from TARGET_PROFILES (cached after the first call)
+   */
+  getTargetProfiles() {
+    if (this.profiles) {
+      return this.profiles;
+    }
+
+    try {
+      this.profiles = process.env.TARGET_PROFILES ? JSON.parse(process.env.TARGET_PROFILES) : {};
+    } catch (error) {
+      console.error('Failed to load target profiles:', error.message);
+      this.profiles = {};
+    }
+
+    return this.profiles;
+  }
+
+  /**
+   * Replace the target profiles (used by tests) or pass null to reload them
+   */
+  useTargetProfiles(profiles) {
+    this.profiles = profiles;
+  }
+
+  /**
+   * Check the client-editable fields of a definition, returning an error message or null
+   */
+  validate(input) {
+    if (!input || typeof input !== 'object') {
+      return 'definition must be an object';
+    }
+
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > this.config.maxNameLength) {
+      return `name must be a non-empty string of at most ${this.config.maxNameLength} characters`;
+    }
+
+    if (typeof input.instruction !== 'string' || !input.instruction) {
+      return 'instruction must be a non-empty string';
+    }
+
+    const expectationsError = Verdict.validateExpectations(input.expectations);
+    if (expectationsError) {
+      return expectationsError;
+    }
+
+    if (input.options !== undefined && (!input.options || typeof input.options !== 'object' || Array.isArray(input.options))) {
+      return 'options must be an object';
+    }
+
+    const variablesError = InstructionTemplate.validateVariables(input.variables);
+    if (variablesError) {
+      return variablesError;
+    }
+
+    if (input.tags !== undefined && (!Array.isArray(input.tags) || !input.tags.every(tag => this.isValidTag(tag)))) {
+      return 'tags must be an array of strings made of letters, digits, "-", "_" and "."';
+    }
+
+    if (input.target !== undefined && input.target !== null && !this.getTargetProfiles()[input.target]) {
+      return `Unknown target profile "${input.target}" (available: ${Object.keys(this.getTargetProfiles()).join(', ') || 'none'})`;
+    }
+
+    return null;
+  }
+
+  isValidTag(tag) {
+    return typeof tag === 'string' && /^[A-Za-z0-9_.-]+$/.test(tag);
+  }
+
+  /**
+   * Options for a run of a definition: the target profile's, then the definition's own
+   * A target given at run time replaces the definition's
+   */
+  resolveOptions(definition, target = definition.target) {
+    const profile = target ? this.getTargetProfiles()[target] : null;
+    return { ...(profile || {}), ...definition.options };
+  }
+
+  /**
+   * Save a new definition owned by a client
+   */
+  async create(input, client) {
+    const now = new Date().toISOString();
+    const definition = {
+      id: uuidv4(),
+      ...this.pickEditable(input),
+      client,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.getStore().save(definition.id, definition);
+    return definition;
+  }
+
+  /**
+   * Replace the editable fields of a definition
+   */
+  async update(existing, input) {
+    const definition = {
+      id: existing.id,
+      ...this.pickEditable(input),
+      client: existing.client,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.getStore().save(definition.id, definition);
+    return definition;
+  }
+
+  /**
+   * Load one definition
+   */
+  async get(id) {
+    if (!this.isValidId(id)) return null;
+    return this.getStore().get(id);
+  }
+
+  /**
+   * Delete one definition, returning whether it existed
+   */
+  async delete(id) {
+    if (!this.isValidId(id)) return false;
+    return this.getStore().delete(id);
+  }
+
+  /**
+   * List definitions by name
+   * Filters: client, tag, name (case-insensitive substring)
+   */
+  async list({ client, tag, name } = {}) {
+    const text = name ? name.toLowerCase() : null;
+
+    const store = this.getStore();
+    const definitions = await Promise.all((await store.keys()).map(key => store.get(key)));
+
+    return definitions
+      .filter(Boolean)
+      .filter(definition => !client || definition.client === client)
+      .filter(definition => !tag || definition.tags.includes(tag))
+      .filter(definition => !text || definition.name.toLowerCase().includes(text))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * The fields a client may set; id, owner and timestamps are managed here
+   */
+  pickEditable(input) {
+    return {
+      name: input.name.trim(),
+      instruction: input.instruction,
+      expectations: input.expectations || [],
+      options: input.options || {},
+      variables: input.variables || {},
+      tags: [...new Set(input.tags || [])],
+      target: input.target || null
+    };
+  }
+
+  /**
+   * Definition ids are UUIDs; anything else could escape the definitions directory
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9-]+$/.test(id);
+  }
+}
+
+// Create singleton instance
+const testDefinitions = new TestDefinitions();
+
+module.exports = testDefinitions;
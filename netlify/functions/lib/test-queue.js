@@ -0,0 +1,267 @@
+// Priority levels, highest first
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Longest a Netlify background function may run
+const BACKGROUND_LIMIT_SECONDS = 15 * 60;
+
+/**
+ * In-memory FIFO admission queue with priority levels
+ * Tests wait here until a concurrency slot is free instead of being rejected
+ */
+class TestQueue {
+  constructor() {
+    this.entries = []; // Waiting { id, priority, enqueuedAt, start, onTimeout, onCancel, timer }
+    this.active = new Set(); // Ids currently holding a concurrency slot
+
+    // Queue configuration
+    this.config = {
+      maxConcurrentTests: parseInt(process.env.MAX_CONCURRENT_TESTS) || 1,
+      maxQueueLength: parseInt(process.env.MAX_QUEUE_LENGTH) || 20,
+      queueTimeoutSeconds: parseInt(process.env.QUEUE_TIMEOUT_SECONDS) || 600
+    };
+  }
+
+  /**
+   * Check whether a priority level is supported
+   */
+  isValidPriority(priority) {
+    return PRIORITIES.includes(priority);
+  }
+
+  /**
+   * Check whether the queue has room for another test
+   */
+  isFull() {
+    return this.entries.length >= this.config.maxQueueLength;
+  }
+
+  /**
+   * Add a test to the queue; start() is called once it is admitted
+   * It holds its slot until the promise start() returns settles
+   */
+  enqueue(id, { priority = 'normal', queueTimeout, start, onTimeout = () => {}, onCancel = () => {} }) {
+    if (this.isFull()) {
+      return {
+        accepted: false,
+        reason: 'Test queue is full',
+        queueLength: this.entries.length
+      };
+    }
+
+    const timeoutSeconds = Math.min(queueTimeout || this.config.queueTimeoutSeconds, this.config.queueTimeoutSeconds);
+    const entry = {
+      id,
+      priority,
+      enqueuedAt: Date.now(),
+      start,
+      onTimeout,
+      onCancel
+    };
+
+    // Give up on entries that wait too long for a slot
+    entry.timer = setTimeout(() => {
+      if (this.remove(id)) {
+        console.log(`Test queue: ${id} timed out after waiting ${timeoutSeconds} seconds`);
+        entry.onTimeout();
+      }
+    }, timeoutSeconds * 1000);
+
+    // Insert after every entry of the same or higher priority to keep FIFO order within a level
+    const rank = PRIORITIES.indexOf(priority);
+    const index = this.entries.findIndex(queued => PRIORITIES.indexOf(queued.priority) > rank);
+    if (index === -1) {
+      this.entries.push(entry);
+    } else {
+      this.entries.splice(index, 0, entry);
+    }
+
+    console.log(`Test queue: ${id} enqueued (${priority}). Queue length: ${this.entries.length}`);
+
+    this.dispatch();
+
+    return {
+      accepted: true,
+      position: this.getPosition(id),
+      queueLength: this.entries.length
+    };
+  }
+
+  /**
+   * Get the 1-based queue position of a waiting test (null once admitted)
+   */
+  getPosition(id) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Remove a waiting test from the queue
+   */
+  remove(id) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+
+    const [entry] = this.entries.splice(index, 1);
+    clearTimeout(entry.timer);
+    return true;
+  }
+
+  /**
+   * Take a waiting test out of the queue and call its onCancel()
+   */
+  cancel(id) {
+    const entry = this.entries.find(queued => queued.id === id);
+    if (!entry) return false;
+
+    this.remove(id);
+    entry.onCancel();
+    return true;
+  }
+
+  /**
+   * Start waiting tests while concurrency slots are free
+   */
+  dispatch() {
+    while (this.active.size < this.config.maxConcurrentTests && this.entries.length > 0) {
+      const entry = this.entries.shift();
+      clearTimeout(entry.timer);
+      this.active.add(entry.id);
+
+      console.log(`Test queue: ${entry.id} admitted after ${((Date.now() - entry.enqueuedAt) / 1000).toFixed(1)}s. Active tests: ${this.active.size}`);
+
+      // start() is async, so runs are marked as started before enqueue() returns
+      Promise.resolve(entry.start())
+        .catch(error => console.error(`Test queue: ${entry.id} failed to run:`, error))
+        .finally(() => this.release(entry.id));
+    }
+  }
+
+  /**
+   * Free a concurrency slot and admit the next waiting test
+   */
+  release(id) {
+    this.active.delete(id);
+    this.dispatch();
+  }
+
+  /**
+   * Get current status
+   */
+  getStatus() {
+    return {
+      activeTests: this.active.size,
+      queueLength: this.entries.length,
+      config: this.config
+    };
+  }
+}
+
+/**
+ * Admission queue shared by every function instance through the test registry's store
+ *
+ * Used when tests run in the test-run-background function: the invocation of each
+ * waiting test or suite polls until it is among the first queued entries that fit in
+ * the free slots. A run or suite holds a slot while its status is "running"; one not
+ * updated for longer than a test can take is taken to have died with its function.
+ */
+class SharedTestQueue {
+  constructor(registry) {
+    this.registry = registry;
+
+    const maxTestDuration = parseInt(process.env.MAX_TEST_DURATION) || 300;
+    this.config = {
+      maxConcurrentTests: parseInt(process.env.MAX_CONCURRENT_TESTS) || 1,
+      maxQueueLength: parseInt(process.env.MAX_QUEUE_LENGTH) || 20,
+      // Waiting and running share one background invocation's 15 minutes
+      queueTimeoutSeconds: Math.min(parseInt(process.env.QUEUE_TIMEOUT_SECONDS) || 600, BACKGROUND_LIMIT_SECONDS - maxTestDuration - 60),
+      staleSeconds: maxTestDuration + 120,
+      pollSeconds: 2
+    };
+  }
+
+  /**
+   * Entries still waiting, in admission order, and entries holding a slot
+   * Suite cases run within their suite's slot, so only top-level runs and suites count
+   */
+  async getEntries() {
+    const now = Date.now();
+    const entries = (await this.registry.listShared()).filter(entry => !entry.suiteId);
+
+    const waiting = entries
+      .filter(entry => entry.status === 'queued' && now < this.getDeadline(entry))
+      .sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority) || Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    const active = entries
+      .filter(entry => entry.status === 'running' && now - Date.parse(entry.updatedAt) < this.config.staleSeconds * 1000);
+
+    return { waiting, active };
+  }
+
+  /**
+   * When a queued entry gives up waiting for a slot
+   */
+  getDeadline({ createdAt, queueTimeout }) {
+    const timeoutSeconds = Math.min(queueTimeout || this.config.queueTimeoutSeconds, this.config.queueTimeoutSeconds);
+    return Date.parse(createdAt) + timeoutSeconds * 1000;
+  }
+
+  /**
+   * Check whether the queue has room for another test
+   */
+  async isFull() {
+    return (await this.getLength()) >= this.config.maxQueueLength;
+  }
+
+  /**
+   * Number of tests and suites waiting for a slot
+   */
+  async getLength() {
+    const { waiting } = await this.getEntries();
+    return waiting.length;
+  }
+
+  /**
+   * Get the 1-based queue position of a waiting test or suite (null once admitted)
+   */
+  async getPosition(id) {
+    const { waiting } = await this.getEntries();
+    const index = waiting.findIndex(entry => entry.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Wait until the queued run or suite may start: resolves "admitted", "timeout" or
+   * "cancelled" (when isCancelled() resolves true)
+   * The caller must mark it running straight away so it holds the slot
+   */
+  async waitForSlot(record, isCancelled) {
+    const id = record.testId || record.suiteId;
+    const deadline = this.getDeadline(record);
+
+    // The entry must be in the store before it can be found in the queue
+    await this.registry.flush();
+
+    for (;;) {
+      if (await isCancelled()) return 'cancelled';
+
+      const { waiting, active } = await this.getEntries();
+      const index = waiting.findIndex(entry => entry.id === id);
+      if (index !== -1 && index < this.config.maxConcurrentTests - active.length) {
+        console.log(`Test queue: ${id} admitted after ${((Date.now() - Date.parse(record.createdAt)) / 1000).toFixed(1)}s. Active tests: ${active.length + 1}`);
+        return 'admitted';
+      }
+
+      if (Date.now() >= deadline) {
+        console.log(`Test queue: ${id} timed out waiting for a slot`);
+        return 'timeout';
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.config.pollSeconds * 1000));
+    }
+  }
+}
+
+// Create singleton instance
+const testQueue = new TestQueue();
+
+module.exports = testQueue;
+module.exports.SharedTestQueue = SharedTestQueue;
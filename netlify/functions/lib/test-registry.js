@@ -0,0 +1,953 @@
+const EventEmitter = require('events');
+const redactor = require('./redactor');
+const { createJsonStore, connectBlobs } = require('./json-store');
+
+/**
+ * Registry of test runs and suites so callers can poll for status
+ *
+ * Runs and suites executing in this process are held here with their live browser or
+ * container. Every change is also written to a shared store (RUN_STATE_STORE: "blobs",
+ * the default on Netlify, "file" or "memory") under run-<testId> and suite-<suiteId>, so
+ * any function instance can report status, stream events and queue position. Cancel
+ * requests for runs elsewhere are left under cancel-<id> for the instance running them.
+ */
+class TestRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per open event stream
+    this.runs = new Map(); // testId -> run record
+    this.suites = new Map(); // suiteId -> suite record
+    this.writes = new Map(); // store key -> pending write
+
+    this.config = {
+      retentionMinutes: parseInt(process.env.RUN_RETENTION_MINUTES) || 60,
+      store: process.env.RUN_STATE_STORE || (process.env.NETLIFY ? 'blobs' : 'memory'),
+      blobStoreName: process.env.RUN_STATE_BLOB_STORE || 'test-runs',
+      pollSeconds: 1, // How often runs elsewhere are checked for events, completion and cancel requests
+      writeIntervalMs: 1000 // Least time between two writes of one run
+    };
+    this.store = null;
+
+    // Cleanup interval
+    this.startCleanupInterval();
+  }
+
+  /**
+   * Make the Blobs context of a Lambda-style invocation available to getStore()
+   */
+  connect(event) {
+    if (this.config.store === 'blobs') {
+      connectBlobs(event);
+    }
+  }
+
+  /**
+   * Create the shared store on first use (Blobs needs the invocation context first)
+   * Reads must see the latest writes, so Blobs is used with strong consistency
+   */
+  getStore() {
+    if (!this.store) {
+      this.store = createJsonStore(this.config.store, 'test-runs', {
+        dir: process.env.RUN_STATE_DIR,
+        blobStoreName: this.config.blobStoreName,
+        consistency: 'strong'
+      });
+    }
+
+    return this.store;
+  }
+
+  /**
+   * Replace the shared store (used by tests)
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Register a new queued test run
+   * createdAt is given when a run accepted by another instance is restored to run here
+   */
+  create(testId, { instruction, parameters = null, options = {}, executionMode, callbackUrl = null, suiteId = null, monitor = null, definitionId = null, client = null, priority = 'normal', queueTimeout = null, createdAt = null }) {
+    const run = {
+      testId,
+      suiteId,
+      monitor,
+      definitionId,
+      client,
+      instruction,
+      parameters,
+      options,
+      executionMode,
+      priority,
+      queueTimeout,
+      status: 'queued',
+      createdAt: createdAt || new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      duration: null,
+      computerUse: null,
+      dockerManager: null,
+      cancelReason: null,
+      result: null,
+      error: null,
+      events: [],
+      traceId: null,
+      webhook: callbackUrl ? { url: callbackUrl, delivered: false, attempts: [] } : null
+    };
+
+    this.runs.set(testId, run);
+    this.persistRun(run);
+    return run;
+  }
+
+  /**
+   * Load a queued run accepted by another instance so it can run in this one
+   * Returns null when it is unknown, has already started or another invocation has claimed it
+   */
+  async restore(testId) {
+    const document = await this.readShared('run', testId);
+    if (!document || !document.input || !(await this.claim(testId))) return null;
+
+    return this.create(testId, document.input);
+  }
+
+  /**
+   * What a queued run needs to start in another instance
+   */
+  getInput(run) {
+    return {
+      instruction: run.instruction,
+      parameters: run.parameters,
+      options: run.options,
+      executionMode: run.executionMode,
+      callbackUrl: run.webhook ? run.webhook.url : null,
+      suiteId: run.suiteId,
+      monitor: run.monitor,
+      definitionId: run.definitionId,
+      client: run.client,
+      priority: run.priority,
+      queueTimeout: run.queueTimeout,
+      createdAt: run.createdAt
+    };
+  }
+
+  /**
+   * Get the raw run record (runs in this process only)
+   */
+  get(testId) {
+    return this.runs.get(testId) || null;
+  }
+
+  /**
+   * Mark a run as started
+   */
+  markRunning(testId) {
+    const run = this.runs.get(testId);
+    if (!run) return;
+
+    run.status = 'running';
+    run.startedAt = new Date().toISOString();
+    this.persistRun(run);
+  }
+
+  /**
+   * Attach the live computer use instance so progress can be reported mid-run
+   */
+  attach(testId, computerUse) {
+    const run = this.runs.get(testId);
+    if (!run) return;
+
+    run.computerUse = computerUse;
+
+    // Buffer progress events for streaming clients
+    for (const type of ['log', 'action', 'screenshot']) {
+      computerUse.on(type, data => this.addEvent(run, type, data));
+    }
+  }
+
+  /**
+   * Record the id of the run's OpenTelemetry trace
+   */
+  setTraceId(testId, traceId) {
+    const run = this.runs.get(testId);
+    if (run) {
+      run.traceId = traceId;
+      this.persistRun(run);
+    }
+  }
+
+  /**
+   * Get the ids of runs that are currently executing
+   */
+  getRunningTestIds() {
+    return [...this.runs.values()]
+      .filter(run => run.status === 'running')
+      .map(run => run.testId);
+  }
+
+  /**
+   * Attach the Docker container while it starts, before a computer use instance exists
+   */
+  attachDockerManager(testId, dockerManager) {
+    const run = this.runs.get(testId);
+    if (run) {
+      run.dockerManager = dockerManager;
+    }
+  }
+
+  /**
+   * Flag a run for cancellation ('cancelled' by a client, 'timeout', or 'shutdown')
+   */
+  requestCancel(testId, reason = 'cancelled') {
+    const run = this.runs.get(testId);
+    if (!run || run.completedAt) return null;
+
+    // Keep the first reason if a timeout and a client cancel race
+    run.cancelReason = run.cancelReason || reason;
+    return run;
+  }
+
+  /**
+   * Check whether cancellation has been requested for a run
+   */
+  isCancelRequested(testId) {
+    const run = this.runs.get(testId);
+    return Boolean(run && run.cancelReason);
+  }
+
+  /**
+   * Append an event to a run and notify waiting streams
+   */
+  addEvent(run, type, data) {
+    const event = {
+      id: run.events.length + 1,
+      type,
+      data: redactor.redact(data)
+    };
+
+    run.events.push(event);
+    this.emit('event', run.testId, event);
+    this.persistRun(run);
+  }
+
+  /**
+   * Get events after the given event id
+   */
+  getEvents(testId, afterId = 0) {
+    const run = this.runs.get(testId);
+    if (!run) return [];
+
+    return run.events.filter(event => event.id > afterId);
+  }
+
+  /**
+   * Get events after the given event id of a run here or in another instance
+   */
+  async loadEvents(testId, afterId = 0) {
+    if (this.runs.has(testId)) {
+      return this.getEvents(testId, afterId);
+    }
+
+    const document = await this.readShared('run', testId);
+    return document ? document.events.filter(event => event.id > afterId) : [];
+  }
+
+  /**
+   * Resolve once events after the given id exist, or after timeoutMs
+   */
+  waitForEvents(testId, afterId, timeoutMs) {
+    if (!this.runs.has(testId)) {
+      return this.poll(async () => {
+        const events = await this.loadEvents(testId, afterId);
+        return events.length > 0 ? events : null;
+      }, timeoutMs, []);
+    }
+
+    const pending = this.getEvents(testId, afterId);
+    if (pending.length > 0) {
+      return Promise.resolve(pending);
+    }
+
+    return new Promise(resolve => {
+      const onEvent = (eventTestId) => {
+        if (eventTestId === testId) {
+          done();
+        }
+      };
+
+      const done = () => {
+        clearTimeout(timer);
+        this.removeListener('event', onEvent);
+        resolve(this.getEvents(testId, afterId));
+      };
+
+      const timer = setTimeout(done, timeoutMs);
+      this.on('event', onEvent);
+    });
+  }
+
+  /**
+   * Record a run that finished with a verdict from Claude
+   */
+  complete(testId, result) {
+    const run = this.runs.get(testId);
+    if (!run) return;
+
+    run.status = result.success ? 'passed' : 'failed';
+    run.result = result;
+    this.finish(run, result.duration);
+  }
+
+  /**
+   * Record a failed run (runTest rejects with a plain object, timeouts with an Error)
+   */
+  fail(testId, error) {
+    const run = this.runs.get(testId);
+    if (!run) return;
+
+    run.status = run.cancelReason === 'cancelled' ? 'cancelled' : 'failed';
+    run.error = {
+      message: this.getFailureMessage(run, error),
+      screenshots: error.screenshots || []
+    };
+    this.finish(run, error.duration);
+  }
+
+  /**
+   * Cancelled runs fail with whatever the interrupted step threw, so report the cancel reason instead
+   */
+  getFailureMessage(run, error) {
+    if (run.cancelReason === 'timeout') return 'Test timeout';
+    if (run.cancelReason) return 'Test cancelled';
+    return error.message;
+  }
+
+  /**
+   * Shared bookkeeping for finished runs
+   */
+  finish(run, duration) {
+    run.completedAt = new Date().toISOString();
+    run.duration = duration !== undefined
+      ? duration
+      : (Date.parse(run.completedAt) - Date.parse(run.startedAt || run.createdAt)) / 1000;
+
+    this.addEvent(run, 'result', this.getStatus(run.testId));
+  }
+
+  /**
+   * Record a completion webhook delivery attempt
+   */
+  recordWebhookAttempt(testId, attempt) {
+    const run = this.runs.get(testId);
+    if (!run || !run.webhook) return;
+
+    run.webhook.attempts.push(attempt);
+    run.webhook.delivered = !attempt.error;
+    this.persistRun(run);
+  }
+
+  /**
+   * Check whether a run has reached a final state
+   */
+  isFinished(testId) {
+    const run = this.runs.get(testId);
+    return Boolean(run && run.completedAt);
+  }
+
+  /**
+   * Resolve once a run has finished, or after timeoutMs
+   */
+  waitForCompletion(testId, timeoutMs) {
+    if (!this.runs.has(testId)) {
+      return this.poll(async () => {
+        const status = await this.loadStatus(testId);
+        return !status || status.completedAt ? true : null;
+      }, timeoutMs, false);
+    }
+
+    if (this.isFinished(testId)) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const onEvent = (eventTestId, event) => {
+        if (eventTestId === testId && event.type === 'result') {
+          done(true);
+        }
+      };
+
+      const done = (finished) => {
+        clearTimeout(timer);
+        this.removeListener('event', onEvent);
+        resolve(finished);
+      };
+
+      const timer = setTimeout(() => done(false), timeoutMs);
+      this.on('event', onEvent);
+    });
+  }
+
+  /**
+   * Resolve once a suite here or in another instance has finished, or after timeoutMs
+   */
+  waitForSuiteCompletion(suiteId, timeoutMs) {
+    return this.poll(async () => {
+      const suite = await this.loadSuite(suiteId);
+      return !suite || suite.completedAt ? true : null;
+    }, timeoutMs, false);
+  }
+
+  /**
+   * Build the public status payload for a run, redacted for responses, webhooks and history
+   */
+  getStatus(testId) {
+    const run = this.runs.get(testId);
+    return run ? this.buildStatus(run) : null;
+  }
+
+  /**
+   * Status of a run here or in another instance
+   */
+  async loadStatus(testId) {
+    if (this.runs.has(testId)) {
+      return this.getStatus(testId);
+    }
+
+    const document = await this.readShared('run', testId);
+    return document ? document.status : null;
+  }
+
+  /**
+   * Public status payload of a run record
+   */
+  buildStatus(run) {
+    const computerUse = run.computerUse;
+    let screenshots = [];
+    if (run.result) {
+      screenshots = run.result.screenshots;
+    } else if (computerUse) {
+      // Includes the error state screenshot, which is captured on the same instance
+      screenshots = computerUse.screenshots;
+    } else if (run.error) {
+      screenshots = run.error.screenshots;
+    }
+
+    return redactor.redact({
+      testId: run.testId,
+      suiteId: run.suiteId || undefined,
+      monitor: run.monitor || undefined,
+      definitionId: run.definitionId || undefined,
+      client: run.client,
+      status: run.status,
+      instruction: run.instruction,
+      parameters: run.parameters || undefined,
+      executionMode: run.executionMode,
+      iteration: computerUse ? computerUse.iteration : 0,
+      maxIterations: computerUse ? computerUse.maxIterations : null,
+      createdAt: run.createdAt,
+      startedAt: run.startedAt,
+      completedAt: run.completedAt,
+      duration: run.duration,
+      screenshots,
+      log: run.result ? run.result.log : (computerUse ? computerUse.log : ''),
+      events: run.result ? run.result.events : (computerUse ? computerUse.runLog.events : []),
+      verdict: run.result ? run.result.verdict : null,
+      replay: run.result ? run.result.replay : null,
+      usage: computerUse ? computerUse.usage : null,
+      traceId: run.traceId || undefined,
+      error: run.error ? run.error.message : null,
+      webhook: run.webhook
+    });
+  }
+
+  /**
+   * Everything worth keeping about a finished run, for run history
+   */
+  getHistoryRecord(testId) {
+    const run = this.runs.get(testId);
+    if (!run) return null;
+
+    const { webhook, ...status } = this.getStatus(testId);
+    const options = { ...run.options };
+
+    // A replayed trace is already stored with the run it came from
+    if (options.replay) {
+      const { trace, ...replay } = options.replay;
+      options.replay = replay;
+    }
+
+    return {
+      ...status,
+      expectations: run.options.expectations || [],
+      options,
+      trace: run.computerUse ? run.computerUse.trace : null
+    };
+  }
+
+  /**
+   * Register a new queued suite of named test cases
+   */
+  createSuite(suiteId, { name, stopOnFailure = false, cases, client = null, priority = 'normal', queueTimeout = null }) {
+    const suite = {
+      suiteId,
+      name,
+      client,
+      stopOnFailure,
+      priority,
+      queueTimeout,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      cancelRequested: false,
+      error: null,
+      cases: cases.map(testCase => ({ ...testCase, testId: null, status: null, skipped: false }))
+    };
+
+    this.suites.set(suiteId, suite);
+    this.persistSuite(suite);
+    return suite;
+  }
+
+  /**
+   * Load a suite from the shared store so its next case can run in this instance
+   * Returns null when it is unknown, has finished or another invocation has claimed this step
+   */
+  async restoreSuite(suiteId) {
+    const document = await this.readShared('suite', suiteId);
+    if (!document || document.suite.completedAt) return null;
+
+    // Every invocation starts or skips at least one case, so the cases done so far name the step
+    const step = document.suite.cases.filter(testCase => testCase.testId || testCase.skipped).length;
+    if (!(await this.claim(suiteId, step))) return null;
+
+    this.suites.set(suiteId, document.suite);
+    return document.suite;
+  }
+
+  /**
+   * Get the raw suite record (suites in this process only)
+   */
+  getSuite(suiteId) {
+    return this.suites.get(suiteId) || null;
+  }
+
+  /**
+   * Suite record from this process or the shared store
+   */
+  async loadSuite(suiteId) {
+    if (this.suites.has(suiteId)) {
+      return this.getSuite(suiteId);
+    }
+
+    const document = await this.readShared('suite', suiteId);
+    return document ? document.suite : null;
+  }
+
+  /**
+   * Mark a suite as started
+   */
+  markSuiteRunning(suiteId) {
+    const suite = this.suites.get(suiteId);
+    if (!suite) return;
+
+    suite.status = 'running';
+    suite.startedAt = new Date().toISOString();
+    this.persistSuite(suite);
+  }
+
+  /**
+   * Link a suite case to the test run executing it
+   */
+  startSuiteCase(suiteId, index, testId) {
+    const suite = this.suites.get(suiteId);
+    if (suite) {
+      suite.cases[index].testId = testId;
+      this.persistSuite(suite);
+    }
+  }
+
+  /**
+   * Record how a suite case ended, for later cases and the suite's own status
+   */
+  finishSuiteCase(suiteId, index, status) {
+    const suite = this.suites.get(suiteId);
+    if (suite) {
+      suite.cases[index].status = status;
+      this.persistSuite(suite);
+    }
+  }
+
+  /**
+   * Mark a suite case as skipped (stopOnFailure after an earlier failure)
+   */
+  skipSuiteCase(suiteId, index) {
+    const suite = this.suites.get(suiteId);
+    if (suite) {
+      suite.cases[index].skipped = true;
+      this.persistSuite(suite);
+    }
+  }
+
+  /**
+   * Flag a suite so its remaining cases are skipped
+   */
+  requestSuiteCancel(suiteId) {
+    const suite = this.suites.get(suiteId);
+    if (!suite || suite.completedAt) return null;
+
+    suite.cancelRequested = true;
+    this.persistSuite(suite);
+    return suite;
+  }
+
+  /**
+   * Fail a suite before any case ran (e.g. it waited too long in the queue)
+   */
+  failSuite(suiteId, message) {
+    const suite = this.suites.get(suiteId);
+    if (!suite) return;
+
+    suite.cases.forEach(testCase => { testCase.skipped = true; });
+    suite.error = message;
+    suite.completedAt = new Date().toISOString();
+    suite.status = 'failed';
+    this.persistSuite(suite);
+  }
+
+  /**
+   * Record that all suite cases have finished or been skipped
+   * An error (e.g. the next case could not be started) fails the suite
+   */
+  finishSuite(suiteId, error = null) {
+    const suite = this.suites.get(suiteId);
+    if (!suite) return;
+
+    suite.completedAt = new Date().toISOString();
+    suite.error = error || suite.error;
+
+    const report = this.getSuiteReport(suiteId);
+    if (suite.cancelRequested) {
+      suite.status = 'cancelled';
+    } else {
+      suite.status = error || report.failed + report.cancelled > 0 ? 'failed' : 'passed';
+    }
+    this.persistSuite(suite);
+  }
+
+  /**
+   * Build the aggregate report for a suite in this process
+   */
+  getSuiteReport(suiteId) {
+    const suite = this.suites.get(suiteId);
+    if (!suite) return null;
+
+    return this.buildSuiteReport(suite, suite.cases.map(testCase => testCase.testId ? this.getStatus(testCase.testId) : null));
+  }
+
+  /**
+   * Build the aggregate report for a suite here or in another instance
+   */
+  async loadSuiteReport(suiteId) {
+    const suite = await this.loadSuite(suiteId);
+    if (!suite) return null;
+
+    const statuses = await Promise.all(suite.cases.map(testCase => testCase.testId ? this.loadStatus(testCase.testId) : null));
+    return this.buildSuiteReport(suite, statuses);
+  }
+
+  /**
+   * Suite report from the suite record and the status of each case's run (null if none)
+   * Cases that ran in another instance fall back to the status recorded when they finished
+   */
+  buildSuiteReport(suite, statuses) {
+    const cases = suite.cases.map((testCase, index) => {
+      const status = statuses[index];
+
+      return {
+        name: testCase.name,
+        instruction: testCase.instruction,
+        dataRow: testCase.parameters ? testCase.parameters.dataRow : null,
+        testId: testCase.testId,
+        status: status ? status.status : (testCase.status || (testCase.skipped ? 'skipped' : 'pending')),
+        duration: status ? status.duration : null,
+        screenshots: status ? status.screenshots : [],
+        verdict: status ? status.verdict : null,
+        error: status ? status.error : null
+      };
+    });
+
+    const count = state => cases.filter(testCase => testCase.status === state).length;
+
+    return redactor.redact({
+      suiteId: suite.suiteId,
+      name: suite.name,
+      client: suite.client,
+      status: suite.status,
+      stopOnFailure: suite.stopOnFailure,
+      createdAt: suite.createdAt,
+      startedAt: suite.startedAt,
+      completedAt: suite.completedAt,
+      duration: cases.reduce((total, testCase) => total + (testCase.duration || 0), 0),
+      total: cases.length,
+      passed: count('passed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      cancelled: count('cancelled'),
+      error: suite.error,
+      cases
+    });
+  }
+
+  /**
+   * Ask the instance running a run or suite elsewhere to cancel it
+   */
+  async requestRemoteCancel(id, reason = 'cancelled') {
+    if (!this.isValidId(id)) return;
+    await this.getStore().save(`cancel-${id}`, { reason, requestedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Reason of a cancel request left for this run or suite by another instance, or null
+   */
+  async getRemoteCancel(id) {
+    const request = await this.readShared('cancel', id);
+    return request ? request.reason : null;
+  }
+
+  /**
+   * Claim a queued run, or one step of a suite, for the invocation that will run it
+   * Netlify retries failed background invocations, so a trigger can arrive twice; only the
+   * first claim succeeds, as the store creates claim-<id> keys only if they are new
+   */
+  async claim(id, step = null) {
+    const key = step === null ? `claim-${id}` : `claim-${id}-${step}`;
+    return this.getStore().create(key, { claimedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Call onCancel(reason) when another instance asks to cancel this run or its suite
+   * Returns a function that stops watching
+   */
+  watchCancel(testId, onCancel) {
+    const run = this.runs.get(testId);
+    const ids = [testId, run && run.suiteId].filter(Boolean);
+
+    const timer = setInterval(async () => {
+      for (const id of ids) {
+        const reason = await this.getRemoteCancel(id);
+        if (reason) {
+          clearInterval(timer);
+          onCancel(reason);
+          return;
+        }
+      }
+    }, this.config.pollSeconds * 1000);
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Resolve with check()'s first non-null result, or with fallback after timeoutMs
+   */
+  async poll(check, timeoutMs, fallback) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      const result = await check();
+      if (result !== null) return result;
+      if (Date.now() >= deadline) return fallback;
+
+      await new Promise(resolve => setTimeout(resolve, Math.min(this.config.pollSeconds * 1000, Math.max(deadline - Date.now(), 0))));
+    }
+  }
+
+  /**
+   * Queue entries of every run and suite in the shared store:
+   * { id, kind, status, suiteId, client, priority, queueTimeout, createdAt, updatedAt, completedAt }
+   */
+  async listShared() {
+    const store = this.getStore();
+    const keys = [...await store.keys('run-'), ...await store.keys('suite-')];
+
+    const entries = await Promise.all(keys.map(async key => ({
+      id: key.slice(key.indexOf('-') + 1),
+      ...await store.getMetadata(key)
+    })));
+    return entries.filter(entry => entry.kind);
+  }
+
+  /**
+   * Write a run to the shared store
+   * Writes of one run are coalesced: changes made while one is in flight are written together next
+   */
+  persistRun(run) {
+    return this.persist(`run-${run.testId}`, () => ({
+      document: {
+        status: this.buildStatus(run),
+        events: run.events,
+        // Only kept until the run starts, for the instance that will run it
+        input: run.status === 'queued' ? this.getInput(run) : null
+      },
+      metadata: this.getEntry('run', run)
+    }));
+  }
+
+  /**
+   * Write a suite to the shared store; its cases keep their inputs until it finishes
+   */
+  persistSuite(suite) {
+    return this.persist(`suite-${suite.suiteId}`, () => ({
+      document: { suite: suite.completedAt ? redactor.redact(suite) : suite },
+      metadata: this.getEntry('suite', suite)
+    }));
+  }
+
+  /**
+   * Queue entry of a run or suite, kept as metadata so the queue can be read without loading records
+   */
+  getEntry(kind, record) {
+    return {
+      kind,
+      status: record.status,
+      suiteId: record.suiteId && kind === 'run' ? record.suiteId : null,
+      client: record.client,
+      priority: record.priority,
+      queueTimeout: record.queueTimeout,
+      createdAt: record.createdAt,
+      updatedAt: new Date().toISOString(),
+      completedAt: record.completedAt
+    };
+  }
+
+  /**
+   * Write build()'s { document, metadata } under key, coalescing with a write in flight
+   */
+  persist(key, build) {
+    const pending = this.writes.get(key);
+    if (pending) {
+      pending.build = build;
+      pending.dirty = true;
+      return pending.done;
+    }
+
+    const write = { build, dirty: true };
+    write.done = (async () => {
+      try {
+        while (write.dirty) {
+          write.dirty = false;
+          const { document, metadata } = write.build();
+          await this.getStore().save(key, document, metadata);
+
+          if (write.dirty) {
+            await new Promise(resolve => setTimeout(resolve, this.config.writeIntervalMs));
+          }
+        }
+      } catch (error) {
+        console.error(`Test registry: failed to save ${key}:`, error.message);
+      } finally {
+        this.writes.delete(key);
+      }
+    })();
+
+    this.writes.set(key, write);
+    return write.done;
+  }
+
+  /**
+   * Wait for every pending write (before a function returns and is frozen)
+   */
+  async flush() {
+    await Promise.all([...this.writes.values()].map(write => write.done));
+  }
+
+  /**
+   * Save a run or suite and forget it here, once another function instance will run it;
+   * from then on this instance reads it from the shared store like any other
+   */
+  async handOff(id) {
+    await this.flush();
+    this.runs.delete(id);
+    this.suites.delete(id);
+  }
+
+  /**
+   * Read the run, suite or cancel record of an id from the shared store
+   * Invalid ids and problems are read as not found (problems are logged)
+   */
+  async readShared(kind, id) {
+    if (!this.isValidId(id)) return null;
+
+    const key = `${kind}-${id}`;
+    try {
+      return await this.getStore().get(key);
+    } catch (error) {
+      console.error(`Test registry: failed to read ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Ids are UUIDs; anything else in a store key could escape the file store's directory
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9-]+$/.test(id);
+  }
+
+  /**
+   * Delete finished runs and suites older than the retention period from the shared store
+   */
+  async pruneShared() {
+    const cutoff = Date.now() - (this.config.retentionMinutes * 60 * 1000);
+    const store = this.getStore();
+
+    const expired = (await this.listShared())
+      .filter(entry => entry.completedAt && Date.parse(entry.completedAt) < cutoff);
+
+    for (const entry of expired) {
+      await store.delete(`${entry.kind}-${entry.id}`);
+      await store.delete(`cancel-${entry.id}`);
+      for (const key of await store.keys(`claim-${entry.id}`)) {
+        await store.delete(key);
+      }
+    }
+    return expired.length;
+  }
+
+  /**
+   * Start cleanup interval to forget finished runs and suites after the retention period
+   */
+  startCleanupInterval() {
+    // Clean up finished runs every 10 minutes
+    setInterval(() => {
+      const cutoff = Date.now() - (this.config.retentionMinutes * 60 * 1000);
+      let cleaned = 0;
+
+      for (const [testId, run] of this.runs.entries()) {
+        if (run.completedAt && Date.parse(run.completedAt) < cutoff) {
+          this.runs.delete(testId);
+          cleaned++;
+        }
+      }
+
+      for (const [suiteId, suite] of this.suites.entries()) {
+        if (suite.completedAt && Date.parse(suite.completedAt) < cutoff) {
+          this.suites.delete(suiteId);
+          cleaned++;
+        }
+      }
+
+      if (cleaned > 0) {
+        console.log(`Test registry: Cleaned up ${cleaned} finished runs and suites`);
+      }
+
+      this.pruneShared().catch(error => console.error('Test registry: failed to prune the shared store:', error.message));
+    }, 10 * 60 * 1000).unref(); // Don't keep the process alive just for cleanup
+  }
+}
+
+// Create singleton instance
+const testRegistry = new TestRegistry();
+
+module.exports = testRegistry;
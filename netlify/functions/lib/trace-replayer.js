@@ -0,0 +1,186 @@
+const ScreenshotUtils = require('./screenshot-utils');
+const ActionTrace = require('./action-trace');
+const redactor = require('./redactor');
+
+/**
+ * Re-executes a recorded action trace without calling Claude
+ *
+ * Before each step (and after the last one) the live screen is compared with the
+ * recorded screenshot. When more than divergenceThreshold percent of pixels differ the
+ * replay either hands the rest of the run over to Claude or fails, depending on
+ * fallbackToClaude. Steps whose text was redacted when the run was saved are handled
+ * the same way: typing "[redacted:email]" would only break the flow. So are steps
+ * without a recorded screenshot, as nothing shows the replay is still on track.
+ */
+class TraceReplayer {
+  constructor(computerUse, trace, options = {}) {
+    this.computerUse = computerUse;
+    this.trace = trace;
+    this.divergenceThreshold = options.divergenceThreshold !== undefined
+      ? options.divergenceThreshold
+      : parseFloat(process.env.REPLAY_DIVERGENCE_THRESHOLD) || 5;
+    this.fallbackToClaude = options.fallbackToClaude !== false;
+  }
+
+  /**
+   * Replay every step, returning the same shape as runClaudeWithComputerUse plus a replay summary
+   */
+  async run(instruction) {
+    const computerUse = this.computerUse;
+    const steps = this.trace.steps;
+    const replay = {
+      sourceTestId: this.trace.testId || null,
+      totalSteps: steps.length,
+      replayedSteps: 0,
+      divergedAt: null,
+      difference: null,
+      redactedAt: null,
+      unverifiedAt: null,
+      fellBackToClaude: false
+    };
+
+    computerUse.addLog(`Replaying ${steps.length} recorded steps (divergence threshold ${this.divergenceThreshold}%)`);
+
+    for (const step of steps) {
+      computerUse.throwIfCancelled();
+
+      if (TraceReplayer.isRedacted(step)) {
+        replay.redactedAt = step.index;
+        return this.handOver(instruction, replay, `Replay stopped at step ${step.index}: its recorded input was redacted`);
+      }
+
+      if (!step.preScreenshot) {
+        return this.unverified(instruction, replay, step.index);
+      }
+
+      const divergence = await this.checkDivergence(step.preScreenshot);
+      if (divergence !== null) {
+        return this.diverge(instruction, replay, step.index, divergence);
+      }
+
+      computerUse.addLog(`Replaying step ${step.index}: ${step.tool} ${step.action || step.command || ''}`.trim());
+      // Goes through the normal tool path, so the replay records a trace of its own
+      await computerUse.executeComputerUseTool({ name: step.tool, input: ActionTrace.pickInput(step) });
+      replay.replayedSteps++;
+    }
+
+    // The final screen must match what the recorded run ended on
+    const lastStep = steps[steps.length - 1];
+    if (!lastStep.postScreenshot) {
+      return this.unverified(instruction, replay, steps.length);
+    }
+
+    const divergence = await this.checkDivergence(lastStep.postScreenshot);
+    if (divergence !== null) {
+      return this.diverge(instruction, replay, steps.length, divergence);
+    }
+
+    computerUse.verdict = this.getReplayedVerdict();
+    computerUse.addLog(`Replay matched all ${steps.length} steps`);
+
+    return { iterations: 0, completed: true, verdict: computerUse.verdict, replay };
+  }
+
+  /**
+   * Percentage of pixels that differ from a recorded screenshot, or null when within the threshold
+   */
+  async checkDivergence(recordedScreenshot) {
+    const current = await this.computerUse.takeScreenshotForClaude();
+    const comparison = await ScreenshotUtils.compareScreenshots(recordedScreenshot, current);
+
+    return comparison.differencePercentage > this.divergenceThreshold
+      ? comparison.differencePercentage
+      : null;
+  }
+
+  /**
+   * Hand the run to Claude after a divergence, or fail the replay
+   */
+  async diverge(instruction, replay, stepIndex, difference) {
+    replay.divergedAt = stepIndex;
+    replay.difference = difference;
+
+    return this.handOver(instruction, replay, `Replay diverged at step ${stepIndex} (${difference.toFixed(2)}% of pixels differ)`);
+  }
+
+  /**
+   * Hand the run to Claude, or fail the replay, where no recorded screenshot can confirm the screen
+   */
+  async unverified(instruction, replay, stepIndex) {
+    replay.unverifiedAt = stepIndex;
+
+    return this.handOver(instruction, replay, `Replay stopped at step ${stepIndex}: no recorded screenshot to compare the screen with`);
+  }
+
+  /**
+   * Let Claude finish the run from the current screen, or fail the replay with a message
+   */
+  async handOver(instruction, replay, message) {
+    const computerUse = this.computerUse;
+    if (!this.fallbackToClaude) {
+      throw new Error(message);
+    }
+
+    computerUse.addLog(`${message}; handing over to Claude`);
+    replay.fellBackToClaude = true;
+
+    const result = await computerUse.runClaudeWithComputerUse(instruction);
+    return { ...result, replay };
+  }
+
+  /**
+   * Whether any recorded input of a step (typed text, key, ...) holds a redaction placeholder
+   */
+  static isRedacted(step) {
+    return Object.values(ActionTrace.pickInput(step)).some(value => redactor.isRedacted(value));
+  }
+
+  /**
+   * A faithful replay reaches the same outcome as the recorded run
+   */
+  getReplayedVerdict() {
+    const recorded = this.trace.verdict;
+    const source = this.trace.testId ? ` ${this.trace.testId}` : '';
+
+    if (!recorded) {
+      return {
+        passed: true,
+        summary: `Replayed all ${this.trace.steps.length} steps of run${source} without divergence`,
+        observations: [],
+        failedExpectations: []
+      };
+    }
+
+    return {
+      ...recorded,
+      summary: `Replay matched run${source}: ${recorded.summary}`
+    };
+  }
+
+  /**
+   * Validate replay options from a request, returning an error message or null
+   */
+  static validateOptions(replay) {
+    if (!replay || typeof replay !== 'object') {
+      return 'replay must be an object with a testId';
+    }
+
+    // Only traces this server recorded are replayed: their steps and verdict come from a real run
+    if (replay.trace !== undefined) {
+      return 'replay.trace is not accepted; replay a run from history by its testId';
+    }
+
+    if (typeof replay.testId !== 'string' || !replay.testId) {
+      return 'replay needs the testId of a recorded run';
+    }
+
+    if (replay.divergenceThreshold !== undefined &&
+        (typeof replay.divergenceThreshold !== 'number' || replay.divergenceThreshold < 0 || replay.divergenceThreshold > 100)) {
+      return 'replay.divergenceThreshold must be a percentage between 0 and 100';
+    }
+
+    return null;
+  }
+}
+
+module.exports = TraceReplayer;
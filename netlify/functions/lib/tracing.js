@@ -0,0 +1,162 @@
+const api = require('@opentelemetry/api');
+const { BasicTracerProvider, BatchSpanProcessor, SimpleSpanProcessor, InMemorySpanExporter } = require('@opentelemetry/sdk-trace-base');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { ATTR_SERVICE_NAME } = require('@opentelemetry/semantic-conventions');
+
+// Stand-in for every span while tracing is off
+const NOOP_SPAN = api.trace.wrapSpanContext(api.INVALID_SPAN_CONTEXT);
+
+/**
+ * OpenTelemetry tracing: each run is a trace with spans for container and browser startup,
+ * navigation, every Claude request, every tool action and the fixed waits between them
+ *
+ * TRACING_EXPORTER selects where spans go: "otlp" (the default when an OTLP endpoint is
+ * configured) sends them over OTLP/HTTP to OTEL_EXPORTER_OTLP_TRACES_ENDPOINT or
+ * OTEL_EXPORTER_OTLP_ENDPOINT, with OTEL_EXPORTER_OTLP_HEADERS; "memory" keeps them in
+ * process; "none" turns tracing off. Parents are passed explicitly rather than through a
+ * context manager, so spans nest correctly across awaits without global registration.
+ */
+class Tracing {
+  constructor() {
+    const otlpConfigured = Boolean(process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_ENDPOINT);
+
+    this.config = {
+      exporter: process.env.TRACING_EXPORTER || (otlpConfigured ? 'otlp' : 'none'),
+      serviceName: process.env.OTEL_SERVICE_NAME || 'netlify-computer-use-api'
+    };
+    this.provider = null;
+    this.exporter = null;
+  }
+
+  /**
+   * Create the configured provider on first use; null while tracing is off
+   */
+  getProvider() {
+    if (this.provider || this.config.exporter === 'none') {
+      return this.provider;
+    }
+
+    switch (this.config.exporter) {
+      case 'otlp':
+        // Batched, and flushed after every run so short-lived functions do not drop spans
+        this.useExporter(new OTLPTraceExporter(), { batch: true });
+        break;
+      case 'memory':
+        this.useExporter(new InMemorySpanExporter());
+        break;
+      default:
+        console.error(`Unknown TRACING_EXPORTER "${this.config.exporter}" (expected otlp, memory or none); tracing is off`);
+        this.config.exporter = 'none';
+    }
+
+    return this.provider;
+  }
+
+  /**
+   * Send spans to an exporter (used by tests with an InMemorySpanExporter)
+   */
+  useExporter(exporter, { batch = false } = {}) {
+    this.exporter = exporter;
+    this.provider = new BasicTracerProvider({
+      resource: resourceFromAttributes({ [ATTR_SERVICE_NAME]: this.config.serviceName }),
+      spanProcessors: [batch ? new BatchSpanProcessor(exporter) : new SimpleSpanProcessor(exporter)]
+    });
+    return exporter;
+  }
+
+  isEnabled() {
+    return Boolean(this.getProvider());
+  }
+
+  /**
+   * Start a span under a parent span, or a new trace when there is none
+   */
+  startSpan(name, parent = null, attributes = {}) {
+    const provider = this.getProvider();
+    if (!provider) return NOOP_SPAN;
+
+    const parentContext = parent ? api.trace.setSpan(api.ROOT_CONTEXT, parent) : api.ROOT_CONTEXT;
+    return provider.getTracer(this.config.serviceName)
+      .startSpan(name, { attributes: this.getAttributes(attributes) }, parentContext);
+  }
+
+  /**
+   * End a span, marking it failed when an error (or an object with a message) is given
+   */
+  endSpan(span, error = null) {
+    if (!span) return;
+
+    if (error) {
+      span.recordException({ name: error.name || 'Error', message: error.message, stack: error.stack });
+      span.setStatus({ code: api.SpanStatusCode.ERROR, message: error.message });
+    }
+    span.end();
+  }
+
+  /**
+   * Run fn(span) inside a span that ends when it settles
+   */
+  async withSpan(name, parent, attributes, fn) {
+    const span = this.startSpan(name, parent, attributes);
+
+    try {
+      const result = await fn(span);
+      this.endSpan(span);
+      return result;
+    } catch (error) {
+      this.endSpan(span, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Span for one Claude request, with GenAI semantic convention attributes for the model and token usage
+   */
+  async traceModelCall(parent, model, request) {
+    const attributes = {
+      'gen_ai.operation.name': 'chat',
+      'gen_ai.system': 'anthropic',
+      'gen_ai.request.model': model
+    };
+
+    return this.withSpan(`chat ${model}`, parent, attributes, async span => {
+      const response = await request();
+      const usage = response.usage || {};
+
+      span.setAttributes(this.getAttributes({
+        'gen_ai.response.id': response.id,
+        'gen_ai.response.model': response.model,
+        'gen_ai.response.finish_reasons': response.stop_reason ? [response.stop_reason] : null,
+        'gen_ai.usage.input_tokens': usage.input_tokens,
+        'gen_ai.usage.output_tokens': usage.output_tokens
+      }));
+      return response;
+    });
+  }
+
+  /**
+   * Export buffered spans; tracing problems must not fail a run
+   */
+  async flush() {
+    if (!this.provider) return;
+
+    try {
+      await this.provider.forceFlush();
+    } catch (error) {
+      console.error('Failed to export traces:', error.message);
+    }
+  }
+
+  /**
+   * Attribute values OpenTelemetry accepts: unset values are left out
+   */
+  getAttributes(attributes) {
+    return Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== null && value !== undefined));
+  }
+}
+
+// Create singleton instance
+const tracing = new Tracing();
+
+module.exports = tracing;
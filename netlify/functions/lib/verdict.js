@@ -0,0 +1,137 @@
+/**
+ * The report_result tool Claude calls to finish a test with a pass/fail verdict
+ *
+ * Without it a run "passes" whenever the loop ends without crashing, even if
+ * Claude concluded the feature was broken.
+ */
+class Verdict {
+  static TOOL_NAME = 'report_result';
+
+  /**
+   * Tool definition; when expectations are given the report must address each one
+   */
+  static getTool(expectations = []) {
+    const properties = {
+      passed: {
+        type: 'boolean',
+        description: 'True only if the instruction was carried out and everything behaved as expected'
+      },
+      summary: {
+        type: 'string',
+        description: 'One or two sentences explaining the verdict'
+      },
+      observations: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Notable things seen while testing, such as error messages, slow pages or visual glitches'
+      },
+      failedExpectations: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Each expectation, or implied goal of the instruction, that did not hold (empty when passed)'
+      }
+    };
+    const required = ['passed', 'summary', 'observations', 'failedExpectations'];
+
+    if (expectations.length > 0) {
+      properties.expectations = {
+        type: 'array',
+        description: 'One entry per listed expectation, in the order given',
+        items: {
+          type: 'object',
+          properties: {
+            expectation: { type: 'string', description: 'The expectation text exactly as listed' },
+            met: { type: 'boolean' },
+            evidence: { type: 'string', description: 'What you saw that shows whether it held' }
+          },
+          required: ['expectation', 'met']
+        }
+      };
+      required.push('expectations');
+    }
+
+    return {
+      name: this.TOOL_NAME,
+      description: 'Report the final result of the test. Call this exactly once, when you have finished testing, instead of ending with a plain message.',
+      input_schema: {
+        type: 'object',
+        properties,
+        required
+      }
+    };
+  }
+
+  /**
+   * Prompt lines telling Claude how to finish
+   */
+  static getPromptGuidelines(expectations = []) {
+    const lines = [
+      `When you are done, call the ${this.TOOL_NAME} tool with your verdict. Set passed to false if anything in the instruction could not be completed or did not work as expected.`
+    ];
+
+    if (expectations.length > 0) {
+      lines.push('', 'Check each of these expectations and report on every one of them:');
+      expectations.forEach((expectation, index) => lines.push(`${index + 1}. ${expectation}`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Message sent when Claude stops without calling the tool
+   */
+  static getReminder() {
+    return `You have not reported a result yet. Call the ${this.TOOL_NAME} tool with your verdict now.`;
+  }
+
+  /**
+   * Validate an expectations list from a request, returning an error message or null
+   */
+  static validateExpectations(expectations) {
+    if (expectations === undefined) return null;
+
+    if (!Array.isArray(expectations) || expectations.some(item => typeof item !== 'string' || !item.trim())) {
+      return 'expectations must be an array of non-empty strings';
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize the tool input into a verdict, failing any expectation the report skipped
+   */
+  static fromToolInput(input = {}, expectations = []) {
+    const reported = Array.isArray(input.expectations) ? input.expectations : [];
+    const strings = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+    const results = expectations.map((expectation, index) => {
+      // Match by text first, falling back to position
+      const entry = reported.find(item => item && item.expectation === expectation) || reported[index];
+      if (!entry || typeof entry.met !== 'boolean') {
+        return { expectation, met: false, evidence: 'Not addressed in the report' };
+      }
+      return { expectation, met: entry.met, evidence: entry.evidence || null };
+    });
+
+    const failedExpectations = [...new Set([
+      ...strings(input.failedExpectations),
+      ...results.filter(result => !result.met).map(result => result.expectation)
+    ])];
+
+    const verdict = {
+      // A verdict that lists failures cannot pass
+      passed: input.passed === true && failedExpectations.length === 0,
+      summary: typeof input.summary === 'string' ? input.summary : '',
+      observations: strings(input.observations),
+      failedExpectations
+    };
+
+    if (expectations.length > 0) {
+      verdict.expectations = results;
+    }
+
+    return verdict;
+  }
+}
+
+module.exports = Verdict;
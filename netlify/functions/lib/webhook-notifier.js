@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const DomainGuard = require('./domain-guard');
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Signed webhook delivery for test completion callbacks
+ *
+ * Receivers verify a request by computing HMAC-SHA256 over
+ * `${X-Webhook-Timestamp}.${rawBody}` with the shared WEBHOOK_SECRET and
+ * comparing it to the hex digest in X-Webhook-Signature (prefixed "sha256=").
+ *
+ * Payloads carry screenshots, so callbacks may only reach public addresses: hosts
+ * are resolved when delivering and the request is refused if any address is
+ * loopback, private or link-local. WEBHOOK_ALLOWED_HOSTS restricts callbacks to
+ * the listed hosts instead; hosts listed there may be internal.
+ */
+class WebhookNotifier {
+  /**
+   * Hosts callbacks are restricted to (WEBHOOK_ALLOWED_HOSTS), or null for any public host
+   */
+  static getAllowedHosts() {
+    if (!process.env.WEBHOOK_ALLOWED_HOSTS) return null;
+
+    return process.env.WEBHOOK_ALLOWED_HOSTS
+      .split(',')
+      .map(host => DomainGuard.normalizeHost(host))
+      .filter(Boolean);
+  }
+
+  /**
+   * Whether an IP address is outside every loopback, private and link-local range
+   */
+  static isPublicAddress(address) {
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return net.isIP(address) !== 0 && !PRIVATE_RANGES.check(address, family);
+  }
+
+  /**
+   * Validate a callback URL supplied by a client
+   */
+  static validateUrl(callbackUrl) {
+    if (typeof callbackUrl !== 'string') {
+      return 'callbackUrl must be a string';
+    }
+
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      return 'callbackUrl must be a valid URL';
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return 'callbackUrl must use http or https';
+    }
+
+    const allowedHosts = this.getAllowedHosts();
+    if (allowedHosts) {
+      return DomainGuard.isAllowedHost(url.hostname, allowedHosts)
+        ? null
+        : `callbackUrl host ${url.hostname} is not in WEBHOOK_ALLOWED_HOSTS`;
+    }
+
+    // Names are checked again once resolved, when delivering
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && !this.isPublicAddress(hostname))) {
+      return 'callbackUrl must not point to a local or private address';
+    }
+
+    return null;
+  }
+
+  /**
+   * dns.lookup that fails for hosts resolving to a non-public address, so the
+   * checked address is the one connected to
+   */
+  static lookupPublic(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => !WebhookNotifier.isPublicAddress(entry.address));
+      if (blocked) {
+        const blockedError = new Error(`${hostname} resolves to non-public address ${blocked.address}`);
+        blockedError.code = 'ERR_NON_PUBLIC_ADDRESS';
+        return callback(blockedError);
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  /**
+   * POST a body, resolving to the response status code
+   */
+  static post(callbackUrl, headers, body, timeoutMs) {
+    const url = new URL(callbackUrl);
+    const allowedHosts = this.getAllowedHosts();
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: allowedHosts ? undefined : this.lookupPublic,
+        timeout: timeoutMs
+      }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Callback timed out after ${timeoutMs}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Compute the signature header value for a payload
+   */
+  static sign(body, secret, timestamp) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * POST a payload to a callback URL, retrying with exponential backoff on non-2xx responses
+   */
+  static async deliver(callbackUrl, payload, options = {}) {
+    const {
+      secret = process.env.WEBHOOK_SECRET,
+      eventType = 'test.completed',
+      maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+      backoffMs = 2000,
+      timeoutMs = 10000,
+      onAttempt = () => {}
+    } = options;
+
+    const body = JSON.stringify(payload);
+    const attempts = [];
+
+    // Configuration may have changed since the URL was accepted; an unsafe URL is not retried
+    const urlError = this.validateUrl(callbackUrl);
+    if (urlError) {
+      const record = { attempt: 1, timestamp: new Date().toISOString(), statusCode: null, error: urlError, duration: 0 };
+      onAttempt(record);
+      return { delivered: false, attempts: [record] };
+    }
+
+    let blockedAddress = false;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const startTime = Date.now();
+      const record = {
+        attempt,
+        timestamp: new Date().toISOString(),
+        statusCode: null,
+        error: null,
+        duration: null
+      };
+
+      try {
+        record.statusCode = await this.post(callbackUrl, {
+          'Content-Type': 'application/json',
+          'User-Agent': 'netlify-computer-use-api',
+          'X-Webhook-Event': eventType,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': this.sign(body, secret, timestamp)
+        }, body, timeoutMs);
+
+        if (record.statusCode < 200 || record.statusCode >= 300) {
+          record.error = `Callback responded with ${record.statusCode}`;
+        }
+      } catch (error) {
+        record.error = error.message;
+        blockedAddress = error.code === 'ERR_NON_PUBLIC_ADDRESS';
+      }
+
+      record.duration = (Date.now() - startTime) / 1000;
+      attempts.push(record);
+      onAttempt(record);
+
+      if (!record.error) {
+        return { delivered: true, attempts };
+      }
+
+      if (blockedAddress) {
+        break;
+      }
+
+      // Exponential backoff: 2s, 4s, 8s, ...
+      if (attempt < maxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, backoffMs * Math.pow(2, attempt - 1)));
+      }
+    }
+
+    return { delivered: false, attempts };
+  }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,46 @@
+const monitors = require('./lib/monitors');
+const runHistory = require('./lib/run-history');
+const testRegistry = require('./lib/test-registry');
+const { runMonitor } = require('./test-website');
+
+/**
+ * Background function that runs one monitor check for monitor-scheduler.js
+ *
+ * Requests must carry a MONITOR_SECRET signature; only configured monitors can be run.
+ */
+exports.handler = async (event) => {
+  runHistory.connect(event);
+  testRegistry.connect(event);
+
+  if (!monitors.verifyTrigger(event)) {
+    console.error('Rejected monitor trigger with a missing or invalid signature');
+    return { statusCode: 401 };
+  }
+
+  let name;
+  try {
+    name = JSON.parse(event.body || '{}').monitor;
+  } catch (error) {
+    return { statusCode: 400 };
+  }
+
+  const definition = monitors.get(name);
+  if (!definition) {
+    console.error(`Unknown monitor "${name}"`);
+    return { statusCode: 404 };
+  }
+
+  try {
+    const outcome = await runMonitor(definition);
+    if (outcome) {
+      console.log(`[${outcome.testId}] Monitor "${name}" finished: ${outcome.status}`);
+    }
+  } catch (error) {
+    console.error(`Monitor "${name}" failed to run:`, error.message);
+    return { statusCode: 500 };
+  } finally {
+    await testRegistry.flush();
+  }
+
+  return { statusCode: 200 };
+};
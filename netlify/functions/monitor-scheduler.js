@@ -0,0 +1,41 @@
+const monitors = require('./lib/monitors');
+
+/**
+ * Scheduled function (every minute, see netlify.toml) that starts the monitors due this minute
+ *
+ * Scheduled functions must return within 30 seconds, so each due monitor is handed to
+ * the monitor-run-background function, which may run for up to 15 minutes.
+ */
+exports.handler = async () => {
+  if (!process.env.MONITOR_SECRET || !process.env.URL) {
+    console.error('MONITOR_SECRET and URL are required to run scheduled monitors');
+    return { statusCode: 500 };
+  }
+
+  const due = monitors.getDue(new Date());
+  const triggerUrl = `${process.env.URL}/.netlify/functions/monitor-run-background`;
+
+  await Promise.all(due.map(async definition => {
+    const body = JSON.stringify({ monitor: definition.name });
+
+    try {
+      const response = await fetch(triggerUrl, {
+        method: 'POST',
+        headers: monitors.signTrigger(body),
+        body,
+        signal: AbortSignal.timeout(10000)
+      });
+      console.log(`Triggered monitor "${definition.name}": ${response.status}`);
+    } catch (error) {
+      console.error(`Failed to trigger monitor "${definition.name}":`, error.message);
+    }
+  }));
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      success: true,
+      triggered: due.map(definition => definition.name)
+    })
+  };
+};
@@ -0,0 +1,45 @@
+const runHistory = require('./lib/run-history');
+const testRegistry = require('./lib/test-registry');
+const BackgroundTrigger = require('./lib/background-trigger');
+const { runQueuedTest, continueSuite } = require('./test-website');
+
+/**
+ * Background function that runs a test or the next case of a suite accepted by test-website.js
+ *
+ * Requests must carry a RUN_TRIGGER_SECRET signature; the run or suite is read from the
+ * shared run state store, where the accepting function left it queued.
+ */
+exports.handler = async (event) => {
+  runHistory.connect(event);
+  testRegistry.connect(event);
+
+  if (!BackgroundTrigger.verify(event, process.env.RUN_TRIGGER_SECRET)) {
+    console.error('Rejected run trigger with a missing or invalid signature');
+    return { statusCode: 401 };
+  }
+
+  let testId, suiteId;
+  try {
+    ({ testId, suiteId } = JSON.parse(event.body || '{}'));
+  } catch (error) {
+    return { statusCode: 400 };
+  }
+
+  const id = suiteId || testId;
+  try {
+    const found = suiteId ? await continueSuite(suiteId) : await runQueuedTest(testId);
+    if (!found) {
+      console.error(`[${id}] Nothing queued to run`);
+      return { statusCode: 404 };
+    }
+  } catch (error) {
+    console.error(`[${id}] Background run failed:`, error.message);
+    return { statusCode: 500 };
+  } finally {
+    // Nothing may be left unwritten once the invocation ends
+    await testRegistry.flush();
+    await testRegistry.pruneShared().catch(error => console.error('Failed to prune run state:', error.message));
+  }
+
+  return { statusCode: 200 };
+};
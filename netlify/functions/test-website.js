@@ -2,17 +2,38 @@ const { v4: uuidv4 } = require('uuid');
 const ComputerUse = require('./lib/computer-use');
 const PuppeteerComputerUse = require('./lib/puppeteer-computer-use');
 const DockerManager = require('./lib/docker-manager');
-
-// In-memory queue for rate limiting (single concurrent test)
-let activeTests = new Set();
-let testQueue = [];
+const testRegistry = require('./lib/test-registry');
+const EventStream = require('./lib/event-stream');
+const WebhookNotifier = require('./lib/webhook-notifier');
+const DomainGuard = require('./lib/domain-guard');
+const testQueue = require('./lib/test-queue');
+const BackgroundTrigger = require('./lib/background-trigger');
+const ApiKeyAuth = require('./lib/auth');
+const rateLimiter = require('./lib/rate-limiter');
+const Verdict = require('./lib/verdict');
+const runHistory = require('./lib/run-history');
+const ActionTrace = require('./lib/action-trace');
+const TraceReplayer = require('./lib/trace-replayer');
+const ScriptExporter = require('./lib/script-exporter');
+const ReportFormatter = require('./lib/report-formatter');
+const HtmlReport = require('./lib/html-report');
+const ScreenshotUtils = require('./lib/screenshot-utils');
+const monitors = require('./lib/monitors');
+const testDefinitions = require('./lib/test-definitions');
+const InstructionTemplate = require('./lib/instruction-template');
+const SecretVault = require('./lib/secret-vault');
+const redactor = require('./lib/redactor');
+const tracing = require('./lib/tracing');
 
 // Configuration
 const CONFIG = {
-  MAX_CONCURRENT_TESTS: 1,
   MAX_TEST_DURATION: parseInt(process.env.MAX_TEST_DURATION) || 300, // 5 minutes
+  MAX_SUITE_TESTS: parseInt(process.env.MAX_SUITE_TESTS) || 50,
+  STREAM_WAIT_SECONDS: parseInt(process.env.STREAM_WAIT_SECONDS) || 8, // Stay under the function timeout
+  CANCEL_WAIT_SECONDS: 5,
   WEBSITE_URL: process.env.WEBSITE_URL || 'app.giftround.com',
-  ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY
+  ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET
 };
 
 // Validate required environment variables
@@ -20,6 +41,9 @@ if (!CONFIG.ANTHROPIC_API_KEY) {
   console.error('ANTHROPIC_API_KEY is required but not set');
 }
 
+// Admission across function instances when tests run in the background function
+const sharedQueue = new testQueue.SharedTestQueue(testRegistry);
+
 /**
  * Main Netlify function handler
  */
@@ -27,11 +51,54 @@ exports.handler = async (event, context) => {
   // Set function timeout to near Netlify's limit
   context.callbackWaitsForEmptyEventLoop = false;
 
+  runHistory.connect(event);
+  testDefinitions.connect(event);
+  testRegistry.connect(event);
+
+  const auth = ApiKeyAuth.authenticate(event);
+  const rateLimitKey = getRateLimitKey(event, auth.client);
+
+  const response = await handleRequest(event, auth, rateLimitKey);
+
+  // Every response reports the caller's current quota
+  return {
+    ...response,
+    headers: {
+      ...response.headers,
+      ...(await getRateLimitHeaders(rateLimitKey, auth.client))
+    }
+  };
+};
+
+// Used by the scheduled monitor runners (monitor-run-background.js and scripts/run-monitors.js)
+exports.runMonitor = runMonitor;
+
+// Used by test-run-background.js to run what this function accepted
+exports.runQueuedTest = runQueuedTest;
+exports.continueSuite = continueSuite;
+
+/**
+ * Quota headers for a response; without them when the rate-limit store cannot be read,
+ * so a store outage does not fail status, history and other requests
+ */
+async function getRateLimitHeaders(rateLimitKey, client) {
+  try {
+    return await rateLimiter.getRateLimitHeaders(rateLimitKey, client && client.tier);
+  } catch (error) {
+    console.error(`Failed to read rate limit for ${rateLimitKey}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Route a request to the matching endpoint
+ */
+async function handleRequest(event, auth, rateLimitKey) {
   // CORS headers
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Last-Event-ID',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
     'Content-Type': 'application/json'
   };
 
@@ -44,18 +111,76 @@ exports.handler = async (event, context) => {
     };
   }
 
-  // Only allow POST requests
+  // Every other request needs an API key (when keys are configured)
+  if (!auth.authenticated) {
+    return {
+      statusCode: auth.statusCode,
+      headers: {
+        ...headers,
+        'WWW-Authenticate': 'Bearer'
+      },
+      body: JSON.stringify({
+        success: false,
+        error: auth.error
+      })
+    };
+  }
+  const client = auth.client;
+
+  const query = event.queryStringParameters || {};
+
+  // GET ?history=true lists or loads finished runs; DELETE ?testId=<id> removes one
+  if (event.httpMethod === 'GET' && query.history === 'true') {
+    return getRunHistory(event, headers, client);
+  }
+
+  // ?definitions=true lists (GET) or creates (POST) saved tests; ?definitionId=<id> loads, updates (PUT) or deletes one
+  if (query.definitions === 'true' || query.definitionId !== undefined) {
+    return handleDefinitions(event, headers, client);
+  }
+  if (event.httpMethod === 'DELETE') {
+    return deleteRunHistory(event, headers, client);
+  }
+
+  // GET ?monitors=true lists scheduled monitors and whether each is passing
+  if (event.httpMethod === 'GET' && query.monitors === 'true') {
+    return listMonitors(event, headers, client);
+  }
+
+  // GET ?testId=<id>&screenshot=<n> serves one screenshot as an image (linked from reports)
+  if (event.httpMethod === 'GET' && query.screenshot !== undefined) {
+    return getScreenshot(event, headers, client);
+  }
+
+  // GET ?testId=<id>&animation=gif|webp turns the run's screenshots into an animation
+  if (event.httpMethod === 'GET' && query.animation !== undefined) {
+    return getAnimation(event, headers, client);
+  }
+
+  // GET requests poll or stream the status of a previously started test
+  if (event.httpMethod === 'GET') {
+    return EventStream.wantsStream(event)
+      ? streamTestEvents(event, headers, client)
+      : getTestStatus(event, headers, client);
+  }
+
+  // Only allow GET, POST and DELETE requests
   if (event.httpMethod !== 'POST') {
     return {
       statusCode: 405,
       headers,
       body: JSON.stringify({
         success: false,
-        error: 'Method not allowed. Use POST.'
+        error: 'Method not allowed. Use GET, POST, PUT or DELETE.'
       })
     };
   }
 
+  // POST ?testId=<id>&action=cancel stops a running test
+  if (query.action === 'cancel') {
+    return cancelTest(event, headers, client);
+  }
+
   // Validate API key
   if (!CONFIG.ANTHROPIC_API_KEY) {
     return {
@@ -68,20 +193,81 @@ exports.handler = async (event, context) => {
     };
   }
 
-  // Determine execution mode: Docker (full computer use) or Puppeteer (serverless)
-  const useDocker = process.env.USE_DOCKER === 'true' || process.env.DOCKER_AVAILABLE === 'true';
-  const executionMode = useDocker ? 'docker' : 'puppeteer';
-  
-  console.log(`Using execution mode: ${executionMode}`);
+  if (runsInBackground() && (!process.env.RUN_TRIGGER_SECRET || !process.env.URL)) {
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Server configuration error: RUN_TRIGGER_SECRET and URL are required to run tests in the background'
+      })
+    };
+  }
 
-  let testId;
   try {
     // Parse request body
-    const body = JSON.parse(event.body || '{}');
-    const { instruction, options = {} } = body;
+    let body = JSON.parse(event.body || '{}');
+
+    // Saved tests run by id (a single test) or by tag (a suite of every match)
+    if (body.definitionId !== undefined || body.tag !== undefined) {
+      const resolved = await resolveDefinitionRequest(body, client);
+      if (resolved.error) {
+        return {
+          statusCode: resolved.statusCode,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: resolved.error
+          })
+        };
+      }
+      body = resolved.body;
+    }
+
+    // A data table expands the instruction into a suite with one run per row
+    if (body.data !== undefined && body.tests === undefined) {
+      if (body.replay !== undefined) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'data cannot be combined with replay'
+          })
+        };
+      }
+      body = toDataSuite(body);
+    }
+
+    const { options = {}, expectations, callbackUrl, replay, priority = 'normal', queueTimeout } = body;
+
+    // Suite mode: an ordered list of named instructions
+    if (body.tests !== undefined) {
+      return await startSuite(event, headers, body, client, rateLimitKey);
+    }
+
+    // Replay mode: re-run a recorded action trace instead of asking Claude
+    let replayOptions = null;
+    if (replay !== undefined) {
+      const loaded = await loadReplay(replay, client);
+      if (loaded.error) {
+        return {
+          statusCode: loaded.statusCode,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: loaded.error
+          })
+        };
+      }
+      replayOptions = loaded.replay;
+    }
+
+    // A replay repeats the recorded instruction unless a new one is given
+    const template = body.instruction || (replayOptions ? replayOptions.trace.instruction : undefined);
 
     // Validate request
-    if (!instruction || typeof instruction !== 'string') {
+    if (!template || typeof template !== 'string') {
       return {
         statusCode: 400,
         headers,
@@ -92,51 +278,143 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Check rate limiting
-    if (activeTests.size >= CONFIG.MAX_CONCURRENT_TESTS) {
+    // Fill {{placeholders}} from variables and the built-in generators
+    const variablesError = InstructionTemplate.validateVariables(body.variables);
+    const rendered = variablesError ? null : InstructionTemplate.render(template, expectations, body.variables);
+    if (variablesError || rendered.error) {
       return {
-        statusCode: 429,
+        statusCode: 400,
         headers,
         body: JSON.stringify({
           success: false,
-          error: 'Too many concurrent tests. Please try again later.',
-          retryAfter: 60
+          error: variablesError || rendered.error
         })
       };
     }
+    const instruction = rendered.instruction;
 
-    // Generate unique test ID
-    testId = uuidv4();
-    activeTests.add(testId);
+    if (callbackUrl !== undefined) {
+      const callbackError = WebhookNotifier.validateUrl(callbackUrl);
+      if (callbackError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: callbackError
+          })
+        };
+      }
 
-    console.log(`[${testId}] Starting test with instruction: "${instruction}"`);
+      // Completion webhooks are always signed
+      if (!CONFIG.WEBHOOK_SECRET) {
+        return {
+          statusCode: 500,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'Server configuration error: WEBHOOK_SECRET is required to use callbackUrl'
+          })
+        };
+      }
+    }
 
-    // Merge options with defaults
-    const testOptions = {
-      timeout: Math.min(options.timeout || CONFIG.MAX_TEST_DURATION, CONFIG.MAX_TEST_DURATION),
-      takeScreenshots: options.takeScreenshots !== false,
-      websiteUrl: CONFIG.WEBSITE_URL,
-      ...options
-    };
+    // Only allowlisted targets and modes the client is scoped to may be tested
+    const { testOptions, executionMode, statusCode, error: prepareError } = prepareTest(withExpectations(withReplay(options, replayOptions), rendered.expectations), client);
+    if (prepareError) {
+      return {
+        statusCode,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: prepareError
+        })
+      };
+    }
+
+    if (replayOptions && replayOptions.trace.executionMode && replayOptions.trace.executionMode !== executionMode) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: `The trace was recorded in ${replayOptions.trace.executionMode} mode and cannot be replayed in ${executionMode} mode`
+        })
+      };
+    }
+
+    const queueError = validateQueueOptions(priority, queueTimeout);
+    if (queueError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: queueError
+        })
+      };
+    }
 
-    // Start the test with timeout
-    const testResult = await Promise.race([
-      runTest(testId, instruction, testOptions, executionMode),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Test timeout')), testOptions.timeout * 1000)
-      )
-    ]);
+    // Check queue capacity
+    if (await isQueueFull()) {
+      return queueFullResponse(headers, await getQueueLength());
+    }
+
+    // Accepted tests count against the client's rate-limit tier; the queue handles concurrency
+    const rateLimit = await rateLimiter.isRequestAllowed(rateLimitKey, {
+      tier: client.tier,
+      checkConcurrency: false,
+      record: true
+    });
+    if (!rateLimit.allowed) {
+      return rateLimitedResponse(headers, rateLimitKey, rateLimit);
+    }
+
+    // Generate unique test ID
+    const testId = uuidv4();
+
+    console.log(`[${testId}] Queueing ${executionMode} test for client "${client.name}" with instruction: "${redactor.redactText(instruction)}"`);
+
+    testRegistry.create(testId, {
+      instruction,
+      parameters: getParameters(template, rendered),
+      options: testOptions,
+      executionMode,
+      callbackUrl,
+      client: client.name,
+      definitionId: body.definitionId || null,
+      priority,
+      queueTimeout
+    });
 
-    console.log(`[${testId}] Test completed successfully`);
+    // Run in the background once admitted; callers poll GET ?testId= for progress
+    const started = await startTest(testId);
+    if (started.error) {
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: started.error
+        })
+      };
+    }
 
     return {
-      statusCode: 200,
+      statusCode: 202,
       headers,
-      body: JSON.stringify(testResult)
+      body: JSON.stringify({
+        success: true,
+        testId,
+        status: started.status,
+        queuePosition: started.position,
+        statusUrl: `${event.path || ''}?testId=${testId}`,
+        timestamp: new Date().toISOString()
+      })
     };
 
   } catch (error) {
-    console.error(`[${testId}] Test failed:`, error);
+    console.error('Failed to start test:', error);
 
     return {
       statusCode: 500,
@@ -144,69 +422,1852 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({
         success: false,
         error: error.message,
-        testId,
         timestamp: new Date().toISOString()
       })
     };
+  }
+}
 
-  } finally {
-    // Always clean up
-    if (testId) {
-      activeTests.delete(testId);
-      console.log(`[${testId}] Test cleanup completed`);
+/**
+ * Rate limits apply per API client when authenticated, otherwise per client IP
+ */
+function getRateLimitKey(event, client) {
+  return client && !client.anonymous
+    ? `client:${client.name}`
+    : rateLimiter.getClientIP(event);
+}
+
+/**
+ * Merge request options with defaults
+ */
+function buildTestOptions(options = {}, client = {}) {
+  const maxTimeout = Math.min(client.maxTimeout || CONFIG.MAX_TEST_DURATION, CONFIG.MAX_TEST_DURATION);
+
+  // Server-controlled settings come last so request options cannot override them
+  return {
+    ...options,
+    timeout: Math.min(options.timeout || maxTimeout, maxTimeout),
+    takeScreenshots: options.takeScreenshots !== false,
+    websiteUrl: options.websiteUrl || CONFIG.WEBSITE_URL,
+    allowedHosts: ApiKeyAuth.getAllowedHosts(client, DomainGuard.getAllowedHosts())
+  };
+}
+
+/**
+ * Whether accepted tests run in the test-run-background function rather than in the
+ * process that accepted them (RUN_IN_BACKGROUND, default on Netlify: a function is
+ * frozen once it has responded, so work left running there would be cut off)
+ */
+function runsInBackground() {
+  const setting = process.env.RUN_IN_BACKGROUND;
+  return setting ? setting === 'true' : Boolean(process.env.NETLIFY);
+}
+
+/**
+ * Whether no more tests may wait for a slot
+ */
+async function isQueueFull() {
+  return runsInBackground() ? sharedQueue.isFull() : testQueue.isFull();
+}
+
+/**
+ * Number of tests and suites waiting for a slot
+ */
+async function getQueueLength() {
+  return runsInBackground() ? sharedQueue.getLength() : testQueue.getStatus().queueLength;
+}
+
+/**
+ * 1-based queue position of a waiting test or suite (null once admitted)
+ */
+async function getQueuePosition(id) {
+  return runsInBackground() ? sharedQueue.getPosition(id) : testQueue.getPosition(id);
+}
+
+/**
+ * Start an accepted test: hand it to the test-run-background function, or queue it here
+ * Returns { status, position }, or { error } when the background function could not be reached
+ */
+async function startTest(testId) {
+  if (runsInBackground()) {
+    return handOff(testId, { testId });
+  }
+
+  runWhenAdmitted(testId).catch(error => {
+    console.error(`[${testId}] Test run failed:`, error.message);
+    if (!testRegistry.isFinished(testId)) {
+      testRegistry.fail(testId, error);
     }
+  });
+  return { status: testRegistry.get(testId).status, position: testQueue.getPosition(testId) };
+}
+
+/**
+ * Start an accepted suite like startTest(); it holds one concurrency slot until its last case finishes
+ */
+async function startSuiteRun(suiteId) {
+  if (runsInBackground()) {
+    return handOff(suiteId, { suiteId });
   }
-};
+
+  const suite = testRegistry.getSuite(suiteId);
+  testQueue.enqueue(suiteId, {
+    priority: suite.priority,
+    queueTimeout: suite.queueTimeout,
+    start: () => runSuite(suiteId),
+    onTimeout: () => testRegistry.failSuite(suiteId, 'Queue wait timeout')
+  });
+  return { status: suite.status, position: testQueue.getPosition(suiteId) };
+}
 
 /**
- * Run a single test
+ * Trigger the test-run-background function for a queued test ({ testId }) or suite
+ * ({ suiteId }) and leave it to that function from then on
  */
-async function runTest(testId, instruction, options, executionMode = 'puppeteer') {
-  const startTime = Date.now();
-  let dockerManager = null;
-  let computerUse = null;
+async function handOff(id, payload) {
+  await testRegistry.flush();
 
   try {
-    if (executionMode === 'docker') {
-      console.log(`[${testId}] Initializing Docker container`);
-      
-      // Initialize Docker container
-      dockerManager = new DockerManager(testId);
-      await dockerManager.initialize();
+    await BackgroundTrigger.send('test-run-background', payload, process.env.RUN_TRIGGER_SECRET);
+  } catch (error) {
+    console.error(`[${id}] Failed to start the background run:`, error.message);
 
-      console.log(`[${testId}] Initializing Computer Use tool (Docker mode)`);
-      
-      // Initialize Computer Use with Docker
-      computerUse = new ComputerUse({
-        apiKey: CONFIG.ANTHROPIC_API_KEY,
-        dockerManager,
-        testId,
-        options
-      });
+    const message = `Could not start the background run: ${error.message}`;
+    if (payload.suiteId) {
+      testRegistry.failSuite(id, message);
     } else {
-      console.log(`[${testId}] Initializing Computer Use tool (Puppeteer mode)`);
-      
-      // Initialize Puppeteer Computer Use
-      computerUse = new PuppeteerComputerUse({
-        apiKey: CONFIG.ANTHROPIC_API_KEY,
-        testId,
-        options
+      testRegistry.fail(id, new Error(message));
+    }
+    await testRegistry.handOff(id);
+    return { error: message };
+  }
+
+  await testRegistry.handOff(id);
+  return { status: 'queued', position: await sharedQueue.getPosition(id) };
+}
+
+/**
+ * Wait for a concurrency slot, run the test in this process, then report it
+ * Resolves once the test has been reported, whether it ran, expired or was cancelled while queued
+ */
+async function runWhenAdmitted(testId) {
+  const run = testRegistry.get(testId);
+  const start = () => executeTest(testId, run.instruction, run.options, run.executionMode);
+
+  if (runsInBackground()) {
+    const admission = await sharedQueue.waitForSlot(run, async () => Boolean(run.cancelReason || await testRegistry.getRemoteCancel(testId)));
+    if (admission === 'admitted') {
+      await start();
+    } else if (admission === 'timeout') {
+      expireQueuedTest(testId);
+    } else {
+      cancelQueuedTest(testId);
+    }
+  } else {
+    // The slot is held while the browser runs only, so the next test need not wait for the report
+    await new Promise(resolve => {
+      testQueue.enqueue(testId, {
+        priority: run.priority,
+        queueTimeout: run.queueTimeout,
+        start: () => start().finally(resolve),
+        onTimeout: () => {
+          expireQueuedTest(testId);
+          resolve();
+        },
+        onCancel: () => {
+          cancelQueuedTest(testId);
+          resolve();
+        }
       });
+    });
+  }
+
+  await reportTest(testId);
+}
+
+/**
+ * Run a test handed off by handOff(), in the test-run-background function
+ * Returns false when it is unknown or has already started (e.g. a retried invocation)
+ */
+async function runQueuedTest(testId) {
+  if (!(await testRegistry.restore(testId))) {
+    return false;
+  }
+
+  await runWhenAdmitted(testId);
+  return true;
+}
+
+/**
+ * Docker (full computer use) when enabled on this server, otherwise Puppeteer (serverless)
+ */
+function getDefaultExecutionMode() {
+  const useDocker = process.env.USE_DOCKER === 'true' || process.env.DOCKER_AVAILABLE === 'true';
+  return useDocker ? 'docker' : 'puppeteer';
+}
+
+/**
+ * A replay runs in the mode its trace was recorded in unless the request says otherwise
+ * The loaded trace always replaces options.replay, so it cannot bypass validation
+ */
+function withReplay(options, replay) {
+  return replay
+    ? { executionMode: replay.trace.executionMode, ...options, replay }
+    : { ...options, replay: null };
+}
+
+/**
+ * Resolve replay options to the trace of a run in history
+ */
+async function loadReplay(replay, client) {
+  const error = TraceReplayer.validateOptions(replay);
+  if (error) {
+    return { statusCode: 400, error };
+  }
+
+  const run = await runHistory.get(replay.testId);
+  if (!run || !ApiKeyAuth.canAccess(client, run.client)) {
+    return { statusCode: 404, error: `Run not found in history: ${replay.testId}` };
+  }
+
+  const traceError = ActionTrace.validate(run.trace);
+  if (traceError) {
+    return { statusCode: 400, error: `Run ${replay.testId} cannot be replayed: ${traceError}` };
+  }
+  const trace = run.trace;
+
+  return {
+    replay: {
+      testId: replay.testId,
+      fallbackToClaude: replay.fallbackToClaude !== false,
+      divergenceThreshold: replay.divergenceThreshold,
+      trace
     }
+  };
+}
+
+/**
+ * Expectations may be given next to the instruction; they travel with the test options
+ */
+function withExpectations(options, expectations) {
+  return expectations === undefined ? options : { ...options, expectations };
+}
 
-    console.log(`[${testId}] Executing instruction: "${instruction}"`);
+/**
+ * Resolve options and execution mode for one test, checking the allowlist and client scopes
+ */
+function prepareTest(options = {}, client) {
+  const executionMode = options.executionMode || getDefaultExecutionMode();
 
-    // Execute the test instruction
-    const result = await computerUse.execute(instruction);
+  const expectationsError = Verdict.validateExpectations(options.expectations);
+  if (expectationsError) {
+    return { statusCode: 400, error: expectationsError };
+  }
 
-    const duration = (Date.now() - startTime) / 1000;
+  const secretsError = SecretVault.validateNames(options.secrets);
+  if (secretsError) {
+    return { statusCode: 400, error: secretsError };
+  }
 
-    return {
-      success: true,
-      message: `Successfully completed: ${instruction}`,
+  if (executionMode !== 'puppeteer' && executionMode !== 'docker') {
+    return { statusCode: 400, error: 'executionMode must be one of: puppeteer, docker' };
+  }
+
+  if (executionMode === 'docker' && getDefaultExecutionMode() !== 'docker') {
+    return { statusCode: 400, error: 'Docker mode is not available on this server' };
+  }
+
+  const testOptions = buildTestOptions(options, client);
+
+  const targetError = DomainGuard.validateTarget(testOptions.websiteUrl);
+  if (targetError) {
+    return { statusCode: 400, error: targetError };
+  }
+
+  const scopeError = ApiKeyAuth.authorizeTest(client, {
+    websiteUrl: testOptions.websiteUrl,
+    executionMode,
+    allowedHosts: testOptions.allowedHosts
+  });
+  if (scopeError) {
+    return { statusCode: 403, error: scopeError };
+  }
+
+  const secretScopeError = SecretVault.authorize(client, options.secrets, testOptions.websiteUrl);
+  if (secretScopeError) {
+    return { statusCode: 403, error: secretScopeError };
+  }
+
+  return { testOptions, executionMode };
+}
+
+/**
+ * Turn a request with a data table into a suite with a single case that expands per row
+ */
+function toDataSuite(body) {
+  const { name, instruction, expectations, variables, data, definitionId, ...request } = body;
+
+  return {
+    ...request,
+    name: name || 'Data-driven run',
+    tests: [{ name: name || 'Data-driven run', instruction, expectations, variables, data, definitionId }]
+  };
+}
+
+/**
+ * What a templated run was resolved from, kept with the run: the template, the value
+ * used for each placeholder and the data row, if any (null for plain instructions)
+ */
+function getParameters(template, rendered, row = null, rowIndex = null) {
+  if (!row && Object.keys(rendered.values).length === 0) {
+    return null;
+  }
+
+  return {
+    template,
+    values: rendered.values,
+    dataRow: row ? { index: rowIndex, values: row } : null
+  };
+}
+
+/**
+ * Validate queue priority and wait timeout, returning an error message or null
+ */
+function validateQueueOptions(priority, queueTimeout) {
+  if (!testQueue.isValidPriority(priority)) {
+    return 'priority must be one of: high, normal, low';
+  }
+
+  if (queueTimeout !== undefined && (!Number.isInteger(queueTimeout) || queueTimeout < 1)) {
+    return 'queueTimeout must be a positive integer number of seconds';
+  }
+
+  return null;
+}
+
+/**
+ * Response for when the admission queue cannot take more tests
+ */
+function queueFullResponse(headers, queueLength) {
+  return {
+    statusCode: 429,
+    headers: {
+      ...headers,
+      'Retry-After': '60'
+    },
+    body: JSON.stringify({
+      success: false,
+      error: 'Test queue is full. Please try again later.',
+      queueLength,
+      retryAfter: 60
+    })
+  };
+}
+
+/**
+ * Response for a client that has used up its hourly limit
+ */
+function rateLimitedResponse(headers, rateLimitKey, rateLimit) {
+  console.log(`Rate limit reached for ${rateLimitKey}: ${rateLimit.reason}`);
+
+  return {
+    statusCode: 429,
+    headers,
+    body: JSON.stringify({
+      success: false,
+      error: rateLimit.reason,
+      retryAfter: rateLimit.retryAfter
+    })
+  };
+}
+
+/**
+ * Fail a test that waited too long for a concurrency slot
+ */
+function expireQueuedTest(testId) {
+  testRegistry.fail(testId, new Error('Queue wait timeout'));
+}
+
+/**
+ * Fail a test cancelled before it got a concurrency slot
+ */
+function cancelQueuedTest(testId) {
+  testRegistry.requestCancel(testId);
+  testRegistry.fail(testId, new Error('Test cancelled'));
+}
+
+/**
+ * Validate and start a suite of named instructions
+ */
+async function startSuite(event, headers, body, client, rateLimitKey) {
+  const { name, tests, stopOnFailure = false, options = {}, variables = {}, priority = 'normal', queueTimeout } = body;
+
+  // Validate request
+  const errors = [];
+  const cases = [];
+  let statusCode = 400;
+  if (!Array.isArray(tests) || tests.length === 0) {
+    errors.push('tests must be a non-empty array of { name, instruction, options } objects');
+  } else if (tests.length > CONFIG.MAX_SUITE_TESTS) {
+    errors.push(`A suite may contain at most ${CONFIG.MAX_SUITE_TESTS} tests`);
+  } else if (InstructionTemplate.validateVariables(variables)) {
+    errors.push(InstructionTemplate.validateVariables(variables));
+  } else {
+    tests.forEach((testCase, index) => {
+      if (!testCase || typeof testCase.instruction !== 'string' || !testCase.instruction) {
+        errors.push(`tests[${index}] is missing a string instruction`);
+        return;
+      }
+
+      const dataError = (testCase.data !== undefined && InstructionTemplate.validateData(testCase.data, CONFIG.MAX_SUITE_TESTS)) ||
+        InstructionTemplate.validateVariables(testCase.variables);
+      if (dataError) {
+        errors.push(`tests[${index}]: ${dataError}`);
+        return;
+      }
+
+      // Each data row becomes its own case; row values override the case's and the suite's variables
+      const rows = testCase.data === undefined ? [null] : testCase.data;
+      rows.forEach((row, rowIndex) => {
+        const label = row ? ` (${InstructionTemplate.describeRow(row, rowIndex)})` : '';
+        const rendered = InstructionTemplate.render(testCase.instruction, testCase.expectations, { ...variables, ...testCase.variables, ...row });
+        if (rendered.error) {
+          errors.push(`tests[${index}]${label}: ${rendered.error}`);
+          return;
+        }
+
+        const prepared = prepareTest(withExpectations(withReplay({ ...options, ...testCase.options }, null), rendered.expectations), client);
+        if (prepared.error) {
+          errors.push(`tests[${index}]${label}: ${prepared.error}`);
+          statusCode = Math.max(statusCode, prepared.statusCode);
+          return;
+        }
+
+        cases.push({
+          name: `${testCase.name || `Test ${index + 1}`}${label}`,
+          instruction: rendered.instruction,
+          parameters: getParameters(testCase.instruction, rendered, row, rowIndex),
+          options: prepared.testOptions,
+          executionMode: prepared.executionMode,
+          definitionId: testCase.definitionId || null
+        });
+      });
+    });
+
+    if (cases.length > CONFIG.MAX_SUITE_TESTS) {
+      errors.push(`A suite may contain at most ${CONFIG.MAX_SUITE_TESTS} tests (data rows included)`);
+    }
+  }
+
+  const queueError = validateQueueOptions(priority, queueTimeout);
+  if (queueError) {
+    errors.push(queueError);
+  }
+
+  if (errors.length > 0) {
+    return {
+      statusCode,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Invalid test suite',
+        errors
+      })
+    };
+  }
+
+  // Check queue capacity
+  if (await isQueueFull()) {
+    return queueFullResponse(headers, await getQueueLength());
+  }
+
+  // A suite counts as one request against the client's rate-limit tier
+  const rateLimit = await rateLimiter.isRequestAllowed(rateLimitKey, {
+    tier: client.tier,
+    checkConcurrency: false,
+    record: true
+  });
+  if (!rateLimit.allowed) {
+    return rateLimitedResponse(headers, rateLimitKey, rateLimit);
+  }
+
+  const suiteId = uuidv4();
+
+  console.log(`[${suiteId}] Queueing suite "${name || 'Unnamed suite'}" for client "${client.name}" with ${cases.length} tests`);
+
+  testRegistry.createSuite(suiteId, {
+    name: name || 'Unnamed suite',
+    stopOnFailure: Boolean(stopOnFailure),
+    cases,
+    client: client.name,
+    priority,
+    queueTimeout
+  });
+
+  const started = await startSuiteRun(suiteId);
+  if (started.error) {
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: started.error
+      })
+    };
+  }
+
+  return {
+    statusCode: 202,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      suiteId,
+      status: started.status,
+      queuePosition: started.position,
+      total: cases.length,
+      statusUrl: `${event.path || ''}?suiteId=${suiteId}`,
+      timestamp: new Date().toISOString()
+    })
+  };
+}
+
+/**
+ * Run each suite case in order in this process, each as its own test run
+ */
+async function runSuite(suiteId) {
+  testRegistry.markSuiteRunning(suiteId);
+
+  let outcome;
+  do {
+    outcome = await runNextSuiteCase(suiteId);
+  } while (outcome);
+
+  testRegistry.finishSuite(suiteId);
+  console.log(`[${suiteId}] Suite completed: ${testRegistry.getSuite(suiteId).status}`);
+}
+
+/**
+ * Continue a suite handed off by handOff(), in the test-run-background function: wait
+ * for a slot if it has not started, run its next case, then trigger a new invocation
+ * for the case after that, so no invocation outlives the background function limit
+ * Returns false when the suite is unknown, has already finished or this step is already running
+ */
+async function continueSuite(suiteId) {
+  const suite = await testRegistry.restoreSuite(suiteId);
+  if (!suite) {
+    return false;
+  }
+
+  if (suite.status === 'queued') {
+    const admission = await sharedQueue.waitForSlot(suite, async () => Boolean(await testRegistry.getRemoteCancel(suiteId)));
+    if (admission === 'timeout') {
+      testRegistry.failSuite(suiteId, 'Queue wait timeout');
+      return true;
+    }
+
+    // A suite cancelled while queued skips every case
+    if (admission === 'cancelled') {
+      testRegistry.requestSuiteCancel(suiteId);
+    } else {
+      testRegistry.markSuiteRunning(suiteId);
+    }
+  }
+
+  // Skipped cases take no time, so carry on until one has run
+  let outcome;
+  do {
+    outcome = await runNextSuiteCase(suiteId);
+  } while (outcome === 'skipped');
+
+  if (outcome === 'ran' && suite.cases.some(testCase => !testCase.testId && !testCase.skipped)) {
+    try {
+      await testRegistry.flush();
+      await BackgroundTrigger.send('test-run-background', { suiteId }, process.env.RUN_TRIGGER_SECRET);
+      return true;
+    } catch (error) {
+      console.error(`[${suiteId}] Failed to start the next case:`, error.message);
+
+      suite.cases.forEach((testCase, index) => {
+        if (!testCase.testId) testRegistry.skipSuiteCase(suiteId, index);
+      });
+      testRegistry.finishSuite(suiteId, `Could not start the next case: ${error.message}`);
+      return true;
+    }
+  }
+
+  testRegistry.finishSuite(suiteId);
+  console.log(`[${suiteId}] Suite completed: ${suite.status}`);
+  return true;
+}
+
+/**
+ * Run the suite's next case here, or skip it after a failure (stopOnFailure) or a cancel
+ * Returns 'ran', 'skipped', or null once every case has run or been skipped
+ */
+async function runNextSuiteCase(suiteId) {
+  const suite = testRegistry.getSuite(suiteId);
+  const index = suite.cases.findIndex(testCase => !testCase.testId && !testCase.skipped);
+  if (index === -1) {
+    return null;
+  }
+
+  // Cancel requests made through another function instance
+  if (!suite.cancelRequested && await testRegistry.getRemoteCancel(suiteId)) {
+    testRegistry.requestSuiteCancel(suiteId);
+  }
+
+  const failed = suite.cases.some(testCase => testCase.status && testCase.status !== 'passed');
+  if ((failed && suite.stopOnFailure) || suite.cancelRequested) {
+    testRegistry.skipSuiteCase(suiteId, index);
+    return 'skipped';
+  }
+
+  const testCase = suite.cases[index];
+  const testId = uuidv4();
+  console.log(`[${suiteId}] Running case ${index + 1}/${suite.cases.length} "${redactor.redactText(testCase.name)}" as ${testId}`);
+
+  testRegistry.create(testId, {
+    instruction: testCase.instruction,
+    parameters: testCase.parameters,
+    options: testCase.options,
+    executionMode: testCase.executionMode,
+    client: suite.client,
+    suiteId,
+    definitionId: testCase.definitionId
+  });
+  testRegistry.startSuiteCase(suiteId, index, testId);
+
+  await executeTest(testId, testCase.instruction, testCase.options, testCase.executionMode);
+  await reportTest(testId);
+
+  testRegistry.finishSuiteCase(suiteId, index, testRegistry.get(testId).status);
+  return 'ran';
+}
+
+/**
+ * Run one monitor check, then alert if the monitor changed state
+ * Returns null when the check was skipped (previous check still running, or the queue is full)
+ */
+async function runMonitor(definition) {
+  if (!(await monitors.start(definition.name))) {
+    console.log(`Monitor "${definition.name}" is still running; skipping this check`);
+    return null;
+  }
+
+  try {
+    const client = getMonitorClient(definition);
+    if (!client) {
+      throw new Error(`Monitor "${definition.name}" names an unknown API client "${definition.client}"`);
+    }
+
+    // Generators such as {{uniqueEmail}} give every check fresh values
+    const rendered = InstructionTemplate.render(definition.instruction, definition.expectations, definition.variables);
+    const { testOptions, executionMode, error } = rendered.error
+      ? { error: rendered.error }
+      : prepareTest(withExpectations(definition.options, rendered.expectations), client);
+    const queueError = validateQueueOptions(definition.priority);
+    if (error || queueError) {
+      throw new Error(`Monitor "${definition.name}": ${error || queueError}`);
+    }
+
+    // A full queue says nothing about the site, so it does not count as a failure
+    if (await isQueueFull()) {
+      console.error(`Monitor "${definition.name}" skipped: test queue is full`);
+      return null;
+    }
+
+    const testId = uuidv4();
+
+    console.log(`[${testId}] Running monitor "${definition.name}" (${definition.schedule}) as ${executionMode} test`);
+
+    testRegistry.create(testId, {
+      instruction: rendered.instruction,
+      parameters: getParameters(definition.instruction, rendered),
+      options: testOptions,
+      executionMode,
+      client: client.name,
+      monitor: definition.name,
+      priority: definition.priority
+    });
+
+    await runWhenAdmitted(testId);
+
+    const run = testRegistry.getStatus(testId);
+    const outcome = await monitors.recordRun(definition, run);
+
+    return { testId, status: run.status, ...outcome };
+
+  } finally {
+    await monitors.finish(definition.name);
+  }
+}
+
+/**
+ * Monitors run as the API client they name, so its scopes apply and its key can see the runs
+ */
+function getMonitorClient(definition) {
+  if (!definition.client) {
+    return { name: 'monitor' };
+  }
+
+  return ApiKeyAuth.getClients().find(candidate => candidate.name === definition.client) || null;
+}
+
+/**
+ * List the monitors the client may see, with the outcome of each one's last run
+ */
+async function listMonitors(event, headers, client) {
+  const visible = monitors.getDefinitions()
+    .filter(definition => ApiKeyAuth.canAccess(client, definition.client || 'monitor'));
+
+  const list = await Promise.all(visible.map(async definition => {
+    const { state, testId, completedAt } = await monitors.getState(definition.name);
+
+    return {
+      name: definition.name,
+      schedule: definition.schedule,
+      timezone: definition.timezone,
+      instruction: definition.instruction,
+      expectations: definition.expectations || [],
+      state,
+      running: await monitors.isRunning(definition.name),
+      lastTestId: testId,
+      lastRunAt: completedAt,
+      historyUrl: `${event.path || ''}?history=true&monitor=${encodeURIComponent(definition.name)}`
+    };
+  }));
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      count: list.length,
+      monitors: list
+    })
+  };
+}
+
+/**
+ * Look up a saved definition the client may access
+ */
+async function findDefinition(definitionId, client) {
+  const definition = await testDefinitions.get(definitionId);
+  return definition && ApiKeyAuth.canAccess(client, definition.client) ? definition : null;
+}
+
+/**
+ * Turn a request naming a saved definition (definitionId) or a tag into the equivalent
+ * single-test or suite request; options in the request override the saved ones
+ */
+async function resolveDefinitionRequest(body, client) {
+  const { definitionId, tag, target, ...request } = body;
+
+  if (definitionId !== undefined && tag !== undefined) {
+    return { statusCode: 400, error: 'Send either definitionId or tag, not both' };
+  }
+
+  if (request.instruction !== undefined || request.tests !== undefined) {
+    return { statusCode: 400, error: 'instruction and tests cannot be combined with definitionId or tag' };
+  }
+
+  if (target !== undefined && !testDefinitions.getTargetProfiles()[target]) {
+    return { statusCode: 400, error: `Unknown target profile "${target}"` };
+  }
+
+  if (definitionId !== undefined) {
+    const definition = await findDefinition(definitionId, client);
+    if (!definition) {
+      return { statusCode: 404, error: `Test definition not found: ${definitionId}` };
+    }
+
+    return {
+      body: {
+        ...request,
+        instruction: definition.instruction,
+        expectations: request.expectations !== undefined ? request.expectations : definition.expectations,
+        options: { ...testDefinitions.resolveOptions(definition, target), ...request.options },
+        variables: { ...definition.variables, ...request.variables },
+        definitionId: definition.id
+      }
+    };
+  }
+
+  if (!testDefinitions.isValidTag(tag)) {
+    return { statusCode: 400, error: 'tag must be a string made of letters, digits, "-", "_" and "."' };
+  }
+
+  const definitions = await testDefinitions.list({ client: client.anonymous ? null : client.name, tag });
+  if (definitions.length === 0) {
+    return { statusCode: 404, error: `No test definitions tagged "${tag}"` };
+  }
+
+  return {
+    body: {
+      ...request,
+      name: request.name || `Tag: ${tag}`,
+      options: undefined,
+      variables: undefined,
+      data: undefined,
+      tests: definitions.map(definition => ({
+        name: definition.name,
+        instruction: definition.instruction,
+        expectations: definition.expectations,
+        options: { ...testDefinitions.resolveOptions(definition, target), ...request.options },
+        variables: { ...definition.variables, ...request.variables },
+        data: request.data,
+        definitionId: definition.id
+      }))
+    }
+  };
+}
+
+/**
+ * Create, list, load, update and delete saved test definitions
+ */
+async function handleDefinitions(event, headers, client) {
+  const query = event.queryStringParameters || {};
+
+  try {
+    if (event.httpMethod === 'GET' && query.definitionId === undefined) {
+      const definitions = await testDefinitions.list({
+        client: client.anonymous ? null : client.name,
+        tag: query.tag || null,
+        name: query.q || null
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          count: definitions.length,
+          definitions
+        })
+      };
+    }
+
+    if (event.httpMethod === 'POST' && query.definitionId === undefined) {
+      return await saveDefinition(event, headers, client, null);
+    }
+
+    if (!['GET', 'PUT', 'DELETE'].includes(event.httpMethod)) {
+      return {
+        statusCode: 405,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Method not allowed. Use GET, PUT or DELETE with definitionId, or POST with definitions=true.'
+        })
+      };
+    }
+
+    if (!query.definitionId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Missing definitionId query parameter.'
+        })
+      };
+    }
+
+    const definition = await findDefinition(query.definitionId, client);
+    if (!definition) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: `Test definition not found: ${query.definitionId}`
+        })
+      };
+    }
+
+    if (event.httpMethod === 'PUT') {
+      return await saveDefinition(event, headers, client, definition);
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      await testDefinitions.delete(definition.id);
+      console.log(`Test definition ${definition.id} ("${definition.name}") deleted by client "${client.name}"`);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          definitionId: definition.id,
+          deleted: true
+        })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        definition
+      })
+    };
+
+  } catch (error) {
+    console.error('Failed to access test definitions:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: `Failed to access test definitions: ${error.message}`
+      })
+    };
+  }
+}
+
+/**
+ * Validate a definition from the request body, then create it or replace an existing one
+ */
+async function saveDefinition(event, headers, client, existing) {
+  let input;
+  try {
+    input = JSON.parse(event.body || '{}');
+  } catch (error) {
+    input = null;
+  }
+
+  let validationError = testDefinitions.validate(input);
+  let statusCode = 400;
+
+  // Options are checked the same way as when the definition runs
+  if (!validationError) {
+    const prepared = prepareTest(withExpectations(testDefinitions.resolveOptions({ options: {}, ...input }), input.expectations), client);
+    validationError = prepared.error;
+    statusCode = prepared.statusCode || statusCode;
+  }
+
+  if (validationError) {
+    return {
+      statusCode,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: validationError
+      })
+    };
+  }
+
+  // Names are unique per client so teams can find the wording that worked
+  const owned = await testDefinitions.list({ client: existing ? existing.client : client.name });
+  const duplicate = owned.find(definition =>
+    definition.name.toLowerCase() === input.name.trim().toLowerCase() && (!existing || definition.id !== existing.id));
+  if (duplicate) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: `A test definition named "${duplicate.name}" already exists`,
+        definitionId: duplicate.id
+      })
+    };
+  }
+
+  const definition = existing
+    ? await testDefinitions.update(existing, input)
+    : await testDefinitions.create(input, client.name);
+
+  console.log(`Test definition ${definition.id} ("${definition.name}") ${existing ? 'updated' : 'created'} by client "${client.name}"`);
+
+  return {
+    statusCode: existing ? 200 : 201,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      definition
+    })
+  };
+}
+
+/**
+ * Status of a run the client may access, wherever it runs (other clients' runs are reported as not found)
+ */
+async function findRun(testId, client) {
+  const status = testId ? await testRegistry.loadStatus(testId) : null;
+  return status && ApiKeyAuth.canAccess(client, status.client) ? status : null;
+}
+
+/**
+ * Look up a suite the client may access
+ */
+async function findSuite(suiteId, client) {
+  const suite = suiteId ? await testRegistry.loadSuite(suiteId) : null;
+  return suite && ApiKeyAuth.canAccess(client, suite.client) ? suite : null;
+}
+
+/**
+ * Report the aggregate state of a suite
+ */
+async function getSuiteStatus(event, suiteId, headers, client) {
+  const report = (await findSuite(suiteId, client)) && await testRegistry.loadSuiteReport(suiteId);
+  if (!report) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: `Suite not found: ${suiteId}`
+      })
+    };
+  }
+
+  if ((event.queryStringParameters || {}).format === 'html') {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'HTML reports are generated per run; use ?testId=<id>&format=html for each case'
+      })
+    };
+  }
+
+  if (isReportFormat(event)) {
+    return formatReport(event, ReportFormatter.fromSuite(report), headers);
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      ...report,
+      queuePosition: await getQueuePosition(suiteId)
+    })
+  };
+}
+
+/**
+ * Report queued/running/passed/failed state for a test
+ */
+async function getTestStatus(event, headers, client) {
+  const query = event.queryStringParameters || {};
+  const testId = query.testId;
+
+  const formatError = validateReportFormat(query.format);
+  if (formatError) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: formatError
+      })
+    };
+  }
+
+  if (query.suiteId) {
+    return getSuiteStatus(event, query.suiteId, headers, client);
+  }
+
+  if (!testId) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Missing testId or suiteId query parameter.'
+      })
+    };
+  }
+
+  const status = await findRun(testId, client);
+  if (!status) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: `Test not found: ${testId}`
+      })
+    };
+  }
+
+  if (query.format === 'html') {
+    return htmlReport(await loadRunRecord(testId, client), headers);
+  }
+
+  if (isReportFormat(event)) {
+    return formatReport(event, ReportFormatter.fromRun(status), headers);
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      ...status,
+      queuePosition: await getQueuePosition(testId)
+    })
+  };
+}
+
+/**
+ * Results are JSON unless ?format=junit or ?format=tap asks for a CI report, or ?format=html for a page
+ */
+function validateReportFormat(format) {
+  const formats = [...ReportFormatter.FORMATS, 'html'];
+  if (format !== undefined && !formats.includes(format)) {
+    return `format must be one of: ${formats.join(', ')}`;
+  }
+  return null;
+}
+
+function isReportFormat(event) {
+  const format = (event.queryStringParameters || {}).format;
+  return format !== undefined && format !== 'json';
+}
+
+/**
+ * Render a JUnit or TAP report, linking screenshots through the screenshot endpoint
+ */
+function formatReport(event, report, headers) {
+  const { format } = event.queryStringParameters;
+  const screenshotUrl = (testId, index) => `${event.path || ''}?testId=${testId}&screenshot=${index}`;
+  const { contentType, body } = ReportFormatter.render(report, format, screenshotUrl);
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': contentType
+    },
+    body
+  };
+}
+
+/**
+ * Single-file HTML report for a run, with its screenshots inlined
+ */
+async function htmlReport(run, headers) {
+  try {
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Disposition': `inline; filename="${run.testId}.html"`
+      },
+      body: await HtmlReport.generate(run)
+    };
+
+  } catch (error) {
+    console.error(`[${run.testId}] Failed to generate HTML report:`, error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: error.message
+      })
+    };
+  }
+}
+
+/**
+ * Full record of a run the client may access: live from this process, else from run
+ * history, else the status of a run still going in another instance
+ */
+async function loadRunRecord(testId, client) {
+  if (testRegistry.get(testId)) {
+    return (await findRun(testId, client)) && testRegistry.getHistoryRecord(testId);
+  }
+
+  const saved = await runHistory.get(testId);
+  if (saved) {
+    return ApiKeyAuth.canAccess(client, saved.client) ? saved : null;
+  }
+
+  return findRun(testId, client);
+}
+
+/**
+ * Animated GIF or WebP of a run: one frame per action with click markers, or the
+ * captured screenshots when the run has no trace
+ */
+async function getAnimation(event, headers, client) {
+  const query = event.queryStringParameters || {};
+  const format = query.animation || 'gif';
+  const frameDuration = query.frameDuration ? parseInt(query.frameDuration) : 1000;
+  const width = query.width ? parseInt(query.width) : 640;
+
+  let error = null;
+  if (format !== 'gif' && format !== 'webp') {
+    error = 'animation must be gif or webp';
+  } else if (!(frameDuration >= 100 && frameDuration <= 10000)) {
+    error = 'frameDuration must be between 100 and 10000 milliseconds';
+  } else if (!(width >= 160 && width <= 1280)) {
+    error = 'width must be between 160 and 1280 pixels';
+  }
+  if (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error
+      })
+    };
+  }
+
+  try {
+    const run = await loadRunRecord(query.testId, client);
+    if (!run) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: `Test not found: ${query.testId}`
+        })
+      };
+    }
+
+    const frames = run.trace && run.trace.steps.length > 0
+      ? ActionTrace.getFrames(run.trace)
+      : (run.screenshots || []).map(screenshot => ({
+        image: screenshot.image_base64.replace(/^data:image\/png;base64,/, ''),
+        annotations: []
+      }));
+
+    if (frames.length === 0) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: `Run ${query.testId} has no screenshots to animate`
+        })
+      };
+    }
+
+    const animation = await ScreenshotUtils.createAnimation(frames, { format, frameDuration, width });
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': `image/${format}`,
+        'Content-Disposition': `attachment; filename="${query.testId}.${format}"`
+      },
+      body: animation.data,
+      isBase64Encoded: true
+    };
+
+  } catch (error) {
+    console.error(`[${query.testId}] Failed to create animation:`, error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: error.message
+      })
+    };
+  }
+}
+
+/**
+ * Serve one screenshot of a run as a PNG, from the live registry or run history
+ */
+async function getScreenshot(event, headers, client) {
+  const query = event.queryStringParameters || {};
+  const index = parseInt(query.screenshot);
+
+  try {
+    const run = await loadRunRecord(query.testId, client);
+    const screenshot = run && run.screenshots[index];
+    if (!screenshot) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: `Screenshot not found: ${query.testId} #${query.screenshot}`
+        })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'image/png'
+      },
+      body: screenshot.image_base64.replace(/^data:image\/png;base64,/, ''),
+      isBase64Encoded: true
+    };
+
+  } catch (error) {
+    console.error('Failed to load screenshot:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: error.message
+      })
+    };
+  }
+}
+
+/**
+ * List finished runs, or load one with ?testId= (as a script with &export=puppeteer|playwright)
+ * Filters: from, to (ISO dates), status, q (instruction text), limit
+ */
+async function getRunHistory(event, headers, client) {
+  const query = event.queryStringParameters || {};
+
+  try {
+    if (query.testId) {
+      const run = await runHistory.get(query.testId);
+      if (!run || !ApiKeyAuth.canAccess(client, run.client)) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: `Run not found in history: ${query.testId}`
+          })
+        };
+      }
+
+      if (query.export !== undefined) {
+        return exportRun(run, query.export, headers);
+      }
+
+      const formatError = validateReportFormat(query.format);
+      if (formatError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: formatError
+          })
+        };
+      }
+
+      if (query.format === 'html') {
+        return htmlReport(run, headers);
+      }
+
+      if (isReportFormat(event)) {
+        return formatReport(event, ReportFormatter.fromRun(run), headers);
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          run
+        })
+      };
+    }
+
+    const filters = {
+      from: query.from ? new Date(query.from) : null,
+      to: query.to ? new Date(query.to) : null,
+      status: query.status || null,
+      instruction: query.q || null,
+      limit: query.limit ? parseInt(query.limit) : null,
+      client: client.anonymous ? null : client.name,
+      monitor: query.monitor || null,
+      definitionId: query.definitionId || null
+    };
+
+    const filterError = validateHistoryFilters(filters);
+    if (filterError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: filterError
+        })
+      };
+    }
+
+    const runs = await runHistory.list(filters);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        count: runs.length,
+        runs
+      })
+    };
+
+  } catch (error) {
+    console.error('Failed to read run history:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: `Failed to read run history: ${error.message}`
+      })
+    };
+  }
+}
+
+/**
+ * Validate history list filters, returning an error message or null
+ */
+function validateHistoryFilters({ from, to, status, limit }) {
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return 'from and to must be ISO dates such as 2025-01-07 or 2025-01-07T10:30:00Z';
+  }
+
+  if (status && !['passed', 'failed', 'cancelled'].includes(status)) {
+    return 'status must be one of: passed, failed, cancelled';
+  }
+
+  if (limit !== null && !(limit > 0)) {
+    return 'limit must be a positive integer';
+  }
+
+  return null;
+}
+
+/**
+ * Download a run's action trace as a Puppeteer script or Playwright test
+ */
+function exportRun(run, format, headers) {
+  if (!ScriptExporter.FORMATS.includes(format)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: `export must be one of: ${ScriptExporter.FORMATS.join(', ')}`
+      })
+    };
+  }
+
+  const exportError = ScriptExporter.validate(run);
+  if (exportError) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: exportError
+      })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'text/javascript; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${ScriptExporter.getFilename(run, format)}"`
+    },
+    body: ScriptExporter.export(run, format)
+  };
+}
+
+/**
+ * Delete a finished run from history
+ */
+async function deleteRunHistory(event, headers, client) {
+  const testId = event.queryStringParameters && event.queryStringParameters.testId;
+
+  if (!testId) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Missing testId query parameter.'
+      })
+    };
+  }
+
+  try {
+    const run = await runHistory.get(testId);
+    if (!run || !ApiKeyAuth.canAccess(client, run.client)) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: `Run not found in history: ${testId}`
+        })
+      };
+    }
+
+    await runHistory.delete(testId);
+    console.log(`[${testId}] Deleted from run history by client "${client.name}"`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        testId,
+        deleted: true
+      })
+    };
+
+  } catch (error) {
+    console.error(`[${testId}] Failed to delete run history:`, error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: `Failed to delete run: ${error.message}`
+      })
+    };
+  }
+}
+
+/**
+ * Stream progress events for a test as Server-Sent Events
+ */
+async function streamTestEvents(event, headers, client) {
+  const testId = event.queryStringParameters && event.queryStringParameters.testId;
+
+  const status = await findRun(testId, client);
+  if (!status) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: `Test not found: ${testId}`
+      })
+    };
+  }
+
+  const lastEventId = EventStream.getLastEventId(event);
+
+  // A 204 tells EventSource to stop reconnecting once the result has been delivered
+  if (status.completedAt && (await testRegistry.loadEvents(testId, lastEventId)).length === 0) {
+    return {
+      statusCode: 204,
+      headers,
+      body: ''
+    };
+  }
+
+  const events = await testRegistry.waitForEvents(testId, lastEventId, CONFIG.STREAM_WAIT_SECONDS * 1000);
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache'
+    },
+    body: EventStream.formatEvents(events)
+  };
+}
+
+/**
+ * Run a test in the background, recording the outcome in the registry
+ * Resolves once the browser or container is released; reportTest() saves and delivers the outcome
+ */
+async function executeTest(testId, instruction, options, executionMode) {
+  testRegistry.markRunning(testId);
+  rateLimiter.registerTest(testId);
+
+  // Each run is one trace; the status reports its id so it can be looked up in the tracing backend
+  const run = testRegistry.get(testId);
+  const span = tracing.startSpan('test.run', null, {
+    'test.id': testId,
+    'test.instruction': redactor.redactText(instruction),
+    'test.execution_mode': executionMode,
+    'test.website_url': options.websiteUrl,
+    'test.client': run.client,
+    'test.suite_id': run.suiteId,
+    'test.monitor': run.monitor,
+    'test.queued_ms': Date.parse(run.startedAt) - Date.parse(run.createdAt)
+  });
+  if (tracing.isEnabled()) {
+    testRegistry.setTraceId(testId, span.spanContext().traceId);
+  }
+
+  // On timeout, stop the run rather than leaving it going in the background
+  const timeoutHandle = setTimeout(() => {
+    console.log(`[${testId}] Test timeout reached after ${options.timeout} seconds`);
+    cancelRun(testId, 'timeout');
+  }, options.timeout * 1000);
+
+  // Cancel requests made through other function instances
+  const stopWatchingCancel = testRegistry.watchCancel(testId, reason => cancelRun(testId, reason));
+
+  try {
+    const result = await runTest(testId, instruction, options, executionMode, span);
+    testRegistry.complete(testId, result);
+    console.log(`[${testId}] Test ${result.success ? 'passed' : 'failed'}: ${redactor.redactText(result.message)}`);
+  } catch (error) {
+    testRegistry.fail(testId, error);
+    console.error(`[${testId}] Test failed:`, redactor.redactText(error.stack || error.message || String(error)));
+  } finally {
+    // Always clean up
+    clearTimeout(timeoutHandle);
+    stopWatchingCancel();
+    rateLimiter.unregisterTest(testId);
+    console.log(`[${testId}] Test cleanup completed`);
+  }
+
+  span.setAttribute('test.status', run.status);
+  tracing.endSpan(span, run.error);
+}
+
+/**
+ * Export the trace, save run history and deliver the webhook of a finished test
+ * Webhook retries can take minutes, so this runs outside the test's concurrency slot
+ */
+async function reportTest(testId) {
+  await tracing.flush();
+  await saveRunHistory(testId);
+  await notifyCallback(testId);
+}
+
+/**
+ * Stop a running test: abort the Claude loop and release the browser or container
+ */
+async function cancelRun(testId, reason = 'cancelled') {
+  const run = testRegistry.requestCancel(testId, reason);
+  if (!run) return false;
+
+  console.log(`[${testId}] Cancelling test (${reason})`);
+
+  // Still waiting for a slot: take it out of the queue; the test is reported where it was queued
+  if (testQueue.cancel(testId)) {
+    return true;
+  }
+
+  try {
+    if (run.computerUse) {
+      await run.computerUse.cancel(reason === 'timeout' ? 'Test timeout' : 'Test cancelled');
+    } else if (run.dockerManager) {
+      // Still starting up; removing the container interrupts the setup
+      await run.dockerManager.cleanup();
+    }
+  } catch (error) {
+    console.error(`[${testId}] Cancellation cleanup failed:`, error);
+  }
+
+  return true;
+}
+
+/**
+ * Cancel a test here, or ask the instance running it; false once it has finished
+ */
+async function requestCancel(testId, status) {
+  if (testRegistry.get(testId)) {
+    return cancelRun(testId);
+  }
+
+  if (status.completedAt) {
+    return false;
+  }
+
+  await testRegistry.requestRemoteCancel(testId);
+  return true;
+}
+
+/**
+ * Handle a client cancellation request for a test or suite
+ */
+async function cancelTest(event, headers, client) {
+  const query = event.queryStringParameters || {};
+
+  if (query.suiteId) {
+    const found = await findSuite(query.suiteId, client);
+    if (!found || found.completedAt) {
+      return {
+        statusCode: found ? 409 : 404,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: found
+            ? 'Suite has already finished'
+            : `Suite not found: ${query.suiteId}`
+        })
+      };
+    }
+
+    // Queued or running in another instance, which picks the request up
+    if (!testRegistry.getSuite(query.suiteId)) {
+      await testRegistry.requestRemoteCancel(query.suiteId);
+      await testRegistry.waitForSuiteCompletion(query.suiteId, CONFIG.CANCEL_WAIT_SECONDS * 1000);
+      return getSuiteStatus(event, query.suiteId, headers, client);
+    }
+
+    const suite = testRegistry.requestSuiteCancel(query.suiteId);
+
+    // Still waiting for a slot: skip every case
+    if (testQueue.remove(query.suiteId)) {
+      suite.cases.forEach((testCase, index) => testRegistry.skipSuiteCase(query.suiteId, index));
+      testRegistry.finishSuite(query.suiteId);
+      return getSuiteStatus(event, query.suiteId, headers, client);
+    }
+
+    // Stop the case in progress; runSuite skips the rest
+    const current = suite.cases.find(testCase => testCase.testId && !testRegistry.isFinished(testCase.testId));
+    if (current) {
+      await cancelRun(current.testId);
+      await testRegistry.waitForCompletion(current.testId, CONFIG.CANCEL_WAIT_SECONDS * 1000);
+    }
+
+    return getSuiteStatus(event, query.suiteId, headers, client);
+  }
+
+  const testId = query.testId;
+  const status = await findRun(testId, client);
+  if (!status) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: `Test not found: ${testId}`
+      })
+    };
+  }
+
+  if (!(await requestCancel(testId, status))) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Test has already finished'
+      })
+    };
+  }
+
+  // Give the run a moment to wind down so partial artifacts are complete
+  await testRegistry.waitForCompletion(testId, CONFIG.CANCEL_WAIT_SECONDS * 1000);
+
+  return getTestStatus(event, headers, client);
+}
+
+/**
+ * Persist a finished run; history problems must not fail the run itself
+ */
+async function saveRunHistory(testId) {
+  try {
+    await runHistory.save(testRegistry.getHistoryRecord(testId));
+  } catch (error) {
+    console.error(`[${testId}] Failed to save run history:`, error.message);
+  }
+}
+
+/**
+ * Deliver the signed completion webhook for a finished test, if one was requested
+ */
+async function notifyCallback(testId) {
+  const run = testRegistry.get(testId);
+  if (!run || !run.webhook) return;
+
+  const { webhook, ...payload } = testRegistry.getStatus(testId);
+
+  console.log(`[${testId}] Delivering completion webhook to ${webhook.url}`);
+
+  const delivery = await WebhookNotifier.deliver(webhook.url, payload, {
+    secret: CONFIG.WEBHOOK_SECRET,
+    onAttempt: attempt => testRegistry.recordWebhookAttempt(testId, attempt)
+  });
+
+  if (delivery.delivered) {
+    console.log(`[${testId}] Webhook delivered after ${delivery.attempts.length} attempt(s)`);
+  } else {
+    console.error(`[${testId}] Webhook delivery failed after ${delivery.attempts.length} attempts`);
+  }
+}
+
+/**
+ * Run a single test
+ */
+async function runTest(testId, instruction, options, executionMode = 'puppeteer', span = null) {
+  const startTime = Date.now();
+  let dockerManager = null;
+  let computerUse = null;
+
+  try {
+    if (executionMode === 'docker') {
+      console.log(`[${testId}] Initializing Docker container`);
+      
+      // Initialize Docker container
+      dockerManager = new DockerManager(testId);
+      testRegistry.attachDockerManager(testId, dockerManager);
+      await dockerManager.initialize(span);
+
+      console.log(`[${testId}] Initializing Computer Use tool (Docker mode)`);
+      
+      // Initialize Computer Use with Docker
+      computerUse = new ComputerUse({
+        apiKey: CONFIG.ANTHROPIC_API_KEY,
+        dockerManager,
+        testId,
+        options,
+        span
+      });
+    } else {
+      console.log(`[${testId}] Initializing Computer Use tool (Puppeteer mode)`);
+      
+      // Initialize Puppeteer Computer Use
+      computerUse = new PuppeteerComputerUse({
+        apiKey: CONFIG.ANTHROPIC_API_KEY,
+        testId,
+        options,
+        span
+      });
+    }
+
+    // Expose live progress to status polling
+    testRegistry.attach(testId, computerUse);
+
+    // Cancelled while the browser or container was starting
+    if (testRegistry.isCancelRequested(testId)) {
+      throw new Error('Test cancelled');
+    }
+
+    console.log(`[${testId}] Executing instruction: "${redactor.redactText(instruction)}"`);
+
+    // Execute the test instruction
+    const result = await computerUse.execute(instruction);
+    const verdict = result.result.verdict;
+
+    const duration = (Date.now() - startTime) / 1000;
+
+    // The run passes only if Claude's verdict says so
+    return {
+      success: verdict.passed,
+      message: verdict.summary,
+      verdict,
+      replay: result.result.replay || null,
       duration,
       screenshots: result.screenshots || [],
       log: result.log || '',
+      events: result.events || [],
       error: null,
       testId,
       executionMode,
@@ -251,6 +2312,6 @@ async function runTest(testId, instruction, options, executionMode = 'puppeteer'
 // Graceful cleanup on process termination
 process.on('SIGTERM', async () => {
   console.log('Received SIGTERM, cleaning up active tests...');
-  // In a real implementation, you'd want to gracefully stop active tests
+  await Promise.all(testRegistry.getRunningTestIds().map(testId => cancelRun(testId, 'shutdown')));
   process.exit(0);
 });
\ No newline at end of file
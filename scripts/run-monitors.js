@@ -0,0 +1,26 @@
+/**
+ * Long-running monitor runner for local development or a plain server:
+ * schedules every configured monitor with node-cron and runs it in this process
+ * Run with: npm run monitor
+ */
+
+const cron = require('node-cron');
+const monitors = require('../netlify/functions/lib/monitors');
+const { runMonitor } = require('../netlify/functions/test-website');
+
+const definitions = monitors.getDefinitions();
+
+if (definitions.length === 0) {
+  console.error('No monitors configured. Set MONITORS or MONITORS_FILE.');
+  process.exit(1);
+}
+
+for (const definition of definitions) {
+  cron.schedule(definition.schedule, () => {
+    runMonitor(definition).catch(error => {
+      console.error(`Monitor "${definition.name}" failed to run:`, error.message);
+    });
+  }, { timezone: definition.timezone || undefined });
+
+  console.log(`Scheduled monitor "${definition.name}" (${definition.schedule}${definition.timezone ? ` ${definition.timezone}` : ''})`);
+}
